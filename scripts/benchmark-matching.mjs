@@ -0,0 +1,68 @@
+/**
+ * Time the CGT engine on a large, day-trader sized history: by default 80,000
+ * IBKR-style buys and sells spread over a handful of symbols and four tax years,
+ * with several trades a day and frequent re-purchases within 30 days. The rows
+ * are generated from a fixed seed, so runs are comparable between commits.
+ *
+ * Usage: node scripts/benchmark-matching.mjs [rows] [symbols]
+ */
+
+import { performance } from 'node:perf_hooks';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const rowCount = parseInt(process.argv[2]) || 80000;
+const symbolCount = parseInt(process.argv[3]) || 8;
+
+// Small deterministic PRNG (mulberry32)
+let seed = 20240406;
+const random = () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const symbols = Array.from({ length: symbolCount }, (_, i) => `SYM${i + 1}`);
+const prices = Object.fromEntries(symbols.map(symbol => [symbol, 20 + random() * 300]));
+const held = Object.fromEntries(symbols.map(symbol => [symbol, 0]));
+
+const tradingDays = [];
+for (let date = new Date(2021, 3, 6); tradingDays.length < 1000; date.setDate(date.getDate() + 1)) {
+  if (date.getDay() !== 0 && date.getDay() !== 6) tradingDays.push(new Date(date));
+}
+
+const transactions = [];
+for (let i = 0; i < rowCount; i++) {
+  const date = tradingDays[Math.floor((i / rowCount) * tradingDays.length)];
+  const symbol = symbols[Math.floor(random() * symbols.length)];
+  prices[symbol] = Math.max(1, prices[symbol] * (1 + (random() - 0.5) * 0.04));
+
+  const quantity = 1 + Math.floor(random() * 50);
+  const type = held[symbol] >= quantity && random() < 0.5 ? 'SELL' : 'BUY';
+  held[symbol] += type === 'BUY' ? quantity : -quantity;
+
+  const pricePerUnit = Math.round(prices[symbol] * 100) / 100;
+  transactions.push({
+    date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+    type,
+    symbol,
+    quantity,
+    pricePerUnit,
+    totalAmount: Math.round(quantity * pricePerUnit * 100) / 100,
+    fees: 1,
+    currency: 'GBP',
+    broker: 'Interactive Brokers',
+  });
+}
+
+console.log(`Generated ${transactions.length} rows for ${symbols.length} symbols over ${tradingDays.length} trading days`);
+
+const start = performance.now();
+const report = calculateCGT(transactions);
+const elapsed = performance.now() - start;
+
+const disposals = report.taxYears.reduce((count, year) => count + year.numberOfDisposals, 0);
+console.log(`Calculated ${disposals} disposals in ${(elapsed / 1000).toFixed(2)}s`);
+for (const year of report.taxYears) {
+  console.log(`  ${year.taxYear}: ${year.numberOfDisposals} disposals, net gain £${year.netGain.toLocaleString('en-GB')}`);
+}
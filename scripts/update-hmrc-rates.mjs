@@ -0,0 +1,65 @@
+/**
+ * Regenerate src/lib/hmrc-monthly-rates.js from HMRC's published monthly
+ * exchange rate files, so calculations using the HMRC monthly basis don't
+ * fetch the months it holds.
+ *
+ * Usage: node scripts/update-hmrc-rates.mjs [fromYear]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseHmrcMonthlyCsv, SUPPORTED_CURRENCIES } from '../src/lib/exchange-rate.js';
+
+const fromYear = parseInt(process.argv[2]) || 2015;
+const outputPath = fileURLToPath(new URL('../src/lib/hmrc-monthly-rates.js', import.meta.url));
+
+const today = new Date();
+const months = [];
+for (let year = fromYear; year <= today.getFullYear(); year++) {
+  const lastMonth = year === today.getFullYear() ? today.getMonth() + 1 : 12;
+  for (let month = 1; month <= lastMonth; month++) months.push([year, month]);
+}
+
+const table = {};
+for (const [year, month] of months) {
+  const url = `https://www.trade-tariff.service.gov.uk/api/v2/exchange_rates/files/monthly_csv_${year}-${month}.csv`;
+  const key = `${year}-${String(month).padStart(2, '0')}`;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HMRC returned ${response.status}`);
+    const rates = parseHmrcMonthlyCsv(await response.text());
+    const supported = Object.fromEntries(SUPPORTED_CURRENCIES.filter(code => rates[code]).map(code => [code, rates[code]]));
+    if (Object.keys(supported).length === 0) throw new Error('no rates in file');
+    table[key] = supported;
+    console.log(`${key}: ${Object.keys(supported).length} currencies`);
+  } catch (error) {
+    console.warn(`${key}: skipped (${error.message})`);
+  }
+}
+
+// Keep the existing table rather than replace it with an empty one when HMRC can't be reached
+if (Object.keys(table).length === 0) {
+  console.error('No months were fetched; src/lib/hmrc-monthly-rates.js was left unchanged.');
+  process.exit(1);
+}
+
+const entries = Object.entries(table)
+  .map(([month, rates]) => `  '${month}': { ${Object.entries(rates).map(([code, rate]) => `${code}: ${rate}`).join(', ')} },`)
+  .join('\n');
+
+writeFileSync(outputPath, `/**
+ * HMRC Monthly Exchange Rates
+ * Saved copy of HMRC's published monthly exchange rates, keyed by month
+ * ('YYYY-MM') and currency code. Rates are currency units per £1, as HMRC
+ * publishes them, and apply to every day of the month.
+ *
+ * Generated by scripts/update-hmrc-rates.mjs from HMRC's monthly CSV files;
+ * do not edit by hand. Months not listed here are fetched from HMRC when needed.
+ */
+
+export const HMRC_MONTHLY_RATES = {
+${entries}
+};
+`);
+
+console.log(`Wrote ${Object.keys(table).length} months to ${outputPath}`);
@@ -1,8 +1,13 @@
 import { NextResponse } from 'next/server';
-import { parseCSV, parseXLSX, brokerParsers, dividendParsers } from '@/lib/csv-parser';
+import { parseCSV, parseXLSX, brokerParsers, dividendParsers, parseReportableIncome } from '@/lib/csv-parser';
 import { calculateCGT } from '@/lib/cgt-engine';
-import { fetchHistoricalPricesForTransactions } from '@/lib/historical-price';
-import { applyExchangeRates } from '@/lib/exchange-rate';
+import { fetchHistoricalPricesForTransactions, fetchDemergerPrices } from '@/lib/historical-price';
+import { applyExchangeRates, buildFxReconciliation, DEFAULT_FX_POLICY } from '@/lib/exchange-rate';
+import { createSecurityResolver } from '@/lib/security-identity';
+import { applySymbolChanges } from '@/lib/symbol-changes';
+import { DEFAULT_ROUNDING_POLICY, ROUNDING_POLICIES } from '@/lib/rounding-policy';
+import { DATE_FORMATS, defaultDateFormat, inferDateFormat, parseCalendarDate, toISODate } from '@/lib/date-format';
+import { DEFAULT_VEST_VALUATION_METHOD, DEFAULT_VEST_VALUATION_THRESHOLD, VEST_VALUATION_METHODS } from '@/lib/vest-valuation';
 
 // Map broker IDs to parser keys
 const BROKER_ID_TO_PARSER = {
@@ -22,6 +27,22 @@ const BROKER_ID_TO_NAME = {
   'other': 'Other',
 };
 
+/**
+ * Read an uploaded CSV/XLSX file into lower-cased headers and rows
+ */
+async function readSpreadsheet(file) {
+  const fileName = file.name?.toLowerCase() || '';
+  if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+    return parseXLSX(await file.arrayBuffer());
+  }
+
+  let content = typeof file === 'string' ? file : await file.text();
+  if (content.charCodeAt(0) === 0xFEFF) {
+    content = content.slice(1);
+  }
+  return content.trim() ? parseCSV(content) : { headers: [], rows: [] };
+}
+
 export async function POST(request) {
   try {
     const formData = await request.formData();
@@ -33,6 +54,38 @@ export async function POST(request) {
     const deletedIds = new Set(deletedIdsJson ? JSON.parse(deletedIdsJson) : []);
     const manualTransactionsJson = formData.get('manualTransactions');
     const manualTransactions = manualTransactionsJson ? JSON.parse(manualTransactionsJson) : [];
+    const reportableIncomeFiles = formData.getAll('reportableIncome');
+    const broughtForwardLosses = parseFloat(formData.get('broughtForwardLosses')) || 0;
+    // Section 104 balances (GBP) for shares bought before the uploaded history starts
+    const openingPositionsJson = formData.get('openingPositions');
+    const openingPositions = openingPositionsJson ? JSON.parse(openingPositionsJson) : [];
+    // User-defined identifiers for the same security, e.g. { 'BRK.B': 'BRK-B' }
+    const securityAliasesJson = formData.get('securityAliases');
+    const securityAliases = securityAliasesJson ? JSON.parse(securityAliasesJson) : {};
+    // Ticker changes not in the built-in table: [{ from, to, date }]
+    const symbolChangesJson = formData.get('symbolChanges');
+    const symbolChanges = symbolChangesJson ? JSON.parse(symbolChangesJson) : [];
+    // Exchange rate basis: 'daily', 'hmrc-monthly' or 'broker'
+    const fxPolicy = formData.get('fxPolicy') || DEFAULT_FX_POLICY;
+    // Per-broker override, e.g. { 'Trading 212': 'broker' } to keep the statement's rates
+    const fxBrokerPoliciesJson = formData.get('fxBrokerPolicies');
+    const fxBrokerPolicies = fxBrokerPoliciesJson ? JSON.parse(fxBrokerPoliciesJson) : {};
+    // How disposal figures are rounded: 'exact', 'whole-pound-favourable' or 'whole-pound-nearest'
+    const roundingPolicy = formData.get('roundingPolicy') || DEFAULT_ROUNDING_POLICY;
+    // Date format chosen by the user for a file, keyed by `${broker}_${fileIndex}`, e.g. { 'Other_0': 'month-first' }
+    const dateFormatsJson = formData.get('dateFormats');
+    const dateFormats = dateFormatsJson ? JSON.parse(dateFormatsJson) : {};
+    // RSU vest valuation: { method, brokerMethods: { broker: method }, employerMethods: { symbol: method }, threshold }
+    const vestValuationJson = formData.get('vestValuation');
+    const vestValuation = {
+      method: DEFAULT_VEST_VALUATION_METHOD,
+      brokerMethods: {},
+      employerMethods: {},
+      threshold: DEFAULT_VEST_VALUATION_THRESHOLD,
+      ...(vestValuationJson ? JSON.parse(vestValuationJson) : {}),
+    };
+    vestValuation.threshold = parseFloat(vestValuation.threshold);
+    if (!(vestValuation.threshold >= 0)) vestValuation.threshold = DEFAULT_VEST_VALUATION_THRESHOLD;
 
     console.log('Files received:', files.length);
     console.log('Brokers received:', brokers);
@@ -44,8 +97,33 @@ export async function POST(request) {
       );
     }
 
+    if (!ROUNDING_POLICIES[roundingPolicy]) {
+      return NextResponse.json(
+        { error: `Unknown rounding policy "${roundingPolicy}"` },
+        { status: 400 }
+      );
+    }
+
+    const unknownVestMethod = [vestValuation.method, ...Object.values(vestValuation.brokerMethods), ...Object.values(vestValuation.employerMethods)]
+      .find(method => !VEST_VALUATION_METHODS[method]);
+    if (unknownVestMethod !== undefined) {
+      return NextResponse.json(
+        { error: `Unknown vest valuation method "${unknownVestMethod}"` },
+        { status: 400 }
+      );
+    }
+
+    const unknownDateFormat = Object.values(dateFormats).find(format => !DATE_FORMATS[format]);
+    if (unknownDateFormat) {
+      return NextResponse.json(
+        { error: `Unknown date format "${unknownDateFormat}"` },
+        { status: 400 }
+      );
+    }
+
     let allTransactions = [];
     const parsedFiles = [];
+    const fileDateFormats = []; // Date format used for each uploaded file, by upload position
 
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
@@ -103,6 +181,17 @@ export async function POST(request) {
         continue;
       }
 
+      // Numeric dates are read day or month first according to the whole file,
+      // unless the user has chosen the format
+      const fileIdx = parsedFiles.length;
+      const fileKey = `${brokerName}_${fileIdx}`;
+      const inferredDateFormat = inferDateFormat(rows.flat(), { broker: brokerName });
+      const dateFormat = dateFormats[fileKey]
+        ? { ...inferredDateFormat, format: dateFormats[fileKey], source: 'user' }
+        : inferredDateFormat;
+      fileDateFormats[i] = dateFormat.format;
+      console.log(`[API] ${file.name}: dates read ${dateFormat.format} (${dateFormat.source})`);
+
       // Use the selected broker's parser
       let transactions;
       try {
@@ -123,15 +212,17 @@ export async function POST(request) {
         }));
       }
 
-      const fileIdx = parsedFiles.length;
-
-      // Apply adjustments and add transaction IDs
+      // Apply adjustments, convert dates to YYYY-MM-DD and add transaction IDs
       transactions = transactions.map((t, txnIdx) => {
-        const adjustKey = `${brokerName}_${fileIdx}_${txnIdx}`;
+        const adjustKey = `${fileKey}_${txnIdx}`;
         const adjustment = adjustments[adjustKey];
         const adjustedTxn = {
           ...t,
-          __txnId: `${brokerName}_${fileIdx}_${txnIdx}`,
+          date: toISODate(t.date, dateFormat.format) || t.date,
+          ...(t.espp?.offeringDate && {
+            espp: { ...t.espp, offeringDate: toISODate(t.espp.offeringDate, dateFormat.format) || t.espp.offeringDate },
+          }),
+          __txnId: `${fileKey}_${txnIdx}`,
         };
         if (adjustment) {
           console.log(`[API] Applying adjustment to ${brokerName} txn ${txnIdx}: price=${adjustment.pricePerUnit}, amount=${adjustment.totalAmount}`);
@@ -147,6 +238,7 @@ export async function POST(request) {
         fileName: file.name,
         broker: brokerName,
         transactionCount: transactions.length,
+        dateFormat,
         transactions: transactions,
       });
 
@@ -166,6 +258,37 @@ export async function POST(request) {
     // Add manual transactions
     allTransactions = allTransactions.concat(manualTransactions);
 
+    // Add excess reportable income for offshore funds (matched to holdings by ISIN when securities are resolved)
+    if (reportableIncomeFiles.length > 0) {
+      for (const file of reportableIncomeFiles) {
+        try {
+          const { headers, rows } = await readSpreadsheet(file);
+          const { format } = inferDateFormat(rows.flat());
+          const incomeRows = parseReportableIncome(rows, headers)
+            .map(row => ({ ...row, date: toISODate(row.date, format) || row.date }));
+          console.log(`[API] Found ${incomeRows.length} reportable income entries in ${file.name}`);
+          allTransactions = allTransactions.concat(incomeRows);
+        } catch (err) {
+          console.error(`Error parsing reportable income from ${file.name}:`, err);
+          return NextResponse.json(
+            { error: `${file.name}: ${err.message}` },
+            { status: 400 }
+          );
+        }
+      }
+    }
+
+    // Trades before a ticker change take the new ticker, then tickers, ISINs and
+    // SEDOLs resolve to one symbol per security, so holdings pool across brokers
+    // and prices are looked up under the current ticker
+    allTransactions = applySymbolChanges(allTransactions, symbolChanges);
+    const securityResolver = createSecurityResolver({ aliases: securityAliases, transactions: allTransactions });
+    allTransactions = allTransactions.map(txn => ({
+      ...txn,
+      reportedSymbol: txn.symbol,
+      symbol: securityResolver.resolve(txn),
+    }));
+
     // Now parse dividends from the same files
     let allDividends = [];
     for (let i = 0; i < files.length; i++) {
@@ -209,7 +332,8 @@ export async function POST(request) {
 
         if (dividendParser.detect(headers)) {
           let dividends = dividendParser.parse(rows, headers);
-          dividends = dividends.map(d => ({ ...d, broker: brokerName }));
+          const dateFormat = fileDateFormats[i] || defaultDateFormat(brokerName);
+          dividends = dividends.map(d => ({ ...d, date: toISODate(d.date, dateFormat) || d.date, broker: brokerName }));
           allDividends = allDividends.concat(dividends);
         }
       } catch (err) {
@@ -218,12 +342,14 @@ export async function POST(request) {
     }
 
     console.log(`[API] Found ${allDividends.length} dividend transactions`);
+    allDividends = applySymbolChanges(allDividends, symbolChanges)
+      .map(d => ({ ...d, symbol: securityResolver.resolve(d) }));
 
-    // Fetch historical prices for RSU vesting transactions (Schwab Stock Plan Activity)
-    const transactionsNeedingPrice = allTransactions.filter(txn => txn.needsHistoricalPrice);
+    // Value RSU vests with the chosen method, fetching the day's prices to compare the methods
+    const transactionsNeedingPrice = allTransactions.filter(txn => txn.needsHistoricalPrice || txn.vest);
     if (transactionsNeedingPrice.length > 0) {
       console.log(`[API] Fetching historical prices for ${transactionsNeedingPrice.length} RSU vesting transactions...`);
-      allTransactions = await fetchHistoricalPricesForTransactions(allTransactions);
+      allTransactions = await fetchHistoricalPricesForTransactions(allTransactions, { vestValuation });
 
       // Log any transactions that still have missing prices
       const missingPrices = allTransactions.filter(txn => txn.priceMissing);
@@ -233,24 +359,35 @@ export async function POST(request) {
       }
     }
 
-    // Fetch exchange rates for USD transactions
-    console.log('[API] Applying exchange rates for USD transactions...');
-    allTransactions = await applyExchangeRates(allTransactions);
+    // Look up first-day market values for demergers where none were entered
+    allTransactions = await fetchDemergerPrices(allTransactions);
+
+    // Fetch exchange rates for foreign-currency transactions
+    console.log('[API] Applying exchange rates for foreign-currency transactions...');
+    try {
+      allTransactions = await applyExchangeRates(allTransactions, { policy: fxPolicy, brokerPolicies: fxBrokerPolicies });
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
 
     // Apply exchange rates to dividends too
     if (allDividends.length > 0) {
-      console.log('[API] Applying exchange rates for USD dividends...');
-      allDividends = await applyExchangeRates(allDividends.map(d => ({
-        ...d,
-        date: d.date,
-        currency: d.currency,
-        totalAmount: d.netAmount,
-      })));
+      console.log('[API] Applying exchange rates for foreign-currency dividends...');
+      try {
+        allDividends = await applyExchangeRates(allDividends.map(d => ({
+          ...d,
+          date: d.date,
+          currency: d.currency,
+          totalAmount: d.netAmount,
+        })), { policy: fxPolicy, brokerPolicies: fxBrokerPolicies });
+      } catch (err) {
+        return NextResponse.json({ error: `Dividends: ${err.message}` }, { status: 400 });
+      }
 
       // Convert back and update amountGBP
       allDividends = allDividends.map(d => ({
         ...d,
-        // exchangeRate is stored as (1/rate), so we divide by it to convert USD to GBP
+        // exchangeRate is stored as (1/rate), so we divide by it to convert to GBP
         // e.g., if rate is 0.79 GBP per USD, exchangeRate is 1/0.79 = 1.266
         // so USD 100 / 1.266 = GBP 78.99
         amountGBP: d.currency === 'GBP' ? d.netAmount : (d.netAmount / (d.exchangeRate || 1)),
@@ -261,30 +398,14 @@ export async function POST(request) {
     const dividendSummary = {};
     for (const dividend of allDividends) {
       // Parse date and determine tax year
-      let dateStr = dividend.date;
-      let parsedDate;
-
-      if (dateStr.includes('/')) {
-        // Handle MM/DD/YYYY format
-        const parts = dateStr.split('/');
-        if (parts.length === 3) {
-          parsedDate = new Date(parts[2], parts[0] - 1, parts[1]);
-        }
-      } else if (dateStr.includes('-')) {
-        parsedDate = new Date(dateStr);
-      } else {
-        parsedDate = new Date(dateStr);
-      }
-
-      if (isNaN(parsedDate)) continue;
+      const parsedDate = parseCalendarDate(dividend.date);
+      if (!parsedDate) continue;
 
-      const year = parsedDate.getFullYear();
-      const month = parsedDate.getMonth(); // 0-11
-      const day = parsedDate.getDate();
+      const { year, month, day } = parsedDate;
 
       // UK tax year runs April 6 to April 5
       let taxYear;
-      if (month < 3 || (month === 3 && day < 6)) {
+      if (month < 4 || (month === 4 && day < 6)) {
         taxYear = `${year - 1}/${year.toString().slice(-2)}`;
       } else {
         taxYear = `${year}/${(year + 1).toString().slice(-2)}`;
@@ -320,16 +441,22 @@ export async function POST(request) {
       });
     }
 
-    const report = calculateCGT(allTransactions);
+    const report = calculateCGT(allTransactions, {
+      broughtForwardLosses,
+      openingPositions,
+      securityAliases,
+      symbolChanges,
+      fxPolicy,
+      fxBrokerPolicies,
+      roundingPolicy,
+      vestValuation,
+    });
 
     // Update parsedFiles with enriched transaction data (historical prices, exchange rates, etc.)
+    const enrichedById = new Map(allTransactions.filter(t => t.__txnId).map(t => [t.__txnId, t]));
     parsedFiles.forEach(file => {
-      file.transactions = file.transactions.map(txn => {
-        // Find the enriched version of this transaction by its ID
-        const enrichedTxn = allTransactions.find(t => t.__txnId === txn.__txnId);
-        // Return enriched data if found, otherwise return original
-        return enrichedTxn || txn;
-      });
+      // Return enriched data if found, otherwise return original
+      file.transactions = file.transactions.map(txn => enrichedById.get(txn.__txnId) || txn);
     });
 
     return NextResponse.json({
@@ -337,6 +464,8 @@ export async function POST(request) {
       parsedFiles,
       totalTransactions: allTransactions.length,
       report,
+      // Statement exchange rates against the reference rate, per transaction
+      fxReconciliation: buildFxReconciliation(allTransactions),
       dividends: {
         total: allDividends.length,
         byTaxYear: Object.values(dividendSummary),
@@ -13,9 +13,11 @@ export async function POST(request) {
       pensionContributions,
       capitalGains,
       capitalGainsSplit,
+      capitalLossesBroughtForward,
       incomeSkipped,
       studentLoanPlan,
       additionalIncome,
+      roundingPolicy,
     } = data;
 
     // Validate required fields
@@ -35,9 +37,11 @@ export async function POST(request) {
       pensionContributions: parseFloat(pensionContributions) || 0,
       capitalGains: parseFloat(capitalGains) || 0,
       capitalGainsSplit,
+      capitalLossesBroughtForward: parseFloat(capitalLossesBroughtForward) || 0,
       incomeSkipped,
       studentLoanPlan,
       additionalIncome: parseFloat(additionalIncome) || 0,
+      roundingPolicy,
     });
 
     return NextResponse.json(result);
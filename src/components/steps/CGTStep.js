@@ -1,8 +1,13 @@
 'use client';
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, Fragment } from 'react';
 import { BROKERS, formatCurrency } from '@/lib/constants';
 import { downloadCGTReport } from '@/lib/pdf-generator';
+import { FX_POLICIES, DEFAULT_FX_POLICY } from '@/lib/exchange-rate';
+import { ROUNDING_POLICIES, DEFAULT_ROUNDING_POLICY } from '@/lib/rounding-policy';
+import { DATE_FORMATS } from '@/lib/date-format';
+import { CalendarDate } from '@/lib/calendar-date';
+import { VEST_VALUATION_METHODS, DEFAULT_VEST_VALUATION_METHOD, DEFAULT_VEST_VALUATION_THRESHOLD } from '@/lib/vest-valuation';
 import {
   trackBrokerSelected,
   trackBrokerFileUpload,
@@ -26,6 +31,19 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
   const [manualTransactions, setManualTransactions] = useState([]); // New manual transactions
   const [deletedTransactionIds, setDeletedTransactionIds] = useState(new Set()); // Track deleted transactions
   const [showAddTransactionForm, setShowAddTransactionForm] = useState(false);
+  const [reportableIncomeFiles, setReportableIncomeFiles] = useState([]); // Offshore fund ERI files
+  const [broughtForwardLosses, setBroughtForwardLosses] = useState(''); // Unused losses from earlier years
+  const [openingPositions, setOpeningPositions] = useState([]); // S104 balances held before the uploaded history
+  const [securityAliases, setSecurityAliases] = useState(''); // "ALIAS = SYMBOL" lines: identifiers for the same security
+  const [symbolChanges, setSymbolChanges] = useState([]); // Dated ticker changes missing from the built-in table
+  const [fxPolicy, setFxPolicy] = useState(DEFAULT_FX_POLICY); // Basis for converting foreign-currency amounts to GBP
+  const [fxBrokerPolicies, setFxBrokerPolicies] = useState({}); // Broker name -> 'broker' or 'reference', for brokers whose exports carry rates
+  const [roundingPolicy, setRoundingPolicy] = useState(DEFAULT_ROUNDING_POLICY); // How disposal figures are rounded for the return
+  const [dateFormats, setDateFormats] = useState({}); // 'broker_fileIndex' -> 'day-first' or 'month-first', overriding the inferred format
+  const [vestMethod, setVestMethod] = useState(DEFAULT_VEST_VALUATION_METHOD); // How RSU vests are valued unless overridden
+  const [vestBrokerMethods, setVestBrokerMethods] = useState({}); // Broker name -> vest valuation method
+  const [vestEmployerMethods, setVestEmployerMethods] = useState(''); // "SYMBOL = method" lines, per employer
+  const [vestThreshold, setVestThreshold] = useState(String(DEFAULT_VEST_VALUATION_THRESHOLD * 100)); // % difference between methods worth listing
 
   const totalFilesCount = brokerUploads.reduce((sum, u) => sum + u.files.length, 0) + currentFiles.length;
 
@@ -138,6 +156,52 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
       // Pass manual transactions
       formData.append('manualTransactions', JSON.stringify(manualTransactions));
 
+      // Pass excess reportable income files for offshore funds
+      reportableIncomeFiles.forEach(f => formData.append('reportableIncome', f));
+
+      // Pass capital losses brought forward from earlier years
+      formData.append('broughtForwardLosses', broughtForwardLosses || '0');
+
+      // Pass user-defined security aliases as { alias: symbol }
+      formData.append('securityAliases', JSON.stringify(parseSecurityAliases(securityAliases)));
+
+      // Pass the exchange rate basis, and the choice for each broker whose statements carry rates
+      formData.append('fxPolicy', fxPolicy);
+      formData.append('fxBrokerPolicies', JSON.stringify(
+        Object.fromEntries(finalBrokerUploads
+          .filter(u => u.broker.statementFxRates)
+          .map(u => [
+            u.broker.name,
+            fxBrokerPolicies[u.broker.name] === 'reference' ? (fxPolicy === 'broker' ? 'daily' : fxPolicy) : 'broker',
+          ]))
+      ));
+
+      // Pass how disposal figures should be rounded
+      formData.append('roundingPolicy', roundingPolicy);
+
+      // Pass how RSU vests are valued, per broker and per employer
+      formData.append('vestValuation', JSON.stringify({
+        method: vestMethod,
+        brokerMethods: Object.fromEntries(finalBrokerUploads
+          .filter(u => u.broker.equityAwards && vestBrokerMethods[u.broker.name])
+          .map(u => [u.broker.name, vestBrokerMethods[u.broker.name]])),
+        employerMethods: parseEmployerVestMethods(vestEmployerMethods),
+        threshold: (parseFloat(vestThreshold) || 0) / 100,
+      }));
+
+      // Pass date formats chosen by the user for particular files
+      formData.append('dateFormats', JSON.stringify(dateFormats));
+
+      // Pass dated ticker changes entered by the user
+      formData.append('symbolChanges', JSON.stringify(
+        symbolChanges.filter(c => c.from && c.to && c.date)
+      ));
+
+      // Pass opening Section 104 balances declared by the user
+      formData.append('openingPositions', JSON.stringify(
+        openingPositions.filter(p => p.symbol && p.date && parseFloat(p.quantity) > 0)
+      ));
+
       const res = await fetch('/api/calculate', { method: 'POST', body: formData });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Failed to calculate');
@@ -186,6 +250,7 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
 
   const yearData = cgtResult?.report?.taxYears?.find(y => y.taxYear === taxYear);
   const hasYearData = !!yearData;
+  const vestYear = cgtResult?.report?.vestIncome?.find(y => y.taxYear === taxYear);
 
   // Results view - show whenever we have a calculation result, even if
   // there are no disposals for the selected tax year (still show parsed files)
@@ -227,6 +292,12 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                   <p className="text-green-400">Gains: {formatCurrency(yearData?.rateChange?.preOctober?.gains)}</p>
                   <p className="text-red-400">Losses: {formatCurrency(yearData?.rateChange?.preOctober?.losses)}</p>
                   <p className="text-white font-medium">Net: {formatCurrency(yearData?.rateChange?.preOctober?.netGain)}</p>
+                  <p className="text-slate-300 text-xs mt-1">
+                    Losses &amp; exemption set off: {formatCurrency(
+                      (yearData?.reliefAllocation?.higherRate?.buckets?.find(b => b.key === 'preOctober')?.lossesSet || 0) +
+                      (yearData?.reliefAllocation?.higherRate?.buckets?.find(b => b.key === 'preOctober')?.exemptionSet || 0)
+                    )}
+                  </p>
                   <p className="text-slate-500 text-xs mt-1">10% / 20%</p>
                 </div>
                 <div>
@@ -235,12 +306,35 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                   <p className="text-green-400">Gains: {formatCurrency(yearData?.rateChange?.postOctober?.gains)}</p>
                   <p className="text-red-400">Losses: {formatCurrency(yearData?.rateChange?.postOctober?.losses)}</p>
                   <p className="text-white font-medium">Net: {formatCurrency(yearData?.rateChange?.postOctober?.netGain)}</p>
+                  <p className="text-slate-300 text-xs mt-1">
+                    Losses &amp; exemption set off: {formatCurrency(
+                      (yearData?.reliefAllocation?.higherRate?.buckets?.find(b => b.key === 'postOctober')?.lossesSet || 0) +
+                      (yearData?.reliefAllocation?.higherRate?.buckets?.find(b => b.key === 'postOctober')?.exemptionSet || 0)
+                    )}
+                  </p>
                   <p className="text-slate-500 text-xs mt-1">18% / 24%</p>
                 </div>
               </div>
+              <p className="text-slate-400 text-xs mt-3">
+                Losses and the annual exemption are set against the gains taxed at the higher rates first
+                {yearData?.reliefAllocation?.higherRate?.savings > 0 && (
+                  <span className="text-green-400">
+                    {' '}- saves {formatCurrency(yearData.reliefAllocation.higherRate.savings)} at the higher rate compared with a proportional split
+                  </span>
+                )}
+              </p>
             </div>
           )}
 
+          {/* RSU vests in the year, checked against the gross pay entered */}
+          {vestYear && (
+            <RsuVestSection
+              vestYear={vestYear}
+              incomeData={incomeData}
+              threshold={cgtResult.report.vestValuation?.threshold ?? DEFAULT_VEST_VALUATION_THRESHOLD}
+            />
+          )}
+
           <button
             onClick={() => setShowDetails(!showDetails)}
             className="w-full py-3 px-4 bg-slate-700 hover:bg-slate-600 border border-slate-600 hover:border-slate-500 rounded-lg text-white font-medium transition-all flex items-center justify-center gap-2"
@@ -252,6 +346,58 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
 
           {showDetails && (
             <div className="space-y-6">
+              {/* Securities reported under different identifiers, pooled together */}
+              {cgtResult?.report?.securities?.length > 0 && (
+                <div className="bg-slate-800/50 rounded-lg p-4">
+                  <h3 className="text-white font-medium mb-2 flex items-center gap-2">
+                    <span className="text-cyan-400">🔗</span>
+                    Securities Combined Across Identifiers
+                  </h3>
+                  <ul className="text-sm text-slate-300 space-y-1">
+                    {cgtResult.report.securities.map((security) => (
+                      <li key={security.symbol}>
+                        <span className="text-white font-medium">{security.symbol}</span>
+                        {security.name && <span className="text-slate-400"> ({security.name})</span>}
+                        {' '}also reported as {security.reportedAs.join(', ')}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Broker exchange rates compared with the reference rate */}
+              {cgtResult?.fxReconciliation?.length > 0 && (
+                <div className="bg-slate-800/50 rounded-lg p-4">
+                  <h3 className="text-white font-medium mb-2 flex items-center gap-2">
+                    <span className="text-cyan-400">💱</span>
+                    Exchange Rate Reconciliation
+                  </h3>
+                  <p className="text-slate-400 text-xs mb-3">
+                    Each rate is currency units per £1. GBP effect is the broker rate&apos;s GBP value less the reference rate&apos;s.
+                  </p>
+                  <FxReconciliationTable rows={cgtResult.fxReconciliation} />
+                </div>
+              )}
+
+              {/* Ticker changes that moved earlier trades onto the current ticker */}
+              {cgtResult?.report?.symbolChanges?.length > 0 && (
+                <div className="bg-slate-800/50 rounded-lg p-4">
+                  <h3 className="text-white font-medium mb-2 flex items-center gap-2">
+                    <span className="text-cyan-400">🔁</span>
+                    Ticker Changes Applied
+                  </h3>
+                  <ul className="text-sm text-slate-300 space-y-1">
+                    {cgtResult.report.symbolChanges.map((change) => (
+                      <li key={`${change.from}-${change.date}`}>
+                        <span className="text-white font-medium">{change.from} → {change.to}</span>
+                        {' '}on {change.date}: {change.transactionCount} earlier transaction{change.transactionCount === 1 ? '' : 's'} pooled under {change.to}
+                        <span className="text-slate-400"> ({change.note})</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Section 104 Holdings at Start of Tax Year */}
               {yearData?.section104Start && yearData.section104Start.length > 0 && (
                 <div className="bg-slate-800/50 rounded-lg p-4">
@@ -272,7 +418,11 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                       <tbody>
                         {yearData.section104Start.map((pool, i) => (
                           <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
-                            <td className="p-2 text-white font-medium">{pool.symbol}</td>
+                            <td className="p-2 text-white font-medium">
+                              {pool.symbol}
+                              <FormerSymbols symbols={cgtResult.report.formerSymbols?.[pool.symbol]} />
+                              {pool.userDeclared && <span className="ml-2 text-xs text-amber-400" title="Includes an opening balance you entered">user-declared</span>}
+                            </td>
                             <td className="p-2 text-slate-300 text-right">{pool.quantity.toLocaleString()}</td>
                             <td className="p-2 text-slate-300 text-right">{formatCurrency(pool.totalCost)}</td>
                             <td className="p-2 text-slate-300 text-right">{formatCurrency(pool.averageCost)}</td>
@@ -284,6 +434,42 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                 </div>
               )}
 
+              {/* Pool cost adjustments (e.g. excess reportable income) */}
+              {yearData?.poolAdjustments && yearData.poolAdjustments.length > 0 && (
+                <div className="bg-slate-800/50 rounded-lg p-4">
+                  <h3 className="text-white font-medium mb-3 flex items-center gap-2">
+                    <span className="text-teal-400">➕</span>
+                    Section 104 Cost Adjustments
+                  </h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-slate-400 border-b border-slate-700">
+                          <th className="p-2">Date</th>
+                          <th className="p-2">Symbol</th>
+                          <th className="p-2 text-right">Units Held</th>
+                          <th className="p-2 text-right">Per Unit</th>
+                          <th className="p-2 text-right">Equalisation</th>
+                          <th className="p-2 text-right">Added to Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {yearData.poolAdjustments.map((adj, i) => (
+                          <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                            <td className="p-2 text-white">{adj.date}</td>
+                            <td className="p-2 text-white font-medium">{adj.symbol}</td>
+                            <td className="p-2 text-slate-300 text-right">{adj.units.toLocaleString()}</td>
+                            <td className="p-2 text-slate-300 text-right">{adj.amountPerUnit}</td>
+                            <td className="p-2 text-slate-300 text-right">{formatCurrency(adj.equalisation)}</td>
+                            <td className="p-2 text-slate-300 text-right">{formatCurrency(adj.costAdjustment)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {/* Transaction View Toggle */}
               <div className="flex gap-2 mb-4">
                 <button
@@ -332,9 +518,13 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                   </thead>
                   <tbody>
                       {(yearData?.disposals || []).map((d, i) => (
-                      <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                      <Fragment key={i}>
+                      <tr className="border-b border-slate-700/50 hover:bg-slate-700/30">
                         <td className="p-2 text-white">{d.date}</td>
-                        <td className="p-2 text-white font-medium">{d.symbol}</td>
+                        <td className="p-2 text-white font-medium">
+                          {d.symbol}
+                          {d.formerSymbol && <FormerSymbols symbols={[d.formerSymbol]} />}
+                        </td>
                         <td className="p-2 text-slate-400 text-xs">{d.broker || '—'}</td>
                         <td className="p-2 text-slate-300 text-right">{d.quantity}</td>
                         <td className="p-2 text-slate-300 text-right">{formatCurrency(d.proceeds)}</td>
@@ -344,6 +534,14 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                           <MatchingRuleBadges matchDetails={d.matchDetails} />
                         </td>
                       </tr>
+                      {d.fills && (
+                        <tr className="border-b border-slate-700/50">
+                          <td colSpan={8} className="px-2 pb-2">
+                            <DisposalFills fills={d.fills} />
+                          </td>
+                        </tr>
+                      )}
+                      </Fragment>
                     ))}
                   </tbody>
                 </table>
@@ -355,6 +553,7 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                       <div className="flex justify-between items-start mb-3">
                         <div>
                           <span className="text-white font-bold text-lg">{d.symbol}</span>
+                          {d.formerSymbol && <FormerSymbols symbols={[d.formerSymbol]} />}
                           <span className="text-slate-400 text-xs ml-2">{d.broker}</span>
                         </div>
                         <span className={`text-lg font-bold ${d.gain >= 0 ? 'text-green-400' : 'text-red-400'}`}>
@@ -383,6 +582,11 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                         <span className="text-slate-400 text-xs">Matching Rule</span>
                         <MatchingRuleBadges matchDetails={d.matchDetails} />
                       </div>
+                      {d.fills && (
+                        <div className="pt-2 mt-2 border-t border-slate-600/50">
+                          <DisposalFills fills={d.fills} />
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -419,6 +623,13 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                     cgtResult.parsedFiles.map((file, fileIdx) => (
                       <div key={fileIdx} className="bg-slate-800/50 rounded-lg p-4">
                         <h4 className="text-white font-medium mb-3">{file.broker} - {file.fileName}</h4>
+                        {file.dateFormat && (
+                          <DateFormatChoice
+                            dateFormat={file.dateFormat}
+                            value={dateFormats[`${file.broker}_${fileIdx}`] || file.dateFormat.format}
+                            onChange={(format) => setDateFormats(prev => ({ ...prev, [`${file.broker}_${fileIdx}`]: format }))}
+                          />
+                        )}
                         {file.transactions && file.transactions.length > 0 ? (
                           <div className="overflow-x-auto">
                             <table className="w-full text-sm">
@@ -439,7 +650,7 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                                   const displayPrice = adjustment?.pricePerUnit !== undefined ? adjustment.pricePerUnit : (txn.pricePerUnit || txn.price || 0);
                                   const displayAmount = adjustment?.totalAmount !== undefined ? adjustment.totalAmount : (txn.totalAmount || txn.amount || 0);
                                   const hasAdjustment = adjustment !== undefined;
-                                  const isFetchedPrice = txn.priceSource === 'yahoo_finance_historical';
+                                  const isFetchedPrice = txn.priceSource?.startsWith('yahoo_finance');
                                   const isDeleted = deletedTransactionIds.has(txn.__txnId);
 
                                   if (isDeleted) return null;
@@ -532,6 +743,39 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
 
                               if (isDeleted) return null;
 
+                              if (CORPORATE_ACTION_TYPES.includes(txn.type) || COST_ADJUSTMENT_TYPES.includes(txn.type)) {
+                                return (
+                                  <tr key={txnIdx} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                                    <td className="p-2 text-white">{txn.date}</td>
+                                    <td className="p-2 text-slate-300 text-sm">
+                                      <span className="px-2 py-1 rounded text-xs font-medium bg-purple-900/30 text-purple-400">
+                                        {txn.type}
+                                      </span>
+                                    </td>
+                                    <td className="p-2 text-white font-medium">{txn.symbol}</td>
+                                    <td className="p-2 text-slate-300 text-right" colSpan={2}>
+                                      {COST_ADJUSTMENT_TYPES.includes(txn.type) ? (
+                                        `+ ${formatCurrency(txn.totalAmount)} to cost`
+                                      ) : (
+                                        <>
+                                          {txn.newSymbol ? `→ ${txn.newSymbol}, ` : ''}Ratio {txn.ratio}
+                                          {txn.totalAmount > 0 ? ` + ${formatCurrency(txn.totalAmount)} cash` : ''}
+                                        </>
+                                      )}
+                                    </td>
+                                    <td className="p-2 text-slate-300 text-right">
+                                      <button
+                                        onClick={() => setDeletedTransactionIds(prev => new Set([...prev, txn.__txnId]))}
+                                        className="ml-2 text-red-400 hover:text-red-300 text-xs font-medium px-1"
+                                        title="Delete transaction"
+                                      >
+                                        ✕
+                                      </button>
+                                    </td>
+                                  </tr>
+                                );
+                              }
+
                               return (
                                 <tr key={txnIdx} className="border-b border-slate-700/50 hover:bg-slate-700/30">
                                   <td className="p-2 text-white">{txn.date}</td>
@@ -583,7 +827,7 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                       </div>
                     </div>
                   )}
-                  {(Object.keys(transactionAdjustments).length > 0 || deletedTransactionIds.size > 0) && (
+                  {(Object.keys(transactionAdjustments).length > 0 || deletedTransactionIds.size > 0 || manualTransactions.length > 0 || Object.keys(dateFormats).length > 0) && (
                     <div className="flex justify-center pt-4">
                       <button
                         onClick={() => {
@@ -621,7 +865,11 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
                       <tbody>
                         {yearData.section104End.map((pool, i) => (
                           <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
-                            <td className="p-2 text-white font-medium">{pool.symbol}</td>
+                            <td className="p-2 text-white font-medium">
+                              {pool.symbol}
+                              <FormerSymbols symbols={cgtResult.report.formerSymbols?.[pool.symbol]} />
+                              {pool.userDeclared && <span className="ml-2 text-xs text-amber-400" title="Includes an opening balance you entered">user-declared</span>}
+                            </td>
                             <td className="p-2 text-slate-300 text-right">{pool.quantity.toLocaleString()}</td>
                             <td className="p-2 text-slate-300 text-right">{formatCurrency(pool.totalCost)}</td>
                             <td className="p-2 text-slate-300 text-right">{formatCurrency(pool.averageCost)}</td>
@@ -811,6 +1059,140 @@ export default function CGTStep({ taxYear, cgtResult, setCgtResult, incomeData,
         </div>
       )}
 
+      {/* Offshore reporting funds - excess reportable income */}
+      {brokerUploads.length > 0 && (
+        <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-2">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-white font-medium text-sm">🌍 Offshore Fund Reportable Income (optional)</p>
+              <p className="text-slate-400 text-xs">
+                Irish/Luxembourg ETFs report excess income that is taxed each year and added to your cost.
+                Upload a CSV with ISIN, Date and Per Unit columns (optional: Symbol, Equalisation, Currency).
+              </p>
+            </div>
+            <button
+              onClick={() => document.getElementById('reportableIncomeInput').click()}
+              className="text-blue-400 hover:text-blue-300 text-sm px-3 py-1 border border-slate-600 rounded whitespace-nowrap"
+            >
+              + Add CSV
+            </button>
+          </div>
+          <input
+            type="file"
+            id="reportableIncomeInput"
+            className="hidden"
+            multiple
+            accept=".csv,.xlsx,.xls"
+            onChange={(e) => setReportableIncomeFiles(prev => [...prev, ...Array.from(e.target.files)])}
+          />
+          {reportableIncomeFiles.map((f, i) => (
+            <div key={i} className="flex items-center justify-between p-2 bg-slate-700 rounded-lg">
+              <span className="text-white text-sm">📄 {f.name}</span>
+              <button onClick={() => setReportableIncomeFiles(prev => prev.filter((_, idx) => idx !== i))} className="text-red-400 hover:text-red-300">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Capital losses brought forward from earlier years */}
+      {brokerUploads.length > 0 && (
+        <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg flex items-center justify-between gap-4">
+          <div>
+            <p className="text-white font-medium text-sm">📉 Capital Losses Brought Forward (optional)</p>
+            <p className="text-slate-400 text-xs">
+              Unused losses from tax years before your uploaded statements, as reported to HMRC.
+              They only reduce gains down to the annual exemption; the rest carries forward.
+            </p>
+          </div>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={broughtForwardLosses}
+            onChange={(e) => setBroughtForwardLosses(e.target.value)}
+            placeholder="£0.00"
+            className="w-32 px-2 py-1 bg-slate-700 text-white text-right rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+          />
+        </div>
+      )}
+
+      {/* Basis for converting foreign-currency trades to GBP, overridable per broker */}
+      {brokerUploads.length > 0 && (
+        <ExchangeRatePanel
+          policy={fxPolicy}
+          onPolicyChange={setFxPolicy}
+          brokers={brokerUploads.map(u => u.broker)}
+          brokerPolicies={fxBrokerPolicies}
+          onBrokerPoliciesChange={setFxBrokerPolicies}
+        />
+      )}
+
+      {/* Valuation of RSU vests, overridable per broker and per employer */}
+      {brokerUploads.some(u => u.broker.equityAwards) && (
+        <VestValuationPanel
+          method={vestMethod}
+          onMethodChange={setVestMethod}
+          brokers={brokerUploads.map(u => u.broker)}
+          brokerMethods={vestBrokerMethods}
+          onBrokerMethodsChange={setVestBrokerMethods}
+          employerMethods={vestEmployerMethods}
+          onEmployerMethodsChange={setVestEmployerMethods}
+          threshold={vestThreshold}
+          onThresholdChange={setVestThreshold}
+        />
+      )}
+
+      {/* Rounding of the figures for the return */}
+      {brokerUploads.length > 0 && (
+        <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg flex items-center justify-between gap-4">
+          <div>
+            <p className="text-white font-medium text-sm">🔢 Rounding</p>
+            <p className="text-slate-400 text-xs">
+              HMRC accepts whole pounds on the capital gains pages, with gains rounded down and losses rounded up.
+              The report, summary and PDF all use the rounding chosen here.
+            </p>
+          </div>
+          <select
+            value={roundingPolicy}
+            onChange={(e) => setRoundingPolicy(e.target.value)}
+            className="px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+          >
+            {Object.entries(ROUNDING_POLICIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Identifiers the user wants treated as the same security */}
+      {brokerUploads.length > 0 && (
+        <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-2">
+          <p className="text-white font-medium text-sm">🔗 Security Aliases (optional)</p>
+          <p className="text-slate-400 text-xs">
+            Tickers, ISINs and SEDOLs for the same share are combined automatically where we recognise them.
+            Add any others here, one per line, e.g. <code className="text-slate-300">BRK.B = BRK-B</code>.
+            For a company that changed ticker, add a ticker change below instead.
+          </p>
+          <textarea
+            value={securityAliases}
+            onChange={(e) => setSecurityAliases(e.target.value)}
+            rows={2}
+            placeholder="BRK.B = BRK-B"
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {/* Dated ticker changes, so trades before and after a rename share one pool */}
+      {brokerUploads.length > 0 && (
+        <SymbolChangesPanel changes={symbolChanges} onChange={setSymbolChanges} />
+      )}
+
+      {/* Opening Section 104 balances for shares bought before the statements start */}
+      {brokerUploads.length > 0 && (
+        <OpeningPositionsPanel positions={openingPositions} onChange={setOpeningPositions} />
+      )}
+
       {error && (
         <div className="p-4 bg-red-900/30 border border-red-700 rounded-lg">
           <p className="text-red-400">⚠️ {error}</p>
@@ -869,6 +1251,24 @@ function StatCard({ label, value, color }) {
   );
 }
 
+// Broker rows combined into one same-day disposal
+function DisposalFills({ fills }) {
+  return (
+    <div className="text-xs text-slate-400">
+      <p className="mb-1">Same-day disposals combined ({fills.length} fills):</p>
+      <ul className="space-y-0.5 pl-3">
+        {fills.map((fill, i) => (
+          <li key={fill.id || i}>
+            {fill.quantity} @ {fill.currency === 'GBP' ? '£' : `${fill.currency} `}{fill.pricePerUnit}
+            {' '}= {formatCurrency(fill.amount)}
+            {fill.broker && <span className="text-slate-500"> ({fill.broker})</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 function MatchingRuleBadges({ matchDetails }) {
   const [activeTooltip, setActiveTooltip] = useState(null);
 
@@ -904,6 +1304,16 @@ function MatchingRuleBadges({ matchDetails }) {
       hmrcUrl: 'https://www.gov.uk/hmrc-internal-manuals/capital-gains-manual/cg51560#IDATR33F',
       description: 'You re-purchased this stock within 30 days of selling. HMRC requires using the cost of the NEW purchase (not your Section 104 pool) to calculate your gain/loss.',
     },
+    REORGANISATION: {
+      label: 'Reorganisation',
+      shortLabel: 'Reorg',
+      bgColor: 'bg-teal-500/20',
+      textColor: 'text-teal-400',
+      borderColor: 'border-teal-500/50',
+      hoverBg: 'hover:bg-teal-500/30',
+      hmrcUrl: 'https://www.gov.uk/hmrc-internal-manuals/capital-gains-manual/cg52521',
+      description: 'Cash received on a share-for-share exchange. Part of the original cost is apportioned to the cash by market value; the rest carries over to the new shares.',
+    },
     SECTION_104: {
       label: 'Section 104',
       shortLabel: 'S104',
@@ -1155,6 +1565,12 @@ function MatchingRuleBadges({ matchDetails }) {
                   </div>
                 )}
 
+                {firstDetail.isESPP && (
+                  <div className="mt-3 px-3 py-2 bg-purple-500/20 text-purple-400 rounded text-sm font-medium">
+                    🛒 ESPP purchase: cost is the purchase date market value, as the discount was taxed as income
+                  </div>
+                )}
+
                 {/* S104 pool info */}
                 {group.rule === 'SECTION_104' && firstDetail.poolQuantityBefore !== undefined && (
                   <div className="mt-4 p-4 bg-blue-500/10 border border-blue-500/30 rounded-lg">
@@ -1320,14 +1736,425 @@ function DividendSection({ dividendData, taxYear }) {
   );
 }
 
+// Corporate actions are entered against an existing holding by ratio, not by quantity and price
+const CORPORATE_ACTION_TYPES = ['SPLIT', 'CONSOLIDATION', 'REORGANISATION', 'DEMERGER'];
+
+// Entries that add to a holding's allowable cost by an amount, without changing units held
+const COST_ADJUSTMENT_TYPES = ['NOTIONAL_DISTRIBUTION'];
+
+const inputClassName = "w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm";
+
+// Parse "ALIAS = SYMBOL" lines (commas also separate entries) into { alias: symbol }
+function parseSecurityAliases(text) {
+  const aliases = {};
+  for (const entry of text.split(/[\n,]/)) {
+    const [alias, symbol] = entry.split('=').map(part => part?.trim().toUpperCase());
+    if (alias && symbol) aliases[alias] = symbol;
+  }
+  return aliases;
+}
+
+// Parse "SYMBOL = method" lines (commas also separate entries) into { symbol: method }, skipping unknown methods
+function parseEmployerVestMethods(text) {
+  const methods = {};
+  for (const entry of text.split(/[\n,]/)) {
+    const [symbol, method] = entry.split('=').map(part => part?.trim());
+    if (symbol && VEST_VALUATION_METHODS[method?.toLowerCase()]) methods[symbol.toUpperCase()] = method.toLowerCase();
+  }
+  return methods;
+}
+
+// How RSU vests are valued, with a choice per equity award broker and per employer
+function VestValuationPanel({ method, onMethodChange, brokers, brokerMethods, onBrokerMethodsChange, employerMethods, onEmployerMethodsChange, threshold, onThresholdChange }) {
+  const selectClassName = "px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm";
+  const equityBrokers = brokers.filter(b => b.equityAwards);
+
+  return (
+    <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-white font-medium text-sm">📊 RSU Vest Valuation</p>
+          <p className="text-slate-400 text-xs">
+            Use the method your employer used for the vest value on your payslip, so the shares&apos; cost matches the income taxed.
+            Vests with no price under the chosen method use the next one available.
+          </p>
+        </div>
+        <select value={method} onChange={(e) => onMethodChange(e.target.value)} className={selectClassName}>
+          {Object.entries(VEST_VALUATION_METHODS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {equityBrokers.map(broker => (
+        <div key={broker.id} className="flex items-center justify-between gap-4">
+          <p className="text-slate-300 text-sm">{broker.icon} {broker.name} vests</p>
+          <select
+            value={brokerMethods[broker.name] || ''}
+            onChange={(e) => onBrokerMethodsChange({ ...brokerMethods, [broker.name]: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Same as above</option>
+            {Object.entries(VEST_VALUATION_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+      <div className="space-y-1">
+        <p className="text-slate-300 text-sm">Per employer (optional)</p>
+        <textarea
+          value={employerMethods}
+          onChange={(e) => onEmployerMethodsChange(e.target.value)}
+          rows={2}
+          placeholder={'ACME = close\nGOOG = average'}
+          className={`${inputClassName} font-mono`}
+        />
+        <p className="text-slate-400 text-xs">
+          One per line, the vesting share&apos;s symbol and one of: {Object.keys(VEST_VALUATION_METHODS).join(', ')}. These take priority over the broker choice.
+        </p>
+      </div>
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-slate-300 text-sm">List vests where the methods differ by more than</p>
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={threshold}
+            onChange={(e) => onThresholdChange(e.target.value)}
+            className="w-20 px-2 py-1 bg-slate-700 text-white text-right rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+          />
+          <span className="text-slate-400 text-sm">%</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Conversion basis for foreign-currency trades, with a choice per broker whose exports include rates
+function ExchangeRatePanel({ policy, onPolicyChange, brokers, brokerPolicies, onBrokerPoliciesChange }) {
+  const selectClassName = "px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm";
+  const withRates = brokers.filter(b => b.statementFxRates);
+
+  return (
+    <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-3">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-white font-medium text-sm">💱 Exchange Rates</p>
+          <p className="text-slate-400 text-xs">
+            HMRC accepts its published monthly rates or daily spot rates, as long as you use one basis consistently.
+            With broker rates, trades with no rate on the statement use the daily rate.
+          </p>
+        </div>
+        <select value={policy} onChange={(e) => onPolicyChange(e.target.value)} className={selectClassName}>
+          {Object.entries(FX_POLICIES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {withRates.map(broker => (
+        <div key={broker.id} className="flex items-center justify-between gap-4">
+          <p className="text-slate-300 text-sm">{broker.icon} {broker.name} statements include exchange rates</p>
+          <select
+            value={brokerPolicies[broker.name] || 'broker'}
+            onChange={(e) => onBrokerPoliciesChange({ ...brokerPolicies, [broker.name]: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="broker">Use {broker.name}&apos;s rates</option>
+            <option value="reference">Use {FX_POLICIES[policy === 'broker' ? 'daily' : policy].toLowerCase()}</option>
+          </select>
+        </div>
+      ))}
+      {brokers.some(b => b.id === 'freetrade') && (
+        <p className="text-slate-400 text-xs">
+          Freetrade exports amounts already converted to GBP, so its own rates are always used. They are compared with the reference rate in the transaction details.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// How a file's numeric dates were read, with a choice to read them the other way
+function DateFormatChoice({ dateFormat, value, onChange }) {
+  const evidence = dateFormat.source === 'inferred'
+    ? `inferred from ${dateFormat.dayFirstDates + dateFormat.monthFirstDates} unambiguous date(s)`
+    : dateFormat.source === 'user'
+      ? 'chosen by you'
+      : `no unambiguous dates, so the broker's usual format was assumed`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+      <span className="text-slate-400">Dates read as</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-xs"
+      >
+        {Object.entries(DATE_FORMATS).map(([format, label]) => (
+          <option key={format} value={format}>{label}</option>
+        ))}
+      </select>
+      <span className="text-slate-500">{evidence}</span>
+      {dateFormat.conflicting && (
+        <span className="text-amber-400">⚠️ Some dates only fit the other format; check this file</span>
+      )}
+      {value !== dateFormat.format && (
+        <span className="text-amber-400">Recalculate to apply</span>
+      )}
+    </div>
+  );
+}
+
+// Statement exchange rates against the reference rate for the same day
+function FxReconciliationTable({ rows }) {
+  const formatRate = (rate) => rate.toLocaleString('en-GB', { maximumFractionDigits: 4 });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-400 border-b border-slate-700">
+            <th className="p-2">Date</th>
+            <th className="p-2">Symbol</th>
+            <th className="p-2">Broker</th>
+            <th className="p-2 text-right">Broker Rate</th>
+            <th className="p-2 text-right">Reference Rate</th>
+            <th className="p-2 text-right">Difference</th>
+            <th className="p-2 text-right">GBP Effect</th>
+            <th className="p-2">Used</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+              <td className="p-2 text-white">{r.date}</td>
+              <td className="p-2 text-white font-medium">{r.symbol}</td>
+              <td className="p-2 text-slate-400 text-xs">{r.broker}</td>
+              <td className="p-2 text-slate-300 text-right">GBP/{r.currency} {formatRate(r.brokerRate)}</td>
+              <td className="p-2 text-slate-300 text-right" title={`Source: ${r.referenceSource}`}>{formatRate(r.referenceRate)}</td>
+              <td className={`p-2 text-right ${Math.abs(r.differencePercent) >= 1 ? 'text-amber-400' : 'text-slate-300'}`}>
+                {r.differencePercent > 0 ? '+' : ''}{r.differencePercent.toFixed(2)}%
+              </td>
+              <td className="p-2 text-slate-300 text-right">{formatCurrency(r.gbpDifference)}</td>
+              <td className="p-2 text-slate-400 text-xs">{r.used === 'broker' ? 'Broker' : 'Reference'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// RSU vests: shares vested, withheld or sold to cover tax, and kept, with the
+// year's vest income compared with the P60 gross pay from the income step
+function RsuVestSection({ vestYear, incomeData, threshold }) {
+  const grossPay = incomeData?.skipped ? 0 : parseFloat(incomeData?.grossPay) || 0;
+  const formatShares = (n) => n.toLocaleString('en-GB', { maximumFractionDigits: 4 });
+  const formatPrice = (vest, price) => vest.currency === 'GBP' ? formatCurrency(price) : `${vest.currency} ${price.toFixed(2)}`;
+  const differing = vestYear.vests.filter(vest => vest.valuationDiffers);
+  const fellBack = vestYear.vests.filter(vest => vest.requestedMethod);
+
+  return (
+    <div className="bg-slate-800/50 rounded-lg p-4">
+      <h3 className="text-white font-medium mb-2 flex items-center gap-2">
+        <span className="text-purple-400">📊</span>
+        RSU Vests
+      </h3>
+      <p className="text-slate-400 text-xs mb-3">
+        Shares sold on the vest day (sell to cover) are matched with the vest under the same-day rule, so their gain is close to nothing.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-400 border-b border-slate-700">
+              <th className="p-2">Vest Date</th>
+              <th className="p-2">Symbol</th>
+              <th className="p-2 text-right">FMV</th>
+              <th className="p-2">Valued at</th>
+              <th className="p-2 text-right">Vested</th>
+              <th className="p-2 text-right">Withheld</th>
+              <th className="p-2 text-right">Sold to Cover</th>
+              <th className="p-2 text-right">Kept</th>
+              <th className="p-2 text-right">Vest Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {vestYear.vests.map((vest, i) => (
+              <tr key={i} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                <td className="p-2 text-white">{vest.date}</td>
+                <td className="p-2 text-white font-medium">{vest.symbol}</td>
+                <td className="p-2 text-slate-300 text-right">{formatPrice(vest, vest.fmv)}</td>
+                <td className="p-2 text-slate-400 text-xs" title={`Price source: ${vest.priceSource}`}>
+                  {vest.valuationMethod || 'fmv'}
+                  {vest.requestedMethod && <span className="ml-1 text-amber-400">(no {vest.requestedMethod})</span>}
+                  {vest.valuationDiffers && <span className="ml-1 text-amber-400">⚠️</span>}
+                </td>
+                <td className="p-2 text-slate-300 text-right">{formatShares(vest.sharesVested)}</td>
+                <td className="p-2 text-slate-300 text-right">{formatShares(vest.sharesWithheld)}</td>
+                <td className="p-2 text-slate-300 text-right" title={vest.sale ? `Gain on the vest-day sale: ${formatCurrency(vest.sale.gain)}` : undefined}>
+                  {formatShares(vest.sharesSoldToCover)}
+                </td>
+                <td className="p-2 text-white text-right">{formatShares(vest.netSharesKept)}</td>
+                <td className="p-2 text-slate-300 text-right">{formatCurrency(vest.value)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="text-white font-medium">
+              <td className="p-2" colSpan={8}>Vest income for the year</td>
+              <td className="p-2 text-right">{formatCurrency(vestYear.value)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {fellBack.length > 0 && (
+        <p className="text-amber-400 text-xs mt-3">
+          {fellBack.length} vest{fellBack.length === 1 ? ' was' : 's were'} valued with another method because the chosen one had no price for the day.
+        </p>
+      )}
+
+      {differing.length > 0 && (
+        <div className="bg-amber-900/30 border border-amber-700/50 rounded-lg p-3 mt-3">
+          <p className="text-amber-400 text-sm mb-2">
+            ⚠️ Valuation methods differ by more than {(threshold * 100).toLocaleString('en-GB')}% for {differing.length} vest{differing.length === 1 ? '' : 's'}.
+            Check the method matches the vest value on your payslip.
+          </p>
+          <ul className="text-xs text-slate-300 space-y-1">
+            {differing.map((vest, i) => (
+              <li key={i}>
+                <span className="text-white">{vest.symbol} {vest.date}</span>:{' '}
+                {Object.entries(vest.valuations)
+                  .filter(([, price]) => price !== null)
+                  .map(([method, price]) => `${method} ${formatPrice(vest, price)}`)
+                  .join(', ')}
+                {' '}(used {vest.valuationMethod}, {(vest.valuationSpread * 100).toFixed(1)}% apart)
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {grossPay === 0 ? (
+        <p className="text-slate-400 text-xs mt-3">
+          Vest income is employment income. Enter your P60 gross pay in the income step to check it is included.
+        </p>
+      ) : vestYear.value > grossPay ? (
+        <div className="bg-red-900/30 border border-red-700/50 rounded-lg p-3 mt-3">
+          <p className="text-red-400 text-sm">
+            ⚠️ Your vests ({formatCurrency(vestYear.value)}) are worth more than the gross pay entered ({formatCurrency(grossPay)}).
+            Vest income is normally included in P60 pay. If your employer didn&apos;t put it through payroll, declare it as employment income.
+          </p>
+        </div>
+      ) : (
+        <div className="bg-blue-900/30 border border-blue-700/50 rounded-lg p-3 mt-3">
+          <p className="text-blue-400 text-sm">
+            💡 Your gross pay of {formatCurrency(grossPay)} should already include the {formatCurrency(vestYear.value)} of vest income,
+            leaving {formatCurrency(grossPay - vestYear.value)} of salary and other pay. Don&apos;t add the vests to the P60 figure, or they are taxed twice.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Tickers a security traded under before a ticker change
+function FormerSymbols({ symbols }) {
+  if (!symbols?.length) return null;
+  return <span className="ml-2 text-xs text-slate-400">formerly {symbols.join(', ')}</span>;
+}
+
+// Ticker changes not in the built-in table: trades before the date move to the new ticker
+function SymbolChangesPanel({ changes, onChange }) {
+  const update = (index, field, value) => {
+    onChange(changes.map((c, i) => i === index ? { ...c, [field]: value } : c));
+  };
+
+  return (
+    <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-2">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-white font-medium text-sm">🔁 Ticker Changes (optional)</p>
+          <p className="text-slate-400 text-xs">
+            Common renames such as FB → META and SQ → XYZ are applied automatically. If a company you hold changed ticker,
+            add the old and new tickers and the date the new one took effect; trades before that date join the new ticker&apos;s pool.
+          </p>
+        </div>
+        <button
+          onClick={() => onChange([...changes, { from: '', to: '', date: '' }])}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded whitespace-nowrap"
+        >
+          + Add change
+        </button>
+      </div>
+      {changes.map((c, i) => (
+        <div key={i} className="grid grid-cols-2 md:grid-cols-4 gap-2 items-center">
+          <input type="text" value={c.from} onChange={(e) => update(i, 'from', e.target.value.toUpperCase())} placeholder="Old ticker" className={inputClassName} />
+          <input type="text" value={c.to} onChange={(e) => update(i, 'to', e.target.value.toUpperCase())} placeholder="New ticker" className={inputClassName} />
+          <input type="date" value={c.date} onChange={(e) => update(i, 'date', e.target.value)} className={inputClassName} />
+          <button onClick={() => onChange(changes.filter((_, idx) => idx !== i))} className="text-red-400 hover:text-red-300 text-sm">✕ Remove</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Section 104 holding as at a date, for shares bought before the uploaded history
+function OpeningPositionsPanel({ positions, onChange }) {
+  const update = (index, field, value) => {
+    onChange(positions.map((p, i) => i === index ? { ...p, [field]: value } : p));
+  };
+
+  return (
+    <div className="p-4 bg-slate-800/50 border border-slate-700 rounded-lg space-y-2">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-white font-medium text-sm">🏦 Opening Section 104 Holdings (optional)</p>
+          <p className="text-slate-400 text-xs">
+            For shares bought before your statements start: the number held and their total pooled cost in GBP as at a date
+            before your first uploaded transaction. These figures are shown as user-declared in the report.
+          </p>
+        </div>
+        <button
+          onClick={() => onChange([...positions, { symbol: '', date: '', quantity: '', cost: '' }])}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded whitespace-nowrap"
+        >
+          + Add holding
+        </button>
+      </div>
+      {positions.map((p, i) => (
+        <div key={i} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+          <input type="text" value={p.symbol} onChange={(e) => update(i, 'symbol', e.target.value.toUpperCase())} placeholder="Symbol" className={inputClassName} />
+          <input type="date" value={p.date} onChange={(e) => update(i, 'date', e.target.value)} className={inputClassName} />
+          <input type="number" step="any" min="0" value={p.quantity} onChange={(e) => update(i, 'quantity', e.target.value)} placeholder="Quantity" className={inputClassName} />
+          <input type="number" step="0.01" min="0" value={p.cost} onChange={(e) => update(i, 'cost', e.target.value)} placeholder="Pooled cost £" className={inputClassName} />
+          <button onClick={() => onChange(positions.filter((_, idx) => idx !== i))} className="text-red-400 hover:text-red-300 text-sm">✕ Remove</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const emptyTransactionForm = () => ({
+  date: CalendarDate.today().toString(),
+  type: 'BUY',
+  symbol: '',
+  quantity: '',
+  pricePerUnit: '',
+  ratio: '',
+  newSymbol: '',
+  cashAmount: '',
+  newSharePrice: '',
+  parentSharePrice: '',
+});
+
 function AddTransactionForm({ onAdd, onCancel }) {
-  const [formData, setFormData] = useState({
-    date: new Date().toISOString().split('T')[0],
-    type: 'BUY',
-    symbol: '',
-    quantity: '',
-    pricePerUnit: '',
-  });
+  const [formData, setFormData] = useState(emptyTransactionForm);
+  const isCorporateAction = CORPORATE_ACTION_TYPES.includes(formData.type);
+  const isReorganisation = formData.type === 'REORGANISATION';
+  const isDemerger = formData.type === 'DEMERGER';
+  const hasNewSymbol = isReorganisation || isDemerger;
+  const isCostAdjustment = COST_ADJUSTMENT_TYPES.includes(formData.type);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -1336,25 +2163,64 @@ function AddTransactionForm({ onAdd, onCancel }) {
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (isCorporateAction) {
+      if (!formData.symbol || !formData.ratio || (hasNewSymbol && !formData.newSymbol)) {
+        alert(hasNewSymbol
+          ? 'Please enter both symbols and the share ratio (e.g. 1:2)'
+          : 'Please enter the symbol and ratio (e.g. 4:1)');
+        return;
+      }
+      onAdd({
+        date: formData.date,
+        type: formData.type,
+        symbol: formData.symbol,
+        ratio: formData.ratio,
+        quantity: 0,
+        pricePerUnit: 0,
+        totalAmount: isReorganisation ? parseFloat(formData.cashAmount) || 0 : 0,
+        ...(hasNewSymbol && {
+          newSymbol: formData.newSymbol,
+          newSharePrice: parseFloat(formData.newSharePrice) || 0,
+        }),
+        ...(isDemerger && {
+          parentSharePrice: parseFloat(formData.parentSharePrice) || 0,
+        }),
+        broker: 'Manual Entry',
+      });
+      setFormData(emptyTransactionForm());
+      return;
+    }
+    if (isCostAdjustment) {
+      if (!formData.symbol || !formData.cashAmount) {
+        alert('Please enter the symbol and amount');
+        return;
+      }
+      onAdd({
+        date: formData.date,
+        type: formData.type,
+        symbol: formData.symbol,
+        quantity: 0,
+        pricePerUnit: 0,
+        totalAmount: parseFloat(formData.cashAmount) || 0,
+        broker: 'Manual Entry',
+      });
+      setFormData(emptyTransactionForm());
+      return;
+    }
     if (!formData.symbol || !formData.quantity || !formData.pricePerUnit) {
       alert('Please fill in all fields');
       return;
     }
     onAdd({
-      ...formData,
+      date: formData.date,
+      symbol: formData.symbol,
       quantity: parseFloat(formData.quantity),
       pricePerUnit: parseFloat(formData.pricePerUnit),
       totalAmount: parseFloat(formData.quantity) * parseFloat(formData.pricePerUnit),
       broker: 'Manual Entry',
       type: formData.type,
     });
-    setFormData({
-      date: new Date().toISOString().split('T')[0],
-      type: 'BUY',
-      symbol: '',
-      quantity: '',
-      pricePerUnit: '',
-    });
+    setFormData(emptyTransactionForm());
   };
 
   return (
@@ -1367,7 +2233,7 @@ function AddTransactionForm({ onAdd, onCancel }) {
             name="date"
             value={formData.date}
             onChange={handleChange}
-            className="w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+            className={inputClassName}
           />
         </div>
         <div>
@@ -1376,48 +2242,163 @@ function AddTransactionForm({ onAdd, onCancel }) {
             name="type"
             value={formData.type}
             onChange={handleChange}
-            className="w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+            className={inputClassName}
           >
             <option value="BUY">BUY</option>
             <option value="SELL">SELL</option>
+            <option value="RIGHTS_ISSUE">RIGHTS ISSUE / OPEN OFFER</option>
+            <option value="SCRIP_DIVIDEND">SCRIP DIVIDEND</option>
+            <option value="NOTIONAL_DISTRIBUTION">NOTIONAL DISTRIBUTION (accumulation)</option>
+            <option value="SPLIT">SPLIT</option>
+            <option value="CONSOLIDATION">CONSOLIDATION</option>
+            <option value="REORGANISATION">REORGANISATION (takeover)</option>
+            <option value="DEMERGER">DEMERGER (spin-off)</option>
           </select>
         </div>
         <div>
-          <label className="block text-xs font-medium text-slate-300 mb-1">Symbol</label>
+          <label className="block text-xs font-medium text-slate-300 mb-1">{isReorganisation ? 'Old Symbol' : isDemerger ? 'Parent Symbol' : 'Symbol'}</label>
           <input
             type="text"
             name="symbol"
             value={formData.symbol}
             onChange={handleChange}
             placeholder="e.g., GOOG"
-            className="w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
-          />
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-slate-300 mb-1">Quantity</label>
-          <input
-            type="number"
-            name="quantity"
-            step="0.01"
-            value={formData.quantity}
-            onChange={handleChange}
-            placeholder="0"
-            className="w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
-          />
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-slate-300 mb-1">Price</label>
-          <input
-            type="number"
-            name="pricePerUnit"
-            step="0.01"
-            value={formData.pricePerUnit}
-            onChange={handleChange}
-            placeholder="0.00"
-            className="w-full px-2 py-1 bg-slate-700 text-white rounded border border-slate-600 focus:border-blue-500 focus:outline-none text-sm"
+            className={inputClassName}
           />
         </div>
+        {hasNewSymbol && (
+          <div>
+            <label className="block text-xs font-medium text-slate-300 mb-1">{isDemerger ? 'Spun-off Symbol' : 'New Symbol'}</label>
+            <input
+              type="text"
+              name="newSymbol"
+              value={formData.newSymbol}
+              onChange={handleChange}
+              placeholder={isDemerger ? 'e.g., HLN' : 'Acquirer ticker'}
+              className={inputClassName}
+            />
+          </div>
+        )}
+        {isCorporateAction ? (
+          <div className={hasNewSymbol ? '' : 'md:col-span-2'}>
+            <label className="block text-xs font-medium text-slate-300 mb-1">Ratio (new:old)</label>
+            <input
+              type="text"
+              name="ratio"
+              value={formData.ratio}
+              onChange={handleChange}
+              placeholder={formData.type === 'CONSOLIDATION' ? 'e.g., 1:10' : hasNewSymbol ? 'e.g., 1:2' : 'e.g., 4:1'}
+              className={inputClassName}
+            />
+          </div>
+        ) : isCostAdjustment ? (
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-slate-300 mb-1">Amount Reinvested (£)</label>
+            <input
+              type="number"
+              name="cashAmount"
+              step="0.01"
+              value={formData.cashAmount}
+              onChange={handleChange}
+              placeholder="0.00"
+              className={inputClassName}
+            />
+          </div>
+        ) : (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-slate-300 mb-1">Quantity</label>
+              <input
+                type="number"
+                name="quantity"
+                step="0.01"
+                value={formData.quantity}
+                onChange={handleChange}
+                placeholder="0"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-300 mb-1">Price</label>
+              <input
+                type="number"
+                name="pricePerUnit"
+                step="0.01"
+                value={formData.pricePerUnit}
+                onChange={handleChange}
+                placeholder="0.00"
+                className={inputClassName}
+              />
+            </div>
+          </>
+        )}
+        {isReorganisation && (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-slate-300 mb-1">Cash Received (£ total)</label>
+              <input
+                type="number"
+                name="cashAmount"
+                step="0.01"
+                value={formData.cashAmount}
+                onChange={handleChange}
+                placeholder="0.00"
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-300 mb-1">New Share Value (£)</label>
+              <input
+                type="number"
+                name="newSharePrice"
+                step="0.01"
+                value={formData.newSharePrice}
+                onChange={handleChange}
+                placeholder="Market value per share"
+                className={inputClassName}
+              />
+            </div>
+          </>
+        )}
       </div>
+      {isDemerger && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-300 mb-1">Parent First-Day Price</label>
+            <input
+              type="number"
+              name="parentSharePrice"
+              step="0.01"
+              value={formData.parentSharePrice}
+              onChange={handleChange}
+              placeholder="Auto"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-300 mb-1">Spun-off First-Day Price</label>
+            <input
+              type="number"
+              name="newSharePrice"
+              step="0.01"
+              value={formData.newSharePrice}
+              onChange={handleChange}
+              placeholder="Auto"
+              className={inputClassName}
+            />
+          </div>
+          <p className="text-slate-400 text-xs md:col-span-3 self-end">
+            Part of the parent&apos;s pool cost moves to the spun-off company in proportion to first-day market values.
+            Leave the prices blank to use closing prices on the demerger date, or enter them (in the same currency) to override.
+          </p>
+        </div>
+      )}
+      {isReorganisation && (
+        <p className="text-slate-400 text-xs">
+          The original cost moves to the new symbol. If you also received cash, cost is apportioned by market value
+          (cash ÷ (cash + value of new shares)) and the cash part is treated as a disposal.
+        </p>
+      )}
       <div className="flex gap-2 justify-end">
         <button
           type="button"
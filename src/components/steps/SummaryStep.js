@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { formatCurrency } from '@/lib/constants';
+import { ROUNDING_POLICIES } from '@/lib/rounding-policy';
 import FeedbackWidget from '@/components/ui/FeedbackWidget';
 import { trackStepCompleted, trackEditIncome, trackEditCGT } from '@/lib/analytics';
 import { trackSummaryReached } from '@/lib/meta-pixel';
@@ -13,6 +14,7 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
 
   const yearData = cgtResult?.report?.taxYears?.find(y => y.taxYear === taxYear);
   const hasIncome = !incomeData.skipped && parseFloat(incomeData.grossPay) > 0;
+  const esppIncome = cgtResult?.report?.esppIncome?.find(y => y.taxYear === taxYear);
 
   useEffect(() => {
     calculateTax();
@@ -43,17 +45,20 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
     const pensionContributions = parseFloat(incomeData.pensionContributions) || 0;
 
     let capitalGains = 0;
-    let capitalGainsSplit = { pre: 0, post: 0 };
+    let capitalGainsSplit = { pre: 0, post: 0, losses: 0 };
 
     if (yearData) {
       capitalGains = yearData.netGain;
+      // Send gains before losses so the tax engine can set losses against the higher-rate period
       if (yearData.rateChange) {
         capitalGainsSplit = {
-          pre: yearData.rateChange.preOctober.netGain,
-          post: yearData.rateChange.postOctober.netGain,
+          pre: yearData.rateChange.preOctober.gains,
+          post: yearData.rateChange.postOctober.gains,
+          losses: yearData.totalLosses,
         };
       } else {
-        capitalGainsSplit.pre = yearData.netGain;
+        capitalGainsSplit.pre = yearData.totalGains;
+        capitalGainsSplit.losses = yearData.totalLosses;
       }
     }
 
@@ -69,6 +74,9 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
           pensionContributions,
           capitalGains,
           capitalGainsSplit,
+          capitalLossesBroughtForward: yearData?.lossLedger?.broughtForward || 0,
+          // Round gains the same way as the CGT report
+          roundingPolicy: yearData?.roundingPolicy,
           incomeSkipped: incomeData.skipped,
         }),
       });
@@ -109,6 +117,14 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
           {summary.pensionContributions > 0 && <Row label="Pension" value={-summary.pensionContributions} />}
           <Row label="Personal Allowance" value={-summary.personalAllowance} />
           <Row label="Taxable Income" value={summary.taxableIncome} bold />
+          {esppIncome && <EsppIncomeNote esppIncome={esppIncome} />}
+        </Section>
+      )}
+
+      {/* ESPP discount with no income entered */}
+      {!hasIncome && esppIncome && (
+        <Section title="🛒 ESPP Discount">
+          <EsppIncomeNote esppIncome={esppIncome} />
         </Section>
       )}
 
@@ -149,6 +165,9 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
           <Row label="Total Gains" value={yearData.totalGains} color="green" />
           <Row label="Total Losses" value={-yearData.totalLosses} color="red" />
           <Row label="Net Gain" value={yearData.netGain} bold />
+          {yearData.lossLedger?.used > 0 && (
+            <Row label="Losses Brought Forward Used" value={-yearData.lossLedger.used} />
+          )}
           <Row label="Annual Exemption" value={-yearData.annualExemption} />
           <Row label="Taxable Gains" value={yearData.taxableGain} bold />
 
@@ -167,6 +186,9 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
               <p className="text-blue-400 text-sm">
                 📉 You made a net loss of {formatCurrency(Math.abs(yearData.netGain))}. This can be carried forward to offset future gains.
               </p>
+              <p className="text-slate-400 text-xs mt-1">
+                Report the loss to HMRC within 4 years of the end of the tax year to be able to use it.
+              </p>
             </div>
           )}
 
@@ -229,6 +251,7 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
                       </span>
                     </div>
                   </div>
+                  <ReliefAllocationLine allocation={taxCalc?.capitalGainsTax?.allocation?.find(a => a.key === 'pre')} />
                   {taxCalc?.capitalGainsTax?.preOctTax !== undefined && (
                     <div className="text-xs mt-1">
                       <span className="text-slate-500">Tax:</span>
@@ -252,6 +275,7 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
                       </span>
                     </div>
                   </div>
+                  <ReliefAllocationLine allocation={taxCalc?.capitalGainsTax?.allocation?.find(a => a.key === 'post')} />
                   {taxCalc?.capitalGainsTax?.postOctTax !== undefined && (
                     <div className="text-xs mt-1">
                       <span className="text-slate-500">Tax:</span>
@@ -260,6 +284,12 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
                   )}
                 </div>
               </div>
+
+              {taxCalc?.capitalGainsTax?.allocationSavings > 0 && (
+                <p className="text-green-400 text-xs mt-3">
+                  ✅ Losses and the annual exemption were set against the higher-rate gains first, saving {formatCurrency(taxCalc.capitalGainsTax.allocationSavings)} compared with splitting them in proportion to gains.
+                </p>
+              )}
             </div>
           )}
 
@@ -275,6 +305,10 @@ export default function SummaryStep({ taxYear, incomeData, cgtResult, interestDa
         </Section>
       )}
 
+      {hasCGTData && yearData.sa108 && (
+        <SA108Section sa108={yearData.sa108} lossLedger={yearData.lossLedger} roundingPolicy={yearData.roundingPolicy} />
+      )}
+
       {!hasCGTData && (
         <Section title="📈 Capital Gains Tax">
           <p className="text-slate-400 text-center py-4">No CGT data for this tax year</p>
@@ -368,6 +402,59 @@ function Row({ label, value, bold, color }) {
   );
 }
 
+// The ESPP discount is employment income already taxed through payroll, so it is shown, not added
+function EsppIncomeNote({ esppIncome }) {
+  return (
+    <div className="bg-slate-800/50 rounded-lg p-3 mt-2">
+      <Row label={`ESPP discount taxed through payroll (${esppIncome.purchases.length} purchase${esppIncome.purchases.length === 1 ? '' : 's'})`} value={esppIncome.discount} />
+      <p className="text-slate-400 text-xs mt-1">
+        Already included in your P60 gross pay, so it is not added again. Your ESPP shares&apos; CGT cost is their market value at purchase.
+      </p>
+    </div>
+  );
+}
+
+function ReliefAllocationLine({ allocation }) {
+  if (!allocation || (allocation.lossesSet === 0 && allocation.exemptionSet === 0)) return null;
+  return (
+    <div className="text-xs mt-1">
+      <span className="text-slate-500">Losses / exemption set off:</span>
+      <span className="text-white ml-1">
+        {formatCurrency(allocation.lossesSet)} / {formatCurrency(allocation.exemptionSet)}
+      </span>
+    </div>
+  );
+}
+
+function SA108Section({ sa108, lossLedger, roundingPolicy }) {
+  return (
+    <Section title="📝 Self Assessment (SA108) Figures">
+      <div className="flex justify-between text-sm">
+        <span className="text-slate-400">Number of disposals</span>
+        <span className="text-white">{sa108.numberOfDisposals}</span>
+      </div>
+      <Row label="Disposal proceeds" value={sa108.disposalProceeds} />
+      <Row label="Allowable costs (including purchase price)" value={sa108.allowableCosts} />
+      <Row label="Gains in the year, before losses" value={sa108.gainsBeforeLosses} />
+      <Row label="Losses in the year" value={sa108.lossesInYear} />
+      <Row label="Losses brought forward and used in the year" value={sa108.lossesBroughtForwardUsed} />
+      <Row label="Losses available to carry forward" value={sa108.lossesCarriedForward} bold />
+
+      {lossLedger && (
+        <div className="bg-slate-800/50 rounded-lg p-3 mt-2 text-xs text-slate-400">
+          Loss ledger: {formatCurrency(lossLedger.broughtForward)} brought forward
+          {lossLedger.arising > 0 && <> + {formatCurrency(lossLedger.arising)} net loss this year</>}
+          {' '}− {formatCurrency(lossLedger.used)} used = {formatCurrency(lossLedger.carriedForward)} carried forward
+        </div>
+      )}
+
+      {roundingPolicy && roundingPolicy !== 'exact' && (
+        <p className="text-slate-400 text-xs mt-2">Rounding: {ROUNDING_POLICIES[roundingPolicy]}.</p>
+      )}
+    </Section>
+  );
+}
+
 function DividendSummarySection({ dividendData, taxYear, taxableIncome }) {
   if (!dividendData || dividendData.totalDividends === 0) {
     return null;
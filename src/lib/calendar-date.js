@@ -0,0 +1,103 @@
+/**
+ * CalendarDate
+ * A day on the calendar with no time of day and no timezone. Trade dates,
+ * tax year boundaries and FX dates are days, not instants: a JavaScript Date
+ * for "3 April" is midnight in some timezone, and toISOString() or a
+ * different server timezone can turn it into 2 April. CalendarDate keeps the
+ * year, month and day as written, and does its arithmetic on day numbers, so
+ * matching, tax years and rate lookups are the same wherever the code runs.
+ *
+ * Values are immutable, compare with < and > (valueOf is the day number), and
+ * serialise as 'YYYY-MM-DD'.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})/;
+
+export class CalendarDate {
+  /**
+   * @param {number} year
+   * @param {number} month - 1 to 12
+   * @param {number} day - 1 to 31
+   */
+  constructor(year, month, day) {
+    // Date.UTC is only used as a calendar here; no timezone is involved
+    const utc = new Date(Date.UTC(year, month - 1, day));
+    if (utc.getUTCFullYear() !== year || utc.getUTCMonth() !== month - 1 || utc.getUTCDate() !== day) {
+      throw new RangeError(`${year}-${month}-${day} is not a calendar date`);
+    }
+    this.year = year;
+    this.month = month;
+    this.day = day;
+    // Days since 1970-01-01
+    this.dayNumber = utc.getTime() / MS_PER_DAY;
+    Object.freeze(this);
+  }
+
+  /**
+   * Convert a CalendarDate, a 'YYYY-MM-DD' string (anything after the date,
+   * such as a time, is ignored) or a Date (its local calendar day).
+   * Other formats are read by parseCalendarDate in date-format.js.
+   */
+  static from(value) {
+    if (value instanceof CalendarDate) return value;
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) throw new RangeError('Cannot read an invalid Date as a CalendarDate');
+      return new CalendarDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const match = String(value ?? '').trim().match(ISO_DATE);
+    if (!match) throw new RangeError(`Cannot read "${value}" as a YYYY-MM-DD date`);
+    return new CalendarDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+  }
+
+  // Days since 1970-01-01
+  static fromDayNumber(dayNumber) {
+    const utc = new Date(dayNumber * MS_PER_DAY);
+    return new CalendarDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+  }
+
+  // Today in the timezone the code runs in
+  static today() {
+    return CalendarDate.from(new Date());
+  }
+
+  // 0 for Sunday to 6 for Saturday
+  get dayOfWeek() {
+    return (((this.dayNumber + 4) % 7) + 7) % 7;
+  }
+
+  addDays(days) {
+    return CalendarDate.fromDayNumber(this.dayNumber + days);
+  }
+
+  // Days from this date to `other`, negative if `other` is earlier
+  daysUntil(other) {
+    return CalendarDate.from(other).dayNumber - this.dayNumber;
+  }
+
+  compare(other) {
+    return this.dayNumber - CalendarDate.from(other).dayNumber;
+  }
+
+  equals(other) {
+    return other != null && this.compare(other) === 0;
+  }
+
+  // Local midnight on this day, for display with Date APIs
+  toDate() {
+    return new Date(this.year, this.month - 1, this.day);
+  }
+
+  valueOf() {
+    return this.dayNumber;
+  }
+
+  toString() {
+    return `${String(this.year).padStart(4, '0')}-${String(this.month).padStart(2, '0')}-${String(this.day).padStart(2, '0')}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
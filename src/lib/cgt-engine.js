@@ -4,12 +4,47 @@
  * 1. Same-day rule - Match with acquisitions on the same day
  * 2. Bed and Breakfast rule - Match with acquisitions within 30 days AFTER disposal
  * 3. Section 104 Pool - Average cost basis for remaining shares
+ *
+ * Events are processed in date order, and every change to a pool is recorded in
+ * a dated ledger (section104History) with its running quantity and cost. The
+ * year-start and year-end holdings and the pool working are read from it.
+ *
+ * Share reorganisations (splits and consolidations) rescale holdings without
+ * changing their cost, as required by TCGA 1992 s127. Share-for-share exchanges
+ * (s135) carry the cost into the acquiring company's pool, with any cash
+ * consideration treated as a part disposal. Demergers split the pool cost
+ * between parent and child by first-day market values.
+ *
+ * Rights issues and open offers (s126-128) are treated as acquired with the
+ * original holding, so the shares taken up join the pool at their subscription
+ * cost. Scrip dividends (s142) are new acquisitions at the cash dividend forgone.
+ * Excess reportable income from offshore reporting funds and notional
+ * distributions on accumulation units are added to the pool cost without
+ * changing the number of units held.
+ *
+ * Rounding policy: money and share quantities are exact decimals (see
+ * decimal.js) throughout the calculation, and the Section 104 pool keeps its
+ * exact cost, so nothing is rounded until it is reported. Each disposal's
+ * proceeds and cost are rounded once under the chosen rounding policy (see
+ * rounding-policy.js: to the penny, or whole pounds), its gain is the rounded
+ * proceeds less the rounded cost, and year totals are the sums of the disposals
+ * as reported, so every figure adds up on the page. Other reported amounts
+ * (pool costs, per-share figures) are rounded to the nearest penny.
  */
 
+import { allocateReliefs } from './relief-allocation.js';
+import { createSecurityResolver } from './security-identity.js';
+import { applySymbolChanges, summariseSymbolChanges } from './symbol-changes.js';
+import { Decimal } from './decimal.js';
+import { CalendarDate } from './calendar-date.js';
+import { parseCalendarDate } from './date-format.js';
+import { DEFAULT_ROUNDING_POLICY, roundReported, validateRoundingPolicy } from './rounding-policy.js';
+import { DEFAULT_VEST_VALUATION_THRESHOLD, valuationSpread } from './vest-valuation.js';
+
 export const TAX_YEARS = {
   "2025/26": {
-    start: new Date("2025-04-06"),
-    end: new Date("2026-04-05"),
+    start: CalendarDate.from("2025-04-06"),
+    end: CalendarDate.from("2026-04-05"),
     annualExemption: 3000,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -17,11 +52,11 @@ export const TAX_YEARS = {
     higherRateProperty: 0.24,
   },
   "2024/25": {
-    start: new Date("2024-04-06"),
-    end: new Date("2025-04-05"),
+    start: CalendarDate.from("2024-04-06"),
+    end: CalendarDate.from("2025-04-05"),
     annualExemption: 3000,
     // CGT rates changed 30 October 2024 (Autumn Budget 2024)
-    rateChangeDate: new Date("2024-10-30"),
+    rateChangeDate: CalendarDate.from("2024-10-30"),
     // Before 30 Oct 2024
     basicRateSharesPre: 0.10,
     higherRateSharesPre: 0.20,
@@ -35,8 +70,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.24,
   },
   "2023/24": {
-    start: new Date("2023-04-06"),
-    end: new Date("2024-04-05"),
+    start: CalendarDate.from("2023-04-06"),
+    end: CalendarDate.from("2024-04-05"),
     annualExemption: 6000,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -44,8 +79,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2022/23": {
-    start: new Date("2022-04-06"),
-    end: new Date("2023-04-05"),
+    start: CalendarDate.from("2022-04-06"),
+    end: CalendarDate.from("2023-04-05"),
     annualExemption: 12300,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -53,8 +88,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2021/22": {
-    start: new Date("2021-04-06"),
-    end: new Date("2022-04-05"),
+    start: CalendarDate.from("2021-04-06"),
+    end: CalendarDate.from("2022-04-05"),
     annualExemption: 12300,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -62,8 +97,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2020/21": {
-    start: new Date("2020-04-06"),
-    end: new Date("2021-04-05"),
+    start: CalendarDate.from("2020-04-06"),
+    end: CalendarDate.from("2021-04-05"),
     annualExemption: 12300,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -71,8 +106,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2019/20": {
-    start: new Date("2019-04-06"),
-    end: new Date("2020-04-05"),
+    start: CalendarDate.from("2019-04-06"),
+    end: CalendarDate.from("2020-04-05"),
     annualExemption: 12000,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -80,8 +115,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2018/19": {
-    start: new Date("2018-04-06"),
-    end: new Date("2019-04-05"),
+    start: CalendarDate.from("2018-04-06"),
+    end: CalendarDate.from("2019-04-05"),
     annualExemption: 11700,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -89,8 +124,8 @@ export const TAX_YEARS = {
     higherRateProperty: 0.28,
   },
   "2017/18": {
-    start: new Date("2017-04-06"),
-    end: new Date("2018-04-05"),
+    start: CalendarDate.from("2017-04-06"),
+    end: CalendarDate.from("2018-04-05"),
     annualExemption: 11300,
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -99,103 +134,13 @@ export const TAX_YEARS = {
   },
 };
 
-/**
- * Format date to YYYY-MM-DD string using local time (not UTC)
- * This avoids timezone issues where toISOString() shifts dates
- */
-function formatDateLocal(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
+// Dates reaching the engine are normally YYYY-MM-DD already: the API converts
+// each file's dates using its inferred format (see date-format.js). Every date
+// in the engine is a CalendarDate, so no timezone can move a trade to another day.
 function parseDate(dateStr) {
-  if (dateStr instanceof Date) return dateStr;
-
-  // Handle null/undefined/empty
-  if (!dateStr) {
-    console.warn('[CGT] parseDate received null/undefined/empty date');
-    return null;
-  }
-
-  // Handle string conversion
-  const str = String(dateStr).trim();
-
-  // Skip empty strings
-  if (!str) {
-    console.warn('[CGT] parseDate received empty string');
-    return null;
-  }
-
-  // ISO format: YYYY-MM-DD (e.g., "2025-07-06")
-  const isoMatch = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (isoMatch) {
-    const [, year, month, day] = isoMatch;
-    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-  }
-
-  // Slash format: could be MM/DD/YYYY (US) or DD/MM/YYYY (UK)
-  const slashMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (slashMatch) {
-    const [, first, second, year] = slashMatch;
-    const firstNum = parseInt(first);
-    const secondNum = parseInt(second);
-    const yearNum = parseInt(year);
-
-    // Heuristic to detect format:
-    // - If first number > 12, it MUST be day (UK format: DD/MM/YYYY)
-    // - If second number > 12, it MUST be day (US format: MM/DD/YYYY)
-    // - Otherwise, assume US format (MM/DD/YYYY) since Schwab uses this
-
-    if (firstNum > 12) {
-      // UK format: DD/MM/YYYY (first is day, second is month)
-      return new Date(yearNum, secondNum - 1, firstNum);
-    } else if (secondNum > 12) {
-      // US format: MM/DD/YYYY (first is month, second is day)
-      return new Date(yearNum, firstNum - 1, secondNum);
-    } else {
-      // Ambiguous - assume US format (MM/DD/YYYY) since Schwab uses this
-      return new Date(yearNum, firstNum - 1, secondNum);
-    }
-  }
-
-  // Dash format: DD-MM-YYYY
-  const dashMatch = str.match(/^(\d{2})-(\d{2})-(\d{4})$/);
-  if (dashMatch) {
-    const [, day, month, year] = dashMatch;
-    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-  }
-
-  // Try datetime with space (YYYY-MM-DD HH:MM:SS)
-  if (str.includes(' ') && str.match(/^\d{4}-\d{2}-\d{2}/)) {
-    const datePart = str.split(' ')[0];
-    const isoMatch2 = datePart.match(/^(\d{4})-(\d{2})-(\d{2})/);
-    if (isoMatch2) {
-      const [, year, month, day] = isoMatch2;
-      return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-    }
-  }
-
-  // Fallback to Date.parse
-  const parsed = new Date(str);
-  if (!isNaN(parsed.getTime())) return parsed;
-
-  console.warn(`[CGT] Unable to parse date: "${dateStr}"`);
-  return null;
-}
-
-function isSameDay(date1, date2) {
-  return (
-    date1.getFullYear() === date2.getFullYear() &&
-    date1.getMonth() === date2.getMonth() &&
-    date1.getDate() === date2.getDate()
-  );
-}
-
-function getDaysDifference(date1, date2) {
-  const oneDay = 24 * 60 * 60 * 1000;
-  return Math.round((date2.getTime() - date1.getTime()) / oneDay);
+  const date = parseCalendarDate(dateStr);
+  if (!date) console.warn(`[CGT] Unable to parse date: "${dateStr}"`);
+  return date;
 }
 
 function getTaxYear(date) {
@@ -206,15 +151,13 @@ function getTaxYear(date) {
   }
 
   // Generate tax year dynamically for dates outside predefined range
-  const year = date.getFullYear();
-  const month = date.getMonth(); // 0-indexed
-  const day = date.getDate();
+  const { year, month, day } = date;
 
   // UK tax year runs from April 6 to April 5
   // If before April 6, it's the previous year's tax year (e.g., Jan 2017 is in 2016/17)
   // If April 6 or after, it's the current year's tax year (e.g., May 2017 is in 2017/18)
   let taxYearStart;
-  if (month < 3 || (month === 3 && day < 6)) {
+  if (month < 4 || (month === 4 && day < 6)) {
     // Before April 6 - belongs to previous tax year
     taxYearStart = year - 1;
   } else {
@@ -224,13 +167,13 @@ function getTaxYear(date) {
 
   const taxYearLabel = `${taxYearStart}/${(taxYearStart + 1).toString().slice(-2)}`;
 
-  console.warn(`[CGT-ENGINE] Date ${formatDateLocal(date)} outside predefined tax years, calculated as ${taxYearLabel}`);
+  console.warn(`[CGT-ENGINE] Date ${date} outside predefined tax years, calculated as ${taxYearLabel}`);
 
   // Use default rates for older years
   return {
     year: taxYearLabel,
-    start: new Date(`${taxYearStart}-04-06`),
-    end: new Date(`${taxYearStart + 1}-04-05`),
+    start: new CalendarDate(taxYearStart, 4, 6),
+    end: new CalendarDate(taxYearStart + 1, 4, 5),
     annualExemption: 11300, // Default to older exemption amount
     basicRateShares: 0.10,
     higherRateShares: 0.20,
@@ -239,11 +182,123 @@ function getTaxYear(date) {
   };
 }
 
-function round2dp(num) {
-  return Math.round(num * 100) / 100;
+// Reporting boundary: an exact amount rounded to the nearest penny, as a number
+function round2dp(amount) {
+  return Decimal.from(amount).round(2).toNumber();
+}
+
+// Average cost per share of a pool, zero when it is empty
+function averageCost(pool) {
+  return pool.quantity.isPositive() ? pool.cost.div(pool.quantity) : Decimal.ZERO;
+}
+
+// Pool state as recorded in the Section 104 history
+function describePool(pool) {
+  return {
+    quantity: pool.quantity.toNumber(),
+    cost: round2dp(pool.cost),
+    avgCost: round2dp(averageCost(pool)),
+  };
+}
+
+// Pool state after the last of a run of Section 104 ledger entries
+function ledgerBalance(entries) {
+  return entries.length > 0 ? entries[entries.length - 1].poolAfter : { quantity: 0, cost: 0, avgCost: 0 };
+}
+
+// Year-start or year-end pool as shown in the report
+function snapshotEntry(symbol, balance, entries, formerSymbols) {
+  return {
+    symbol,
+    quantity: round2dp(balance.quantity),
+    totalCost: balance.cost,
+    averageCost: balance.avgCost,
+    ...(entries.some((entry) => entry.type === 'OPENING_POSITION') && { userDeclared: true }),
+    ...(formerSymbols && { formerSymbols }),
+  };
+}
+
+// Events that change the number of shares held without any disposal or acquisition
+const SHARE_REORGANISATION_TYPES = new Set(["SPLIT", "CONSOLIDATION"]);
+
+// Corporate actions carry no share quantity of their own (the holding is used)
+const CORPORATE_ACTION_TYPES = new Set([...SHARE_REORGANISATION_TYPES, "REORGANISATION", "DEMERGER"]);
+
+// Events that change the pool's allowable cost without changing the units held
+const POOL_COST_ADJUSTMENT_TYPES = new Set(["EXCESS_REPORTABLE_INCOME", "NOTIONAL_DISTRIBUTION"]);
+
+// Corporate actions that move some or all of a holding's cost into another symbol
+const CROSS_SYMBOL_ACTION_TYPES = new Set(["REORGANISATION", "DEMERGER"]);
+
+// Shares moved between brokers in specie: no change to the pool, no disposal
+const TRANSFER_TYPES = new Set(["TRANSFER_IN", "TRANSFER_OUT"]);
+
+// How far apart the two sides of a transfer may be recorded
+const TRANSFER_PAIRING_DAYS = 31;
+
+// Rescaling by a ratio such as 1:3 can leave a pool a tiny fraction of a share
+// away from the shares actually held; a sale within this of the pool takes all of it
+const QUANTITY_DUST = Decimal.from("0.000000001");
+
+// Cash on a reorganisation is "small" (TCGA 1992 s122(2)) at or below £3,000 or
+// 5% of the value of the holding exchanged
+const SMALL_DISTRIBUTION_LIMIT = Decimal.from(3000);
+const SMALL_DISTRIBUTION_FRACTION = Decimal.from("0.05");
+
+/**
+ * Parse a split/consolidation ratio into new shares received per old share held,
+ * kept as a fraction so that a 1-for-3 consolidation followed by a 3-for-1 split
+ * gives back exactly the shares held before.
+ * Accepts "new:old" (e.g. "4:1" for a 4-for-1 split, "1:10" for a 1-for-10
+ * consolidation), "new for old", or a plain number which is read as n-for-1 for
+ * a SPLIT and 1-for-n for a CONSOLIDATION.
+ * @returns {{ numerator: Decimal, denominator: Decimal } | null}
+ */
+function parseShareRatio(type, ratio) {
+  if (ratio === undefined || ratio === null || ratio === '') return null;
+
+  const str = String(ratio).trim().toLowerCase();
+  const pairMatch = str.match(/^(\d*\.?\d+)\s*(?::|\/|for)\s*(\d*\.?\d+)$/);
+
+  let numerator;
+  let denominator;
+  if (pairMatch) {
+    numerator = Decimal.from(pairMatch[1]);
+    denominator = Decimal.from(pairMatch[2]);
+  } else {
+    const n = parseFloat(str);
+    if (isNaN(n) || n <= 0) return null;
+    numerator = type === "CONSOLIDATION" && n > 1 ? Decimal.ONE : Decimal.from(n);
+    denominator = type === "CONSOLIDATION" && n > 1 ? Decimal.from(n) : Decimal.ONE;
+  }
+
+  return numerator.isPositive() && denominator.isPositive() ? { numerator, denominator } : null;
+}
+
+// Shares held after a reorganisation with this ratio
+function applyShareRatio(quantity, ratio) {
+  return quantity.times(ratio.numerator).div(ratio.denominator);
 }
 
-function normalizeTransactions(transactions) {
+// New shares per old share, as reported
+function shareRatioValue(ratio) {
+  return ratio.numerator.div(ratio.denominator).toNumber();
+}
+
+/**
+ * Combined share ratio of reorganisations effective after `fromDate` and on or
+ * before `toDate`, i.e. how many shares at `toDate` one share at `fromDate` became
+ */
+function getShareRatioBetween(shareActions, fromDate, toDate) {
+  return shareActions
+    .filter((a) => a.ratio && a.date > fromDate && a.date <= toDate)
+    .reduce((combined, a) => ({
+      numerator: combined.numerator.times(a.ratio.numerator),
+      denominator: combined.denominator.times(a.ratio.denominator),
+    }), { numerator: Decimal.ONE, denominator: Decimal.ONE });
+}
+
+function normalizeTransactions(transactions, resolver) {
   return transactions
     .map((t, index) => {
       const parsedDate = parseDate(t.date);
@@ -252,214 +307,1273 @@ function normalizeTransactions(transactions) {
         console.warn(`[CGT] Skipping transaction with invalid date: ${t.date}`);
         return null;
       }
+      const type = t.type.toUpperCase();
+      const espp = type === "BUY" ? normalizeEspp(t.espp) : null;
       return {
         id: `txn-${index}-${Date.now()}`,
         date: parsedDate,
-        type: t.type.toUpperCase(),
-        symbol: t.symbol.toUpperCase().trim(),
+        type,
+        // One symbol per security, whichever ticker/ISIN/SEDOL the broker reported
+        symbol: resolver.resolve(t),
+        reportedSymbol: t.reportedSymbol || t.symbol,
+        // Ticker before a dated symbol change (e.g. FB before it became META)
+        formerSymbol: t.formerSymbol || null,
         assetName: t.assetName || t.symbol,
-        quantity: Math.abs(parseFloat(t.quantity) || 0),
-        pricePerUnit: parseFloat(t.pricePerUnit) || 0,
-        totalAmount: t.totalAmount !== null ? parseFloat(t.totalAmount) : null,
-        fees: parseFloat(t.fees) || 0,
+        quantity: Decimal.from(parseFloat(t.quantity) || 0).abs(),
+        // An ESPP purchase costs its market value: the discount was taxed as income
+        pricePerUnit: espp ? espp.purchaseFmv : Decimal.from(parseFloat(t.pricePerUnit) || 0),
+        totalAmount: !espp && t.totalAmount !== null && t.totalAmount !== undefined ? Decimal.from(parseFloat(t.totalAmount) || 0) : null,
+        espp,
+        // RSU vest: shares vested before any withheld to cover tax
+        vest: type === "BUY" && t.vest ? normalizeVest(t.vest, t.quantity) : null,
+        fees: Decimal.from(parseFloat(t.fees) || 0),
         currency: t.currency || "GBP",
-        exchangeRate: parseFloat(t.exchangeRate) || 1,
+        exchangeRate: Decimal.from(parseFloat(t.exchangeRate) || 1),
+        exchangeRateSource: t.exchangeRateSource || null,
+        // Where the price came from, e.g. 'csv' or 'yahoo_finance_close' for a vest valued at the close
+        priceSource: t.priceSource || null,
         broker: t.broker || "Unknown",
         used: false,
-        remainingQty: Math.abs(parseFloat(t.quantity) || 0),
+        remainingQty: Decimal.from(parseFloat(t.quantity) || 0).abs(),
+        ratio: CORPORATE_ACTION_TYPES.has(type) ? parseShareRatio(type, t.ratio) : null,
+        // Share-for-share exchange / demerger: the other company's ticker and market value per new share
+        newSymbol: t.newSymbol ? resolver.resolve(t.newSymbol) : null,
+        newSharePrice: Decimal.from(parseFloat(t.newSharePrice) || 0),
+        // Demerger: market value per original share once the child company is split off
+        parentSharePrice: Decimal.from(parseFloat(t.parentSharePrice) || 0),
+        // Demerger: where each of the two prices came from, e.g. 'manual' or 'yahoo_finance_historical'
+        parentPriceSource: t.parentPriceSource || null,
+        newPriceSource: t.newPriceSource || null,
+        // Reporting fund income: amount per unit held, less any equalisation for the holding
+        amountPerUnit: Decimal.from(parseFloat(t.amountPerUnit) || 0),
+        equalisation: Decimal.from(parseFloat(t.equalisation) || 0),
       };
     })
-    .filter((t) => t !== null && t.quantity > 0)
-    .sort((a, b) => a.date.getTime() - b.date.getTime());
+    .filter((t) => t !== null && (t.quantity.isPositive() || CORPORATE_ACTION_TYPES.has(t.type) || POOL_COST_ADJUSTMENT_TYPES.has(t.type)))
+    .sort((a, b) => a.date.compare(b.date));
 }
 
+/**
+ * ESPP purchase details from the parsers, with the price paid and the purchase
+ * date FMV as exact decimals. Null when there is no usable FMV.
+ */
+function normalizeEspp(espp) {
+  const purchaseFmv = Decimal.from(parseFloat(espp?.purchaseFmv) || 0);
+  if (!purchaseFmv.isPositive()) return null;
+  return {
+    purchasePrice: Decimal.from(parseFloat(espp.purchasePrice) || 0),
+    purchaseFmv,
+    offeringFmv: parseFloat(espp.offeringFmv) > 0 ? Decimal.from(parseFloat(espp.offeringFmv)) : null,
+    offeringDate: espp.offeringDate ? String(espp.offeringDate) : null,
+  };
+}
+
+/**
+ * RSU vest details from the parsers. Without a withheld figure the whole vest
+ * was deposited, and any shares sold to cover tax appear as a sale on the day.
+ */
+function normalizeVest(vest, quantity) {
+  const deposited = Decimal.from(parseFloat(quantity) || 0).abs();
+  const withheldQuantity = Decimal.from(parseFloat(vest.withheldQuantity) || 0).abs();
+  const grossQuantity = Decimal.max(Decimal.from(parseFloat(vest.grossQuantity) || 0).abs(), deposited.plus(withheldQuantity));
+  return {
+    grossQuantity,
+    withheldQuantity,
+    // Set when the vest was valued (see vest-valuation.js): the method used,
+    // and the one chosen if it had no price for the day
+    valuationMethod: vest.valuationMethod || null,
+    requestedMethod: vest.requestedMethod || null,
+    valuations: vest.valuations || null,
+  };
+}
+
+/**
+ * Section 104 holdings declared by the user for shares bought before the
+ * earliest transaction in their statements: quantity and pooled cost (GBP) as at a date
+ */
+function normalizeOpeningPositions(positions = []) {
+  return positions
+    .map((p) => ({
+      type: "OPENING_POSITION",
+      symbol: String(p.symbol || "").toUpperCase().trim(),
+      date: parseDate(p.date),
+      quantity: Decimal.from(parseFloat(p.quantity) || 0).abs(),
+      cost: Decimal.from(parseFloat(p.cost) || 0).abs(),
+    }))
+    .filter((p) => p.symbol && p.date && p.quantity.isPositive());
+}
+
+// Part of a transaction's amount attributable to `quantity` of its shares
+function apportion(amount, quantity, transaction) {
+  return quantity.eq(transaction.quantity) ? amount : amount.times(quantity).div(transaction.quantity);
+}
+
+// Exact GBP cost of `quantity` shares of an acquisition, fees included
 function calculateCost(transaction, quantity) {
-  const proportion = quantity / transaction.quantity;
   const baseCost = transaction.totalAmount !== null
-    ? transaction.totalAmount * proportion
-    : quantity * transaction.pricePerUnit;
-  const fees = transaction.fees * proportion;
-  return round2dp((baseCost + fees) / transaction.exchangeRate);
+    ? apportion(transaction.totalAmount, quantity, transaction)
+    : quantity.times(transaction.pricePerUnit);
+  const fees = apportion(transaction.fees, quantity, transaction);
+  return baseCost.plus(fees).div(transaction.exchangeRate);
 }
 
+// Exact GBP proceeds of `quantity` shares of a disposal, net of fees
 function calculateProceeds(transaction, quantity) {
-  const proportion = quantity / transaction.quantity;
   const baseProceeds = transaction.totalAmount !== null
-    ? transaction.totalAmount * proportion
-    : quantity * transaction.pricePerUnit;
-  const fees = transaction.fees * proportion;
-  return round2dp((baseProceeds - fees) / transaction.exchangeRate);
+    ? apportion(transaction.totalAmount, quantity, transaction)
+    : quantity.times(transaction.pricePerUnit);
+  const fees = apportion(transaction.fees, quantity, transaction);
+  return baseProceeds.minus(fees).div(transaction.exchangeRate);
+}
+
+/**
+ * All disposals of a security on one day are a single disposal, and all
+ * acquisitions on one day a single acquisition (TCGA 1992 s105), so partial
+ * fills are combined before matching. The original rows are kept in `fills`.
+ * Fills in different currencies or at different exchange rates are combined in GBP.
+ */
+function aggregateSameDay(transactions) {
+  const byDate = new Map();
+  for (const t of transactions) {
+    const key = t.date.toString();
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(t);
+  }
+
+  return Array.from(byDate.values()).map((fills) => {
+    if (fills.length === 1) return fills[0];
+
+    const [first] = fills;
+    const sameCurrency = fills.every((f) => f.currency === first.currency && f.exchangeRate.eq(first.exchangeRate));
+    const toCommon = (amount, fill) => sameCurrency ? amount : amount.div(fill.exchangeRate);
+    const amountOf = (fill) => fill.totalAmount !== null ? fill.totalAmount : fill.quantity.times(fill.pricePerUnit);
+
+    const quantity = Decimal.sum(fills.map((f) => f.quantity));
+    const totalAmount = Decimal.sum(fills.map((f) => toCommon(amountOf(f), f)));
+    const fees = Decimal.sum(fills.map((f) => toCommon(f.fees, f)));
+    const brokers = new Set(fills.map((f) => f.broker));
+    const types = new Set(fills.map((f) => f.type));
+
+    return {
+      ...first,
+      type: types.size === 1 ? first.type : "BUY",
+      quantity,
+      remainingQty: quantity,
+      totalAmount,
+      pricePerUnit: quantity.isPositive() ? totalAmount.div(quantity) : Decimal.ZERO,
+      fees,
+      currency: sameCurrency ? first.currency : "GBP",
+      exchangeRate: sameCurrency ? first.exchangeRate : Decimal.ONE,
+      broker: brokers.size === 1 ? first.broker : "Multiple",
+      fills,
+    };
+  });
+}
+
+// A scrip dividend keeps its treatment when combined with a same-day purchase
+function includesScripDividend(acquisition) {
+  return acquisition.type === "SCRIP_DIVIDEND" || !!acquisition.fills?.some((f) => f.type === "SCRIP_DIVIDEND");
+}
+
+/**
+ * Group symbols that take cost from each other, directly or through a chain of
+ * reorganisations and demergers (strongly connected components, by Tarjan's
+ * algorithm). Each group comes after the groups it takes cost from.
+ * @param {Array} symbols - Symbols in the order they should otherwise be processed
+ * @param {Function} sourcesOf - Symbols whose cost moves into the given symbol
+ * @returns {Array} - Groups of symbols
+ */
+function dependencyGroups(symbols, sourcesOf) {
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const groups = [];
+
+  const connect = (symbol) => {
+    const index = indexOf.size;
+    indexOf.set(symbol, index);
+    lowLink.set(symbol, index);
+    stack.push(symbol);
+    onStack.add(symbol);
+
+    for (const source of sourcesOf(symbol)) {
+      if (!indexOf.has(source)) {
+        connect(source);
+        lowLink.set(symbol, Math.min(lowLink.get(symbol), lowLink.get(source)));
+      } else if (onStack.has(source)) {
+        lowLink.set(symbol, Math.min(lowLink.get(symbol), indexOf.get(source)));
+      }
+    }
+
+    if (lowLink.get(symbol) !== index) return;
+    const group = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      group.unshift(member);
+    } while (member !== symbol);
+    groups.push(group);
+  };
+
+  for (const symbol of symbols) {
+    if (!indexOf.has(symbol)) connect(symbol);
+  }
+  return groups;
+}
+
+/**
+ * A symbol's acquisitions in date order (one per day, after aggregateSameDay)
+ * with a cursor past those already settled into the Section 104 pool. Events
+ * are processed in date order, so the cursor only moves forward and each
+ * lookup reads just the days it needs rather than every acquisition.
+ */
+class AcquisitionIndex {
+  constructor(buys) {
+    this.buys = buys;
+    this.next = 0;
+  }
+
+  // Whether any acquisition is dated before `date`
+  hasBefore(date) {
+    return this.buys.length > 0 && this.buys[0].date < date;
+  }
+
+  // Move the cursor past acquisitions dated before `date` (all of them when
+  // date is null), returning those it passed
+  settleBefore(date) {
+    const start = this.next;
+    while (this.next < this.buys.length && (!date || this.buys[this.next].date < date)) {
+      this.next++;
+    }
+    return this.buys.slice(start, this.next);
+  }
+
+  // Unsettled acquisitions on the same day as `date`
+  onDay(date) {
+    const matches = [];
+    for (let i = this.next; i < this.buys.length && this.buys[i].date.equals(date); i++) {
+      matches.push(this.buys[i]);
+    }
+    return matches;
+  }
+
+  // Unsettled acquisitions 1 to `days` days after `date`, in date order
+  within(date, days) {
+    const matches = [];
+    for (let i = this.next; i < this.buys.length; i++) {
+      const daysDiff = date.daysUntil(this.buys[i].date);
+      if (daysDiff > days) break;
+      if (daysDiff > 0) matches.push(this.buys[i]);
+    }
+    return matches;
+  }
+}
+
+/**
+ * Describe the rows combined into a same-day disposal or acquisition
+ */
+function describeFills(aggregate, amountFn) {
+  if (!aggregate.fills) return undefined;
+  return aggregate.fills.map((fill) => ({
+    id: fill.id,
+    type: fill.type,
+    quantity: fill.quantity.toNumber(),
+    pricePerUnit: fill.pricePerUnit.toNumber(),
+    currency: fill.currency,
+    amount: round2dp(amountFn(fill, fill.quantity)),
+    broker: fill.broker,
+    ...(describeFx(fill) && { fx: describeFx(fill) }),
+  }));
+}
+
+/**
+ * The exchange rate used to convert a transaction to GBP, quoted as units of
+ * the currency per GBP (e.g. GBP/USD 1.27). Null for GBP transactions.
+ */
+function describeFx(transaction) {
+  if (!transaction.currency || transaction.currency === "GBP") return null;
+  return {
+    pair: `GBP/${transaction.currency}`,
+    rate: transaction.exchangeRate.toNumber(),
+    source: transaction.exchangeRateSource || "broker",
+  };
+}
+
+/**
+ * The ESPP purchases in an acquisition: the price paid, the market values per
+ * share and the discount taxed as employment income, in GBP. Null if none of
+ * the acquisition is ESPP.
+ */
+function describeEspp(acquisition) {
+  const purchases = (acquisition.fills || [acquisition]).filter((fill) => fill.espp);
+  if (purchases.length === 0) return null;
+
+  const quantity = Decimal.sum(purchases.map((p) => p.quantity));
+  const perShare = (field) => Decimal.sum(purchases.map((p) => p.espp[field].times(p.quantity))).div(quantity);
+  const purchasePrice = perShare("purchasePrice");
+  const purchaseFmv = perShare("purchaseFmv");
+  const discount = Decimal.sum(purchases.map((p) => p.espp.purchaseFmv.minus(p.espp.purchasePrice).times(p.quantity).div(p.exchangeRate)));
+  const { offeringFmv, offeringDate } = purchases[0].espp;
+
+  // Plans price at a discount to the lower of the offering and purchase date FMVs
+  const lookbackFmv = offeringFmv && offeringFmv.lt(purchaseFmv) ? offeringFmv : purchaseFmv;
+
+  return {
+    quantity: quantity.toNumber(),
+    currency: purchases[0].currency,
+    purchasePrice: purchasePrice.round(4).toNumber(),
+    purchaseFmv: purchaseFmv.round(4).toNumber(),
+    offeringFmv: offeringFmv ? offeringFmv.toNumber() : null,
+    offeringDate,
+    discountRate: Decimal.ONE.minus(purchasePrice.div(lookbackFmv)).round(4).toNumber(),
+    discountPerShare: purchaseFmv.minus(purchasePrice).round(4).toNumber(),
+    discount: round2dp(discount),
+  };
 }
 
 export class CGTCalculator {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.broughtForwardLosses - Unused allowable losses from
+   *   tax years before the earliest disposal in the data
+   * @param {Array} options.openingPositions - [{ symbol, date, quantity, cost }]
+   *   Section 104 holdings as at a date, for shares bought before the data starts
+   * @param {Object} options.securityAliases - { alias: symbol } identifiers the
+   *   user wants treated as the same security (e.g. { 'BRK.B': 'BRK-B' })
+   * @param {Array} options.symbolChanges - [{ from, to, date }] ticker changes
+   *   in addition to the built-in table; trades before the date use the new ticker
+   * @param {string} options.fxPolicy - Basis the foreign-currency amounts were
+   *   converted on ('daily', 'hmrc-monthly' or 'broker'), recorded in the report
+   * @param {Object} options.fxBrokerPolicies - { [broker name]: basis } where a
+   *   broker's amounts were converted on a different basis
+   * @param {string} options.roundingPolicy - How disposal figures are rounded for
+   *   the return: 'exact' (default), 'whole-pound-favourable' or 'whole-pound-nearest'
+   */
+  constructor(options = {}) {
+    this.broughtForwardLosses = Math.max(0, parseFloat(options.broughtForwardLosses) || 0);
     this.section104Pools = {};
     this.section104History = {}; // Track history of pool changes
     this.section104Snapshots = {}; // Track S104 state at start/end of each tax year
     this.disposals = [];
+    this.disposalsByDay = new Map(); // "SYMBOL|YYYY-MM-DD" -> the first disposal of that symbol on the day
     this.acquisitions = []; // Track all acquisitions for display
+    this.esppIncome = {}; // ESPP discounts taxed as employment income, by tax year
+    this.vestIncome = {}; // RSU vests and their value taxed as employment income, by tax year
+    this.vestValuation = options.vestValuation || null; // How vests were valued, per employer or broker
+    this.vestValuationThreshold = options.vestValuation?.threshold ?? DEFAULT_VEST_VALUATION_THRESHOLD;
+    this.corporateActions = []; // Splits/consolidations/reorganisations applied to holdings
+    this.inboundHoldings = {}; // Pool additions carried in from another symbol, by target symbol
+    this.poolAdjustments = []; // Changes to pool cost with no change in units (e.g. reportable income)
+    this.openingPositions = normalizeOpeningPositions(options.openingPositions); // User-declared S104 balances
+    this.securityAliases = options.securityAliases || {};
+    this.securities = []; // Securities reported under more than one identifier
+    this.symbolChanges = options.symbolChanges || []; // User-entered dated ticker changes
+    this.appliedSymbolChanges = []; // Ticker changes that renamed trades in the data
+    this.formerSymbols = {}; // Pool symbol -> tickers it traded under before a change
+    this.fxPolicy = options.fxPolicy || null;
+    this.fxBrokerPolicies = options.fxBrokerPolicies || {};
+    this.roundingPolicy = validateRoundingPolicy(options.roundingPolicy || DEFAULT_ROUNDING_POLICY);
+    this.transfers = []; // Paired TRANSFER_OUT/TRANSFER_IN between brokers
     this.errors = [];
   }
 
   calculate(rawTransactions) {
-    const transactions = normalizeTransactions(rawTransactions);
+    // Renamed companies keep one pool: trades before a ticker change take the new ticker
+    const renamed = applySymbolChanges(rawTransactions, this.symbolChanges);
+    const renamedPositions = applySymbolChanges(this.openingPositions, this.symbolChanges);
+    this.appliedSymbolChanges = summariseSymbolChanges([...renamed, ...renamedPositions], this.symbolChanges);
+
+    const resolver = createSecurityResolver({ aliases: this.securityAliases, transactions: renamed });
+    const normalized = normalizeTransactions(renamed, resolver);
+    for (const t of normalized) {
+      if (!t.formerSymbol || t.formerSymbol === t.symbol) continue;
+      if (!this.formerSymbols[t.symbol]) this.formerSymbols[t.symbol] = [];
+      if (!this.formerSymbols[t.symbol].includes(t.formerSymbol)) this.formerSymbols[t.symbol].push(t.formerSymbol);
+    }
+    this.openingPositions = renamedPositions.map((p) => ({ ...p, symbol: resolver.resolve(p.symbol) }));
+
+    // Foreign-currency amounts with no exchange rate would otherwise be taken as GBP
+    for (const t of normalized) {
+      if (t.currency !== "GBP" && t.exchangeRate.eq(1) && !t.exchangeRateSource) {
+        this.errors.push({
+          type: "MISSING_EXCHANGE_RATE",
+          symbol: t.symbol,
+          date: t.date.toString(),
+          message: `Warning: ${t.type} of ${t.symbol} on ${t.date} is in ${t.currency} but has no exchange rate, so its amounts were used as GBP.`,
+        });
+      }
+    }
+
+    // Transfers between brokers keep their cost basis and never touch the pool
+    this.pairTransfers(normalized.filter((t) => TRANSFER_TYPES.has(t.type)));
+    const transactions = normalized.filter((t) => !TRANSFER_TYPES.has(t.type));
 
     const bySymbol = {};
     for (const t of transactions) {
       if (!bySymbol[t.symbol]) bySymbol[t.symbol] = [];
       bySymbol[t.symbol].push(t);
     }
+    for (const position of this.openingPositions) {
+      if (!bySymbol[position.symbol]) bySymbol[position.symbol] = [];
+    }
 
-    for (const symbol of Object.keys(bySymbol)) {
-      this.processSymbol(symbol, bySymbol[symbol]);
+    // Reorganisations and demergers move cost from one symbol into another, so
+    // the source symbol must be processed first
+    const sourcesBySymbol = {};
+    for (const t of transactions) {
+      if (CROSS_SYMBOL_ACTION_TYPES.has(t.type) && t.newSymbol) {
+        if (!sourcesBySymbol[t.newSymbol]) sourcesBySymbol[t.newSymbol] = new Set();
+        sourcesBySymbol[t.newSymbol].add(t.symbol);
+        if (!bySymbol[t.newSymbol]) bySymbol[t.newSymbol] = [];
+      }
     }
 
+    // Symbols that take cost from each other (e.g. a reorganisation into a
+    // ticker that resolves to the same security) are processed together
+    const groups = dependencyGroups(Object.keys(bySymbol), (symbol) => sourcesBySymbol[symbol] || []);
+    for (const group of groups) {
+      this.processSymbols(group.map((symbol) => [symbol, bySymbol[symbol] || []]));
+    }
+
+    this.securities = resolver.getSecurities();
+
     return this.generateReport();
   }
 
-  processSymbol(symbol, transactions) {
+  /**
+   * Pair each TRANSFER_OUT with a TRANSFER_IN of the same symbol and quantity
+   * recorded within TRANSFER_PAIRING_DAYS, usually in another broker's file.
+   * Either side without a partner is reported, as the shares may be missing
+   * from (or counted twice in) the uploaded history.
+   */
+  pairTransfers(transfers) {
+    const transfersIn = transfers.filter((t) => t.type === "TRANSFER_IN");
+    const transfersOut = transfers.filter((t) => t.type === "TRANSFER_OUT");
+    const paired = new Set();
+
+    for (const out of transfersOut) {
+      const match = transfersIn
+        .filter((t) =>
+          !paired.has(t) &&
+          t.symbol === out.symbol &&
+          t.quantity.minus(out.quantity).abs().lt("0.000001") &&
+          Math.abs(out.date.daysUntil(t.date)) <= TRANSFER_PAIRING_DAYS
+        )
+        .sort((a, b) => Math.abs(out.date.daysUntil(a.date)) - Math.abs(out.date.daysUntil(b.date)))[0];
+
+      if (!match) continue;
+      paired.add(out);
+      paired.add(match);
+
+      this.transfers.push({
+        symbol: out.symbol,
+        quantity: out.quantity.toNumber(),
+        dateOut: out.date.toString(),
+        dateIn: match.date.toString(),
+        fromBroker: out.broker,
+        toBroker: match.broker,
+      });
+    }
+
+    for (const t of transfers) {
+      if (paired.has(t)) continue;
+      const direction = t.type === "TRANSFER_IN" ? "into" : "out of";
+      const missingSide = t.type === "TRANSFER_IN" ? "sending" : "receiving";
+      this.errors.push({
+        type: "UNPAIRED_TRANSFER",
+        symbol: t.symbol,
+        date: t.date.toString(),
+        quantity: t.quantity.toNumber(),
+        broker: t.broker,
+        message: `Warning: transfer of ${t.quantity} ${t.symbol} ${direction} ${t.broker} on ${t.date} has no matching transfer from the ${missingSide} account. Upload that account's history (or the original purchases) so the shares' cost is included; transfers are not treated as acquisitions or disposals.`,
+      });
+    }
+  }
+
+  /**
+   * Process a group of symbols that take cost from each other (usually just
+   * one symbol). Their events run in one date-ordered loop, so shares moved
+   * into a symbol of the group by a reorganisation or demerger join its pool
+   * on the day, even when that symbol was already part way through its events.
+   * @param {Array} entries - [[symbol, transactions]]
+   */
+  processSymbols(entries) {
+    const states = entries.map(([symbol, transactions]) => this.prepareSymbol(symbol, transactions));
+    const stateOf = new Map(states.map((state) => [state.symbol, state]));
+
+    // Opening positions are balances at the start of their date; corporate
+    // actions take effect at the start of their date, so they apply before
+    // that day's sells. Events of one symbol on one day keep their order.
+    const eventOrder = (t) => t.type === "OPENING_POSITION" ? -1 : t.type === "SELL" ? 1 : 0;
+    const byDate = (a, b) => a.event.date.compare(b.event.date) || eventOrder(a.event) - eventOrder(b.event);
+    const pending = states.flatMap((state) => state.events.map((event) => ({ state, event }))).sort(byDate);
+
+    // Holdings moved into the group, including those created while it runs
+    const queued = new Set();
+    const queueInbound = (from) => {
+      let added = false;
+      for (const state of states) {
+        for (const holding of this.inboundHoldings[state.symbol] || []) {
+          if (queued.has(holding)) continue;
+          queued.add(holding);
+          pending.push({ state, event: holding });
+          added = true;
+        }
+      }
+      if (!added) return;
+      for (const item of pending.splice(from).sort(byDate)) pending.push(item);
+    };
+    queueInbound(0);
+
+    for (let i = 0; i < pending.length; i++) {
+      const { state, event } = pending[i];
+      const { symbol, index, shareActions } = state;
+
+      // Acquisitions before this date can no longer be matched under the
+      // same-day or B&B rules, so they join the pool first and the pool's
+      // ledger stays in date order
+      this.addSettledBuysToPool(symbol, index, event.date);
+
+      if (event.type === "OPENING_POSITION") {
+        this.processOpeningPosition(symbol, event, index);
+      } else if (event.type === "SELL") {
+        this.processDisposal(symbol, event, index, shareActions);
+      } else if (event.type === "REORGANISATION") {
+        this.processReorganisation(symbol, event);
+      } else if (POOL_COST_ADJUSTMENT_TYPES.has(event.type)) {
+        this.processPoolCostAdjustment(symbol, event);
+      } else if (event.type === "RIGHTS_ISSUE") {
+        this.processRightsIssue(symbol, event);
+      } else if (event.type === "DEMERGER") {
+        this.processDemerger(symbol, event);
+      } else if (event.type === "REORGANISATION_IN" || event.type === "DEMERGER_IN") {
+        this.processInboundHolding(symbol, event);
+      } else {
+        this.processShareReorganisation(symbol, event);
+      }
+
+      if (CROSS_SYMBOL_ACTION_TYPES.has(event.type) && stateOf.has(event.newSymbol)) {
+        queueInbound(i + 1);
+      }
+    }
+
+    for (const { symbol, index, buys } of states) {
+      this.addSettledBuysToPool(symbol, index, null);
+
+      for (const buy of buys) {
+        this.recordVest(symbol, buy);
+      }
+    }
+  }
+
+  /**
+   * Set up a symbol's pool, record its acquisitions and collect the events
+   * that change its pool, for processSymbols
+   */
+  prepareSymbol(symbol, transactions) {
     if (!this.section104Pools[symbol]) {
-      this.section104Pools[symbol] = { quantity: 0, cost: 0 };
+      this.section104Pools[symbol] = { quantity: Decimal.ZERO, cost: Decimal.ZERO };
     }
     if (!this.section104History[symbol]) {
       this.section104History[symbol] = [];
     }
 
-    const buys = transactions.filter((t) => t.type === "BUY");
-    const sells = transactions.filter((t) => t.type === "SELL");
+    // A scrip dividend is a new acquisition costing the cash dividend forgone
+    const buys = aggregateSameDay(transactions.filter((t) => t.type === "BUY" || t.type === "SCRIP_DIVIDEND"));
+    const sells = aggregateSameDay(transactions.filter((t) => t.type === "SELL"));
+    const rightsIssues = transactions.filter((t) => t.type === "RIGHTS_ISSUE");
+    const costAdjustments = transactions.filter((t) => POOL_COST_ADJUSTMENT_TYPES.has(t.type));
+    const shareActions = transactions.filter((t) => SHARE_REORGANISATION_TYPES.has(t.type));
+    const reorganisations = transactions.filter((t) => CROSS_SYMBOL_ACTION_TYPES.has(t.type));
+    const openings = this.openingPositions.filter((p) => p.symbol === symbol);
 
-    // Track acquisitions (including RSU vestings)
+    // Track acquisitions (including RSU vestings and ESPP purchases)
     for (const buy of buys) {
       const cost = calculateCost(buy, buy.quantity);
-      const costPerShare = round2dp(cost / buy.quantity);
+      const costPerShare = round2dp(cost.div(buy.quantity));
+      const espp = describeEspp(buy);
+      if (espp) this.recordEsppIncome(symbol, buy, espp);
 
       this.acquisitions.push({
         symbol,
-        date: formatDateLocal(buy.date),
-        quantity: buy.quantity,
+        date: buy.date.toString(),
+        quantity: buy.quantity.toNumber(),
         totalCost: round2dp(cost),
         costPerShare,
         broker: buy.broker,
-        isRSU: buy.broker === 'Charles Schwab' && buy.pricePerUnit > 0, // RSU vesting from Schwab
+        ...(buy.formerSymbol && { formerSymbol: buy.formerSymbol }),
+        isRSU: !!buy.vest || (buy.broker === 'Charles Schwab' && buy.pricePerUnit.isPositive() && !espp), // RSU vesting
+        ...(espp && { isESPP: true, espp }),
+        ...(includesScripDividend(buy) && { isScripDividend: true }),
+        ...(buy.fills && { fills: describeFills(buy, calculateCost) }),
+        fx: describeFx(buy),
         priceSource: buy.priceSource || 'csv',
       });
     }
 
-    for (const disposal of sells) {
-      this.processDisposal(symbol, disposal, buys, transactions);
+    return {
+      symbol,
+      buys,
+      shareActions,
+      index: new AcquisitionIndex(buys),
+      events: [...openings, ...sells, ...shareActions, ...reorganisations, ...rightsIssues, ...costAdjustments],
+    };
+  }
+
+  /**
+   * Record an RSU vest for the vest view: the shares vested, withheld and sold
+   * on the day to cover tax, and the vest value taxed as employment income
+   * through payroll. Sales on the vest day are matched with the vest under the
+   * same-day rule, so their gain is close to nothing.
+   */
+  recordVest(symbol, buy) {
+    const vests = (buy.fills || [buy]).filter((fill) => fill.vest);
+    if (vests.length === 0) return;
+
+    const date = buy.date.toString();
+    const sharesVested = Decimal.sum(vests.map((v) => v.vest.grossQuantity));
+    const sharesWithheld = Decimal.sum(vests.map((v) => v.vest.withheldQuantity));
+    const sharesDeposited = Decimal.sum(vests.map((v) => v.quantity));
+    // The vest value is the FMV of every share vested, withheld shares included
+    const value = Decimal.sum(vests.map((v) => v.vest.grossQuantity.times(v.pricePerUnit).div(v.exchangeRate)));
+    const fmv = Decimal.sum(vests.map((v) => v.vest.grossQuantity.times(v.pricePerUnit))).div(sharesVested);
+
+    const sale = this.disposalsByDay.get(`${symbol}|${date}`);
+    // Valuations under each method, listed when they differ by more than the threshold
+    const { valuationMethod, requestedMethod, valuations } = vests[0].vest;
+    const spread = valuationSpread(valuations, vests[0].pricePerUnit.toNumber());
+    const sharesSold = sale ? Decimal.min(sale.quantity, sharesDeposited) : Decimal.ZERO;
+
+    const { year } = getTaxYear(buy.date);
+    if (!this.vestIncome[year]) {
+      this.vestIncome[year] = { taxYear: year, vests: [], value: Decimal.ZERO };
     }
+    const income = this.vestIncome[year];
+    const reportedValue = round2dp(value);
 
-    for (const buy of buys) {
-      if (buy.remainingQty > 0) {
-        const cost = calculateCost(buy, buy.remainingQty);
-        const poolBefore = {
-          quantity: this.section104Pools[symbol].quantity,
-          cost: this.section104Pools[symbol].cost,
-          avgCost: this.section104Pools[symbol].quantity > 0
-            ? round2dp(this.section104Pools[symbol].cost / this.section104Pools[symbol].quantity)
-            : 0,
-        };
+    income.vests.push({
+      symbol,
+      date,
+      broker: vests[0].broker,
+      currency: vests[0].currency,
+      fmv: fmv.round(4).toNumber(),
+      sharesVested: sharesVested.toNumber(),
+      sharesWithheld: sharesWithheld.toNumber(),
+      sharesSoldToCover: sharesSold.toNumber(),
+      netSharesKept: sharesDeposited.minus(sharesSold).toNumber(),
+      value: reportedValue,
+      priceSource: vests[0].priceSource || 'csv',
+      ...(valuationMethod && { valuationMethod }),
+      ...(requestedMethod && requestedMethod !== valuationMethod && { requestedMethod }),
+      ...(valuations && { valuations, valuationSpread: Math.round(spread * 10000) / 10000 }),
+      ...(spread > this.vestValuationThreshold && { valuationDiffers: true }),
+      ...(sale && { sale: { disposalId: sale.id, quantity: sale.quantity, proceeds: sale.proceeds, gain: sale.gain } }),
+      ...(describeFx(vests[0]) && { fx: describeFx(vests[0]) }),
+    });
+    // Summed from the vests as reported, so the total matches the list
+    income.value = income.value.plus(reportedValue);
+  }
 
-        this.section104Pools[symbol].quantity += buy.remainingQty;
-        this.section104Pools[symbol].cost += cost;
+  /**
+   * Add a disposal to the report, indexed by symbol and day so recordVest can
+   * find a sale to cover tax without scanning every disposal
+   */
+  addDisposal(disposal) {
+    this.disposals.push(disposal);
+    const key = `${disposal.symbol}|${disposal.date}`;
+    if (!this.disposalsByDay.has(key)) this.disposalsByDay.set(key, disposal);
+  }
 
-        const poolAfter = {
-          quantity: this.section104Pools[symbol].quantity,
-          cost: this.section104Pools[symbol].cost,
-          avgCost: round2dp(this.section104Pools[symbol].cost / this.section104Pools[symbol].quantity),
-        };
+  /**
+   * Add an ESPP purchase's discount to the employment income of its tax year.
+   * The discount is normally taxed through payroll, so this is for reference:
+   * it should already be in the year's gross pay.
+   */
+  recordEsppIncome(symbol, buy, espp) {
+    const { year } = getTaxYear(buy.date);
+    if (!this.esppIncome[year]) {
+      this.esppIncome[year] = { taxYear: year, purchases: [], discount: Decimal.ZERO };
+    }
+    const income = this.esppIncome[year];
+    income.purchases.push({
+      symbol,
+      date: buy.date.toString(),
+      quantity: espp.quantity,
+      discount: espp.discount,
+      broker: buy.broker,
+    });
+    // Summed from the purchases as reported, so the total matches the list
+    income.discount = income.discount.plus(espp.discount);
+  }
 
-        // Record pool history for RSU vestings
-        this.section104History[symbol].push({
-          date: buy.date.toISOString().split('T')[0],
-          type: 'ACQUISITION',
-          quantity: buy.remainingQty,
-          cost: round2dp(cost),
-          costPerShare: round2dp(cost / buy.remainingQty),
-          poolBefore,
-          poolAfter,
-          isRSU: buy.broker === 'Charles Schwab',
-          broker: buy.broker,
+  /**
+   * Move acquisitions made before `date` (all of them when date is null) that
+   * still have unmatched shares into the Section 104 pool
+   */
+  addSettledBuysToPool(symbol, index, date) {
+    for (const buy of index.settleBefore(date)) {
+      if (buy.remainingQty.isPositive()) {
+        this.addToPool(symbol, buy);
+      }
+    }
+  }
+
+  /**
+   * Move the unmatched part of an acquisition into the Section 104 pool
+   */
+  addToPool(symbol, buy) {
+    const pool = this.section104Pools[symbol];
+    const cost = calculateCost(buy, buy.remainingQty);
+    const poolBefore = describePool(pool);
+
+    pool.quantity = pool.quantity.plus(buy.remainingQty);
+    pool.cost = pool.cost.plus(cost);
+
+    this.section104History[symbol].push({
+      date: buy.date.toString(),
+      type: 'ACQUISITION',
+      quantity: buy.remainingQty.toNumber(),
+      cost: round2dp(cost),
+      costPerShare: round2dp(cost.div(buy.remainingQty)),
+      poolBefore,
+      poolAfter: describePool(pool),
+      isRSU: !!buy.vest || (buy.broker === 'Charles Schwab' && !buy.espp),
+      ...(buy.espp && { isESPP: true }),
+      broker: buy.broker,
+    });
+
+    buy.remainingQty = Decimal.ZERO;
+  }
+
+  /**
+   * Seed the pool with a user-declared opening balance. Acquisitions in the data
+   * before the opening date are assumed to be included in it already.
+   */
+  processOpeningPosition(symbol, position, index) {
+    const pool = this.section104Pools[symbol];
+
+    if (index.hasBefore(position.date) || pool.quantity.isPositive()) {
+      this.errors.push({
+        type: "OPENING_POSITION_OVERLAP",
+        symbol,
+        date: position.date.toString(),
+        message: `Warning: ${symbol} has transactions before the opening position declared on ${position.date}. The opening position is added to them; check it only covers shares bought before your statements start.`,
+      });
+    }
+
+    const poolBefore = describePool(pool);
+
+    pool.quantity = pool.quantity.plus(position.quantity);
+    pool.cost = pool.cost.plus(position.cost);
+
+    this.section104History[symbol].push({
+      date: position.date.toString(),
+      type: 'OPENING_POSITION',
+      quantity: position.quantity.toNumber(),
+      cost: round2dp(position.cost),
+      costPerShare: round2dp(position.cost.div(position.quantity)),
+      poolBefore,
+      poolAfter: describePool(pool),
+      userDeclared: true,
+    });
+  }
+
+  /**
+   * Share-for-share exchange (TCGA 1992 s127/s135). The whole holding is
+   * exchanged: its cost carries over to the new symbol's pool, except for the
+   * share apportioned to any cash consideration, which is a part disposal.
+   * Cost is apportioned by market value: cash / (cash + value of new shares).
+   *
+   * Small cash (s122(2)) may instead be deducted from the cost carried over if
+   * the taxpayer claims it. That claim isn't made here: the cash is always a
+   * part disposal, and a warning says when the claim would be open.
+   */
+  processReorganisation(symbol, reorg) {
+    const date = reorg.date.toString();
+
+    if (!reorg.ratio || !reorg.newSymbol) {
+      this.errors.push({
+        type: "INVALID_CORPORATE_ACTION",
+        symbol,
+        date,
+        message: `Warning: REORGANISATION of ${symbol} on ${date} needs a new symbol and share ratio and was ignored`,
+      });
+      return;
+    }
+
+    const pool = this.section104Pools[symbol];
+    if (!pool.quantity.isPositive()) {
+      this.errors.push({
+        type: "INVALID_CORPORATE_ACTION",
+        symbol,
+        date,
+        message: `Warning: REORGANISATION of ${symbol} on ${date} found no shares held and was ignored`,
+      });
+      return;
+    }
+
+    const oldQuantity = pool.quantity;
+    const oldCost = pool.cost;
+    const newQuantity = applyShareRatio(oldQuantity, reorg.ratio);
+    const exchangeRate = reorg.exchangeRate;
+    const cash = reorg.totalAmount && !reorg.totalAmount.isZero()
+      ? reorg.totalAmount.minus(reorg.fees).div(exchangeRate)
+      : Decimal.ZERO;
+    const newSharesValue = newQuantity.times(reorg.newSharePrice).div(exchangeRate);
+
+    let cashCost = Decimal.ZERO;
+    // Share of the old cost given to the cash; 0 when none could be apportioned
+    let apportionedFraction = Decimal.ZERO;
+    if (cash.isPositive()) {
+      if (newSharesValue.isPositive()) {
+        cashCost = oldCost.times(cash).div(cash.plus(newSharesValue));
+        apportionedFraction = cash.div(cash.plus(newSharesValue));
+      } else {
+        this.errors.push({
+          type: "MISSING_MARKET_VALUE",
+          symbol,
+          date,
+          message: `Warning: no market value given for ${reorg.newSymbol} shares received on ${date}; no cost was allocated to the cash received`,
         });
       }
     }
+    const carriedCost = oldCost.minus(cashCost);
+
+    const holdingValue = cash.plus(newSharesValue);
+    if (cash.isPositive() && (cash.lte(SMALL_DISTRIBUTION_LIMIT) || cash.lte(holdingValue.times(SMALL_DISTRIBUTION_FRACTION)))) {
+      this.errors.push({
+        type: "SMALL_CAPITAL_DISTRIBUTION",
+        symbol,
+        date,
+        message: `Warning: the £${round2dp(cash)} cash received for ${symbol} on ${date} is small (£3,000 or less, or 5% or less of the holding's value). It is treated as a part disposal here; you may instead claim under TCGA 1992 s122(2) to deduct it from the cost of the ${reorg.newSymbol} shares.`,
+      });
+    }
+
+    const poolBefore = describePool(pool);
+    pool.quantity = Decimal.ZERO;
+    pool.cost = Decimal.ZERO;
+
+    this.section104History[symbol].push({
+      date,
+      type: 'REORGANISATION',
+      newSymbol: reorg.newSymbol,
+      ratio: shareRatioValue(reorg.ratio),
+      quantity: oldQuantity.neg().toNumber(),
+      cost: round2dp(oldCost.neg()),
+      poolBefore,
+      poolAfter: describePool(pool),
+      broker: reorg.broker,
+    });
+
+    if (!this.inboundHoldings[reorg.newSymbol]) this.inboundHoldings[reorg.newSymbol] = [];
+    this.inboundHoldings[reorg.newSymbol].push({
+      date: reorg.date,
+      type: "REORGANISATION_IN",
+      fromSymbol: symbol,
+      quantity: newQuantity,
+      cost: carriedCost,
+      broker: reorg.broker,
+    });
+
+    this.corporateActions.push({
+      symbol,
+      date,
+      type: 'REORGANISATION',
+      newSymbol: reorg.newSymbol,
+      ratio: shareRatioValue(reorg.ratio),
+      quantity: oldQuantity.toNumber(),
+      newQuantity: newQuantity.toNumber(),
+      costCarried: round2dp(carriedCost),
+      cashProceeds: round2dp(cash),
+      cashCost: round2dp(cashCost),
+    });
+
+    if (cash.isPositive()) {
+      const proceeds = roundReported(cash, this.roundingPolicy, 'proceeds');
+      const cost = roundReported(cashCost, this.roundingPolicy, 'cost');
+      const gain = proceeds.minus(cost);
+      const proceedsPerShare = cash.div(oldQuantity);
+      const costPerShare = cashCost.div(oldQuantity);
+
+      this.addDisposal({
+        id: reorg.id,
+        symbol,
+        assetName: reorg.assetName,
+        date,
+        quantity: oldQuantity.toNumber(),
+        proceeds: proceeds.toNumber(),
+        proceedsPerShare: round2dp(proceedsPerShare),
+        cost: cost.toNumber(),
+        costPerShare: round2dp(costPerShare),
+        gain: gain.toNumber(),
+        gainPerShare: round2dp(gain.div(oldQuantity)),
+        taxYear: getTaxYear(reorg.date).year,
+        // Cash received on the exchange is a part disposal: the shares stay held (as new shares)
+        partDisposal: true,
+        matchDetails: [{
+          rule: "REORGANISATION",
+          quantity: oldQuantity.toNumber(),
+          cost: cost.toNumber(),
+          costPerShare: round2dp(costPerShare),
+          proceedsPerShare: round2dp(proceedsPerShare),
+          gainPerShare: round2dp(proceedsPerShare.minus(costPerShare)),
+          newSymbol: reorg.newSymbol,
+          newQuantity: newQuantity.toNumber(),
+          apportionedFraction: apportionedFraction.toNumber(),
+        }],
+        broker: reorg.broker,
+        fx: describeFx(reorg),
+      });
+    }
+  }
+
+  /**
+   * Demerger (TCGA 1992 s192 with s127/s130). The original shares are kept and
+   * the child company's shares are treated as acquired with them, so part of
+   * the original pool cost moves to a new pool for the child. Cost is split by
+   * first-day market values: child value / (parent value + child value).
+   */
+  processDemerger(symbol, demerger) {
+    const date = demerger.date.toString();
+
+    if (!demerger.ratio || !demerger.newSymbol) {
+      this.errors.push({
+        type: "INVALID_CORPORATE_ACTION",
+        symbol,
+        date,
+        message: `Warning: DEMERGER of ${symbol} on ${date} needs the new company's symbol and share ratio and was ignored`,
+      });
+      return;
+    }
+
+    const pool = this.section104Pools[symbol];
+    if (!pool.quantity.isPositive()) {
+      this.errors.push({
+        type: "INVALID_CORPORATE_ACTION",
+        symbol,
+        date,
+        message: `Warning: DEMERGER of ${symbol} on ${date} found no shares held and was ignored`,
+      });
+      return;
+    }
+
+    const newQuantity = applyShareRatio(pool.quantity, demerger.ratio);
+    // Only the ratio of the two values matters, so both prices just need to share a currency
+    const parentValue = pool.quantity.times(demerger.parentSharePrice);
+    const childValue = newQuantity.times(demerger.newSharePrice);
+
+    if (!parentValue.isPositive() || !childValue.isPositive()) {
+      this.errors.push({
+        type: "MISSING_MARKET_VALUE",
+        symbol,
+        date,
+        message: `Warning: DEMERGER of ${symbol} into ${demerger.newSymbol} on ${date} needs first-day market values for both companies and was ignored`,
+      });
+      return;
+    }
+
+    const apportionedFraction = childValue.div(parentValue.plus(childValue));
+    const childCost = pool.cost.times(childValue).div(parentValue.plus(childValue));
+
+    const poolBefore = describePool(pool);
+    pool.cost = pool.cost.minus(childCost);
+
+    this.section104History[symbol].push({
+      date,
+      type: 'DEMERGER',
+      newSymbol: demerger.newSymbol,
+      ratio: shareRatioValue(demerger.ratio),
+      quantity: 0,
+      cost: round2dp(childCost.neg()),
+      apportionedFraction: apportionedFraction.toNumber(),
+      poolBefore,
+      poolAfter: describePool(pool),
+      broker: demerger.broker,
+    });
+
+    if (!this.inboundHoldings[demerger.newSymbol]) this.inboundHoldings[demerger.newSymbol] = [];
+    this.inboundHoldings[demerger.newSymbol].push({
+      date: demerger.date,
+      type: "DEMERGER_IN",
+      fromSymbol: symbol,
+      quantity: newQuantity,
+      cost: childCost,
+      broker: demerger.broker,
+    });
+
+    this.corporateActions.push({
+      symbol,
+      date,
+      type: 'DEMERGER',
+      newSymbol: demerger.newSymbol,
+      ratio: shareRatioValue(demerger.ratio),
+      quantity: pool.quantity.toNumber(),
+      newQuantity: newQuantity.toNumber(),
+      parentSharePrice: demerger.parentSharePrice.toNumber(),
+      newSharePrice: demerger.newSharePrice.toNumber(),
+      parentPriceSource: demerger.parentPriceSource || 'manual',
+      newPriceSource: demerger.newPriceSource || 'manual',
+      apportionedFraction: apportionedFraction.toNumber(),
+      costCarried: round2dp(childCost),
+    });
+  }
+
+  /**
+   * Rights issue or open offer taken up (TCGA 1992 s126-128). The new shares
+   * are treated as acquired with the original holding, so they go straight into
+   * the pool (never matched under the same-day or B&B rules) and the amount paid
+   * is added to the pool cost.
+   */
+  processRightsIssue(symbol, rights) {
+    const date = rights.date.toString();
+
+    const pool = this.section104Pools[symbol];
+    if (!pool.quantity.isPositive()) {
+      this.errors.push({
+        type: "RIGHTS_WITHOUT_HOLDING",
+        symbol,
+        date,
+        message: `Warning: RIGHTS_ISSUE for ${symbol} on ${date} found no existing holding; the shares were added to the pool anyway`,
+      });
+    }
+
+    const cost = calculateCost(rights, rights.quantity);
+    const poolBefore = describePool(pool);
+
+    pool.quantity = pool.quantity.plus(rights.quantity);
+    pool.cost = pool.cost.plus(cost);
+
+    this.acquisitions.push({
+      symbol,
+      date,
+      quantity: rights.quantity.toNumber(),
+      totalCost: round2dp(cost),
+      costPerShare: round2dp(cost.div(rights.quantity)),
+      broker: rights.broker,
+      isRSU: false,
+      isRightsIssue: true,
+      priceSource: rights.priceSource || 'csv',
+    });
+
+    this.section104History[symbol].push({
+      date,
+      type: 'RIGHTS_ISSUE',
+      quantity: rights.quantity.toNumber(),
+      cost: round2dp(cost),
+      costPerShare: round2dp(cost.div(rights.quantity)),
+      poolBefore,
+      poolAfter: describePool(pool),
+      broker: rights.broker,
+    });
   }
 
-  processDisposal(symbol, disposal, buys) {
+  /**
+   * Increase the pool cost by income that was taxed without being paid out:
+   * excess reportable income from an offshore reporting fund (Offshore Funds
+   * (Tax) Regulations 2009, reg 99) or a notional distribution reinvested in
+   * accumulation units (TCGA 1992 s99B). The amount is either per unit held on
+   * the distribution date or a total for the holding; any equalisation for the
+   * holding reduces it.
+   */
+  processPoolCostAdjustment(symbol, adjustment) {
+    const date = adjustment.date.toString();
+
+    const pool = this.section104Pools[symbol];
+    if (!pool.quantity.isPositive()) {
+      this.errors.push({
+        type: "ADJUSTMENT_WITHOUT_HOLDING",
+        symbol,
+        date,
+        message: `Warning: ${adjustment.type} for ${symbol} on ${date} found no units held and was ignored`,
+      });
+      return;
+    }
+
+    const units = pool.quantity;
+    const exchangeRate = adjustment.exchangeRate;
+    const grossAmount = adjustment.amountPerUnit.isZero()
+      ? (adjustment.totalAmount || Decimal.ZERO).abs()
+      : units.times(adjustment.amountPerUnit);
+    const costAdjustment = grossAmount.minus(adjustment.equalisation).div(exchangeRate);
+
+    const poolBefore = describePool(pool);
+    pool.cost = pool.cost.plus(costAdjustment);
+
+    this.section104History[symbol].push({
+      date,
+      type: adjustment.type,
+      quantity: 0,
+      cost: round2dp(costAdjustment),
+      poolBefore,
+      poolAfter: describePool(pool),
+      broker: adjustment.broker,
+    });
+
+    this.poolAdjustments.push({
+      symbol,
+      date,
+      type: adjustment.type,
+      units: units.toNumber(),
+      amountPerUnit: adjustment.amountPerUnit.isZero()
+        ? grossAmount.div(units).round(4).toNumber()
+        : adjustment.amountPerUnit.toNumber(),
+      equalisation: round2dp(adjustment.equalisation.div(exchangeRate)),
+      costAdjustment: round2dp(costAdjustment),
+      taxYear: getTaxYear(adjustment.date).year,
+    });
+  }
+
+  /**
+   * Add shares received in exchange for another holding. Under s127 they are
+   * treated as acquired when the original shares were, so they go straight into
+   * the pool and are never matched under the same-day or B&B rules.
+   */
+  processInboundHolding(symbol, event) {
+    const pool = this.section104Pools[symbol];
+    const poolBefore = describePool(pool);
+
+    pool.quantity = pool.quantity.plus(event.quantity);
+    pool.cost = pool.cost.plus(event.cost);
+
+    this.section104History[symbol].push({
+      date: event.date.toString(),
+      type: event.type,
+      fromSymbol: event.fromSymbol,
+      quantity: event.quantity.toNumber(),
+      cost: round2dp(event.cost),
+      costPerShare: event.quantity.isPositive() ? round2dp(event.cost.div(event.quantity)) : 0,
+      poolBefore,
+      poolAfter: describePool(pool),
+      broker: event.broker,
+    });
+  }
+
+  /**
+   * Apply a split or consolidation: the pool is rescaled, its cost is unchanged
+   */
+  processShareReorganisation(symbol, action) {
+    const date = action.date.toString();
+
+    if (!action.ratio) {
+      this.errors.push({
+        type: "INVALID_CORPORATE_ACTION",
+        symbol,
+        date,
+        message: `Warning: ${action.type} of ${symbol} on ${date} has no valid ratio and was ignored`,
+      });
+      return;
+    }
+
+    const pool = this.section104Pools[symbol];
+    const quantityBefore = pool.quantity;
+    const poolBefore = describePool(pool);
+
+    pool.quantity = applyShareRatio(pool.quantity, action.ratio);
+
+    const poolAfter = describePool(pool);
+
+    this.corporateActions.push({
+      symbol,
+      date,
+      type: action.type,
+      ratio: shareRatioValue(action.ratio),
+    });
+
+    this.section104History[symbol].push({
+      date,
+      type: action.type,
+      ratio: shareRatioValue(action.ratio),
+      quantity: pool.quantity.minus(quantityBefore).toNumber(),
+      cost: 0,
+      poolBefore,
+      poolAfter,
+      broker: action.broker,
+    });
+  }
+
+  processDisposal(symbol, disposal, index, shareActions = []) {
     let remainingQty = disposal.quantity;
     const proceeds = calculateProceeds(disposal, disposal.quantity);
-    const proceedsPerShare = round2dp(proceeds / disposal.quantity);
-    let totalCost = 0;
+    const proceedsPerShare = proceeds.div(disposal.quantity);
+    let totalCost = Decimal.ZERO;
     const matchDetails = [];
 
     // 1. SAME-DAY RULE
-    const sameDayBuys = buys.filter(
-      (b) => isSameDay(b.date, disposal.date) && b.remainingQty > 0
-    );
+    const sameDayBuys = index.onDay(disposal.date).filter((b) => b.remainingQty.isPositive());
 
     for (const buy of sameDayBuys) {
-      if (remainingQty <= 0) break;
+      if (!remainingQty.isPositive()) break;
 
-      const matchQty = Math.min(remainingQty, buy.remainingQty);
+      const matchQty = Decimal.min(remainingQty, buy.remainingQty);
       const matchCost = calculateCost(buy, matchQty);
-      const costPerShare = round2dp(matchCost / matchQty);
+      const costPerShare = matchCost.div(matchQty);
 
-      totalCost += matchCost;
-      remainingQty -= matchQty;
-      buy.remainingQty -= matchQty;
+      totalCost = totalCost.plus(matchCost);
+      remainingQty = remainingQty.minus(matchQty);
+      buy.remainingQty = buy.remainingQty.minus(matchQty);
 
       matchDetails.push({
         rule: "SAME_DAY",
-        quantity: matchQty,
-        cost: matchCost,
-        costPerShare,
-        proceedsPerShare,
-        gainPerShare: round2dp(proceedsPerShare - costPerShare),
-        acquisitionDate: formatDateLocal(buy.date),
+        quantity: matchQty.toNumber(),
+        cost: round2dp(matchCost),
+        costPerShare: round2dp(costPerShare),
+        proceedsPerShare: round2dp(proceedsPerShare),
+        gainPerShare: round2dp(proceedsPerShare.minus(costPerShare)),
+        acquisitionDate: buy.date.toString(),
         broker: buy.broker,
-        isRSU: buy.broker === 'Charles Schwab',
+        isRSU: !!buy.vest || (buy.broker === 'Charles Schwab' && !buy.espp),
+        ...(buy.espp && { isESPP: true }),
+        ...(includesScripDividend(buy) && { isScripDividend: true }),
       });
     }
 
     // 2. BED AND BREAKFAST RULE (30 days AFTER disposal)
-    if (remainingQty > 0) {
-      const bnbBuys = buys.filter((b) => {
-        const daysDiff = getDaysDifference(disposal.date, b.date);
-        return daysDiff > 0 && daysDiff <= 30 && b.remainingQty > 0;
-      }).sort((a, b) => a.date.getTime() - b.date.getTime());
+    if (remainingQty.isPositive()) {
+      const bnbBuys = index.within(disposal.date, 30).filter((b) => b.remainingQty.isPositive());
 
       for (const buy of bnbBuys) {
-        if (remainingQty <= 0) break;
-
-        const matchQty = Math.min(remainingQty, buy.remainingQty);
-        const matchCost = calculateCost(buy, matchQty);
-        const costPerShare = round2dp(matchCost / matchQty);
-        const daysDiff = getDaysDifference(disposal.date, buy.date);
+        if (!remainingQty.isPositive()) break;
+
+        // A split between the sale and the re-purchase means each share sold
+        // corresponds to `shareRatio` shares bought
+        const shareRatio = getShareRatioBetween(shareActions, disposal.date, buy.date);
+        const lotInSoldShares = buy.remainingQty.times(shareRatio.denominator).div(shareRatio.numerator);
+        const usesWholeLot = lotInSoldShares.lte(remainingQty);
+        const matchQty = usesWholeLot ? lotInSoldShares : remainingQty;
+        const boughtQty = usesWholeLot ? buy.remainingQty : applyShareRatio(matchQty, shareRatio);
+        const matchCost = calculateCost(buy, boughtQty);
+        const costPerShare = round2dp(matchCost.div(matchQty));
+        const daysDiff = disposal.date.daysUntil(buy.date);
 
         // Calculate what the S104 cost would have been (for comparison)
         const pool = this.section104Pools[symbol];
-        const s104AvgCost = pool.quantity > 0 ? round2dp(pool.cost / pool.quantity) : 0;
+        const s104AvgCost = round2dp(averageCost(pool));
 
         // Original currency info
         const originalCurrency = buy.currency || 'GBP';
         const originalCostPerShare = round2dp(buy.pricePerUnit);
-        const exchangeRate = buy.exchangeRate || 1;
+        const exchangeRate = buy.exchangeRate.toNumber();
 
-        totalCost += matchCost;
-        remainingQty -= matchQty;
-        buy.remainingQty -= matchQty;
+        totalCost = totalCost.plus(matchCost);
+        remainingQty = remainingQty.minus(matchQty);
+        buy.remainingQty = buy.remainingQty.minus(boughtQty);
 
         matchDetails.push({
           rule: "BED_AND_BREAKFAST",
-          quantity: matchQty,
-          cost: matchCost,
+          quantity: matchQty.toNumber(),
+          cost: round2dp(matchCost),
           costPerShare,
-          proceedsPerShare,
-          gainPerShare: round2dp(proceedsPerShare - costPerShare),
-          acquisitionDate: formatDateLocal(buy.date),
+          proceedsPerShare: round2dp(proceedsPerShare),
+          gainPerShare: round2dp(proceedsPerShare.minus(matchCost.div(matchQty))),
+          acquisitionDate: buy.date.toString(),
           daysDifference: daysDiff,
+          ...(!shareRatio.numerator.eq(shareRatio.denominator) && { shareRatio: shareRatioValue(shareRatio) }),
           broker: buy.broker,
-          isRSU: buy.broker === 'Charles Schwab',
+          isRSU: !!buy.vest || (buy.broker === 'Charles Schwab' && !buy.espp),
+          ...(buy.espp && { isESPP: true }),
+          ...(includesScripDividend(buy) && { isScripDividend: true }),
           // Original currency info
           originalCurrency,
           originalCostPerShare,
@@ -468,84 +1582,94 @@ export class CGTCalculator {
           bnbImpact: {
             s104CostPerShareWouldBe: s104AvgCost,
             actualCostPerShare: costPerShare,
-            costDifference: round2dp(costPerShare - s104AvgCost),
+            costDifference: round2dp(Decimal.from(costPerShare).minus(s104AvgCost)),
             explanation: costPerShare > s104AvgCost
-              ? `B&B increased cost basis by £${round2dp(costPerShare - s104AvgCost)}/share (reduced gain)`
-              : `B&B decreased cost basis by £${round2dp(s104AvgCost - costPerShare)}/share (increased gain)`,
+              ? `B&B increased cost basis by £${round2dp(Decimal.from(costPerShare).minus(s104AvgCost))}/share (reduced gain)`
+              : `B&B decreased cost basis by £${round2dp(Decimal.from(s104AvgCost).minus(costPerShare))}/share (increased gain)`,
           },
         });
       }
     }
 
     // 3. SECTION 104 POOL
-    if (remainingQty > 0) {
+    if (remainingQty.isPositive()) {
       const pool = this.section104Pools[symbol];
 
-      const earlierBuys = buys.filter(
-        (b) => b.date < disposal.date && b.remainingQty > 0
-      );
+      if (pool.quantity.isPositive()) {
+        const closesPool = remainingQty.minus(pool.quantity).abs().lte(QUANTITY_DUST);
+        const matchQty = closesPool ? pool.quantity : Decimal.min(remainingQty, pool.quantity);
+        const avgCost = averageCost(pool);
+        // The exact share of the pool's cost, so the pool never drifts from its acquisitions
+        const matchCost = matchQty.eq(pool.quantity) ? pool.cost : pool.cost.times(matchQty).div(pool.quantity);
+        const poolQuantityBefore = pool.quantity;
+        const poolBefore = describePool(pool);
 
-      for (const buy of earlierBuys) {
-        const cost = calculateCost(buy, buy.remainingQty);
-        pool.quantity += buy.remainingQty;
-        pool.cost += cost;
-        buy.remainingQty = 0;
-      }
+        totalCost = totalCost.plus(matchCost);
+        pool.quantity = pool.quantity.minus(matchQty);
+        pool.cost = pool.cost.minus(matchCost);
+        remainingQty = closesPool ? Decimal.ZERO : remainingQty.minus(matchQty);
 
-      if (pool.quantity > 0) {
-        const matchQty = Math.min(remainingQty, pool.quantity);
-        const avgCost = pool.cost / pool.quantity;
-        const matchCost = round2dp(matchQty * avgCost);
-        const costPerShare = round2dp(avgCost);
-
-        totalCost += matchCost;
-        pool.quantity -= matchQty;
-        pool.cost -= matchCost;
-        remainingQty -= matchQty;
+        this.section104History[symbol].push({
+          date: disposal.date.toString(),
+          type: 'DISPOSAL',
+          disposalId: disposal.id,
+          quantity: matchQty.neg().toNumber(),
+          cost: round2dp(matchCost.neg()),
+          costPerShare: round2dp(avgCost),
+          poolBefore,
+          poolAfter: describePool(pool),
+          broker: disposal.broker,
+        });
 
         matchDetails.push({
           rule: "SECTION_104",
-          quantity: matchQty,
-          cost: matchCost,
-          costPerShare,
-          proceedsPerShare,
-          gainPerShare: round2dp(proceedsPerShare - costPerShare),
+          quantity: matchQty.toNumber(),
+          cost: round2dp(matchCost),
+          costPerShare: round2dp(avgCost),
+          proceedsPerShare: round2dp(proceedsPerShare),
+          gainPerShare: round2dp(proceedsPerShare.minus(avgCost)),
           averageCost: round2dp(avgCost),
-          poolQuantityBefore: round2dp(pool.quantity + matchQty),
-          poolQuantityAfter: round2dp(pool.quantity),
+          poolQuantityBefore: poolQuantityBefore.toNumber(),
+          poolQuantityAfter: pool.quantity.toNumber(),
         });
       }
     }
 
-    if (remainingQty > 0) {
+    if (remainingQty.isPositive()) {
       this.errors.push({
         type: "UNMATCHED_DISPOSAL",
         symbol,
-date: formatDateLocal(disposal.date),
-        unmatchedQuantity: remainingQty,
-        message: `Warning: ${remainingQty} shares of ${symbol} sold on ${formatDateLocal(disposal.date)} could not be matched`,
+        date: disposal.date.toString(),
+        unmatchedQuantity: remainingQty.toNumber(),
+        message: `Warning: ${remainingQty} shares of ${symbol} sold on ${disposal.date} could not be matched`,
       });
     }
 
-    const gain = round2dp(proceeds - totalCost);
+    // Proceeds and cost are rounded once under the rounding policy, and the gain is the difference of the two
+    const reportedProceeds = roundReported(proceeds, this.roundingPolicy, 'proceeds');
+    const reportedCost = roundReported(totalCost, this.roundingPolicy, 'cost');
+    const gain = reportedProceeds.minus(reportedCost);
     const taxYear = getTaxYear(disposal.date);
-    const costPerShare = disposal.quantity > 0 ? round2dp(totalCost / disposal.quantity) : 0;
+    const costPerShare = disposal.quantity.isPositive() ? round2dp(totalCost.div(disposal.quantity)) : 0;
 
-    this.disposals.push({
+    this.addDisposal({
       id: disposal.id,
       symbol,
       assetName: disposal.assetName,
-date: formatDateLocal(disposal.date),
-      quantity: disposal.quantity,
-      proceeds: round2dp(proceeds),
-      proceedsPerShare,
-      cost: round2dp(totalCost),
+      date: disposal.date.toString(),
+      quantity: disposal.quantity.toNumber(),
+      proceeds: reportedProceeds.toNumber(),
+      proceedsPerShare: round2dp(proceedsPerShare),
+      cost: reportedCost.toNumber(),
       costPerShare,
-      gain,
-      gainPerShare: round2dp(gain / disposal.quantity),
+      gain: gain.toNumber(),
+      gainPerShare: round2dp(gain.div(disposal.quantity)),
       taxYear: taxYear.year,
       matchDetails,
       broker: disposal.broker,
+      ...(disposal.formerSymbol && { formerSymbol: disposal.formerSymbol }),
+      ...(disposal.fills && { fills: describeFills(disposal, calculateProceeds) }),
+      fx: describeFx(disposal),
     });
   }
 
@@ -558,34 +1682,39 @@ date: formatDateLocal(disposal.date),
           year: disposal.taxYear,
           config: TAX_YEARS[disposal.taxYear],
           disposals: [],
-          totalGains: 0,
-          totalLosses: 0,
+          totalGains: Decimal.ZERO,
+          totalLosses: Decimal.ZERO,
         };
       }
 
       byTaxYear[disposal.taxYear].disposals.push(disposal);
 
+      // Totals are summed exactly from the disposals as reported
       if (disposal.gain >= 0) {
-        byTaxYear[disposal.taxYear].totalGains += disposal.gain;
+        byTaxYear[disposal.taxYear].totalGains = byTaxYear[disposal.taxYear].totalGains.plus(disposal.gain);
       } else {
-        byTaxYear[disposal.taxYear].totalLosses += Math.abs(disposal.gain);
+        byTaxYear[disposal.taxYear].totalLosses = byTaxYear[disposal.taxYear].totalLosses.plus(Math.abs(disposal.gain));
       }
     }
 
     // Calculate S104 snapshots for each tax year
     const taxYearSnapshots = this.calculateSection104Snapshots();
 
+    // Carry losses forward from year to year
+    const lossLedger = this.calculateLossLedger(byTaxYear);
+
     const taxYearSummaries = Object.values(byTaxYear).map((yearData) => {
-      const netGain = round2dp(yearData.totalGains - yearData.totalLosses);
+      const netGain = yearData.totalGains.minus(yearData.totalLosses);
       const annualExemption = yearData.config?.annualExemption || 3000;
-      const taxableGain = Math.max(0, netGain - annualExemption);
+      const losses = lossLedger[yearData.year];
+      const taxableGain = Decimal.max(0, netGain.minus(losses.used).minus(annualExemption));
 
       // Check for rate change date (2024/25 tax year)
       const rateChangeDate = yearData.config?.rateChangeDate;
-      let preOctGains = 0;
-      let preOctLosses = 0;
-      let postOctGains = 0;
-      let postOctLosses = 0;
+      let preOctGains = Decimal.ZERO;
+      let preOctLosses = Decimal.ZERO;
+      let postOctGains = Decimal.ZERO;
+      let postOctLosses = Decimal.ZERO;
 
       if (rateChangeDate) {
         // Split gains between pre and post 30 October 2024
@@ -593,15 +1722,15 @@ date: formatDateLocal(disposal.date),
           const disposalDate = parseDate(disposal.date);
           if (disposalDate < rateChangeDate) {
             if (disposal.gain >= 0) {
-              preOctGains += disposal.gain;
+              preOctGains = preOctGains.plus(disposal.gain);
             } else {
-              preOctLosses += Math.abs(disposal.gain);
+              preOctLosses = preOctLosses.plus(Math.abs(disposal.gain));
             }
           } else {
             if (disposal.gain >= 0) {
-              postOctGains += disposal.gain;
+              postOctGains = postOctGains.plus(disposal.gain);
             } else {
-              postOctLosses += Math.abs(disposal.gain);
+              postOctLosses = postOctLosses.plus(Math.abs(disposal.gain));
             }
           }
         }
@@ -613,51 +1742,71 @@ date: formatDateLocal(disposal.date),
       const basicRatePost = yearData.config?.basicRateSharesPost || yearData.config?.basicRateShares || 0.18;
       const higherRatePost = yearData.config?.higherRateSharesPost || yearData.config?.higherRateShares || 0.24;
 
-      // Calculate estimated tax with split rates for 2024/25
-      let estimatedTaxBasicRate, estimatedTaxHigherRate;
-
-      if (rateChangeDate && (preOctGains > 0 || postOctGains > 0)) {
-        // Allocate exemption proportionally to pre/post gains
-        const totalGainsForAllocation = preOctGains + postOctGains;
-        const preExemption = totalGainsForAllocation > 0
-          ? round2dp((preOctGains / totalGainsForAllocation) * Math.min(annualExemption, totalGainsForAllocation))
-          : 0;
-        const postExemption = totalGainsForAllocation > 0
-          ? round2dp((postOctGains / totalGainsForAllocation) * Math.min(annualExemption, totalGainsForAllocation))
-          : 0;
-
-        const taxablePreGain = Math.max(0, preOctGains - preOctLosses - preExemption);
-        const taxablePostGain = Math.max(0, postOctGains - postOctLosses - postExemption);
-
-        estimatedTaxBasicRate = round2dp(
-          (taxablePreGain * basicRatePre) + (taxablePostGain * basicRatePost)
-        );
-        estimatedTaxHigherRate = round2dp(
-          (taxablePreGain * higherRatePre) + (taxablePostGain * higherRatePost)
-        );
-      } else {
-        // Standard calculation for years without rate change
-        const basicRate = yearData.config?.basicRateShares || 0.10;
-        const higherRate = yearData.config?.higherRateShares || 0.20;
-        estimatedTaxBasicRate = round2dp(taxableGain * basicRate);
-        estimatedTaxHigherRate = round2dp(taxableGain * higherRate);
-      }
+      // Gains grouped by the CGT rates they are charged at
+      const gainBuckets = rateChangeDate
+        ? [
+          { key: 'preOctober', label: 'Before 30 Oct 2024', gain: preOctGains.toNumber(), basicRate: basicRatePre, higherRate: higherRatePre },
+          { key: 'postOctober', label: 'From 30 Oct 2024', gain: postOctGains.toNumber(), basicRate: basicRatePost, higherRate: higherRatePost },
+        ]
+        : [
+          {
+            key: 'shares',
+            label: 'Shares',
+            gain: yearData.totalGains.toNumber(),
+            basicRate: yearData.config?.basicRateShares || 0.10,
+            higherRate: yearData.config?.higherRateShares || 0.20,
+          },
+        ];
+
+      // Set losses and the annual exemption against the highest-rate gains first.
+      // The estimates assume either all gains fall in the basic rate band or none do.
+      const reliefOptions = {
+        losses: yearData.totalLosses.toNumber(),
+        broughtForwardLosses: losses.broughtForward,
+        annualExemption,
+      };
+      const basicRateAllocation = allocateReliefs(gainBuckets, { ...reliefOptions, basicRateBand: Infinity });
+      const higherRateAllocation = allocateReliefs(gainBuckets, { ...reliefOptions, basicRateBand: 0 });
+      const estimatedTaxBasicRate = basicRateAllocation.tax;
+      const estimatedTaxHigherRate = higherRateAllocation.tax;
 
       const result = {
         taxYear: yearData.year,
         numberOfDisposals: yearData.disposals.length,
-        totalProceeds: round2dp(yearData.disposals.reduce((sum, d) => sum + d.proceeds, 0)),
-        totalCost: round2dp(yearData.disposals.reduce((sum, d) => sum + d.cost, 0)),
+        totalProceeds: round2dp(Decimal.sum(yearData.disposals.map((d) => d.proceeds))),
+        totalCost: round2dp(Decimal.sum(yearData.disposals.map((d) => d.cost))),
         totalGains: round2dp(yearData.totalGains),
         totalLosses: round2dp(yearData.totalLosses),
         netGain: round2dp(netGain),
+        lossLedger: losses,
         annualExemption,
         taxableGain: round2dp(taxableGain),
         estimatedTaxBasicRate,
         estimatedTaxHigherRate,
+        reliefAllocation: {
+          basicRate: basicRateAllocation,
+          higherRate: higherRateAllocation,
+        },
         disposals: yearData.disposals,
         section104Start: taxYearSnapshots[yearData.year]?.start || [],
         section104End: taxYearSnapshots[yearData.year]?.end || [],
+        section104Working: taxYearSnapshots[yearData.year]?.working || [],
+        poolAdjustments: this.poolAdjustments.filter((a) => a.taxYear === yearData.year),
+        vests: [...(this.vestIncome[yearData.year]?.vests || [])].sort((a, b) => a.date.localeCompare(b.date)),
+        fxPolicy: this.fxPolicy,
+        fxBrokerPolicies: this.fxBrokerPolicies,
+        roundingPolicy: this.roundingPolicy,
+      };
+
+      // Figures for the SA108 Capital Gains Summary pages
+      result.sa108 = {
+        numberOfDisposals: result.numberOfDisposals,
+        disposalProceeds: result.totalProceeds,
+        allowableCosts: result.totalCost,
+        gainsBeforeLosses: result.totalGains,
+        lossesInYear: result.totalLosses,
+        lossesBroughtForwardUsed: losses.used,
+        lossesCarriedForward: losses.carriedForward,
       };
 
       // Add split info for 2024/25 tax year
@@ -667,7 +1816,7 @@ date: formatDateLocal(disposal.date),
           preOctober: {
             gains: round2dp(preOctGains),
             losses: round2dp(preOctLosses),
-            netGain: round2dp(preOctGains - preOctLosses),
+            netGain: round2dp(preOctGains.minus(preOctLosses)),
             basicRate: basicRatePre,
             higherRate: higherRatePre,
             disposalCount: yearData.disposals.filter(d => parseDate(d.date) < rateChangeDate).length,
@@ -675,7 +1824,7 @@ date: formatDateLocal(disposal.date),
           postOctober: {
             gains: round2dp(postOctGains),
             losses: round2dp(postOctLosses),
-            netGain: round2dp(postOctGains - postOctLosses),
+            netGain: round2dp(postOctGains.minus(postOctLosses)),
             basicRate: basicRatePost,
             higherRate: higherRatePost,
             disposalCount: yearData.disposals.filter(d => parseDate(d.date) >= rateChangeDate).length,
@@ -686,129 +1835,147 @@ date: formatDateLocal(disposal.date),
       return result;
     }).sort((a, b) => b.taxYear.localeCompare(a.taxYear));
 
+    const declaredSymbols = new Set(this.openingPositions.map((p) => p.symbol));
     const section104Summary = Object.entries(this.section104Pools)
-      .filter(([_, pool]) => pool.quantity > 0)
+      .filter(([_, pool]) => pool.quantity.isPositive())
       .map(([symbol, pool]) => ({
         symbol,
         quantity: round2dp(pool.quantity),
         totalCost: round2dp(pool.cost),
-        averageCost: round2dp(pool.cost / pool.quantity),
+        averageCost: round2dp(averageCost(pool)),
+        ...(declaredSymbols.has(symbol) && { userDeclared: true }),
+        ...(this.formerSymbols[symbol] && { formerSymbols: this.formerSymbols[symbol] }),
       }));
 
     return {
       generatedAt: new Date().toISOString(),
       taxYears: taxYearSummaries,
+      fxPolicy: this.fxPolicy,
+      fxBrokerPolicies: this.fxBrokerPolicies,
+      roundingPolicy: this.roundingPolicy,
       section104Pools: section104Summary,
       allDisposals: this.disposals,
       acquisitions: this.acquisitions,
+      esppIncome: Object.values(this.esppIncome)
+        .map((income) => ({ ...income, discount: round2dp(income.discount) }))
+        .sort((a, b) => b.taxYear.localeCompare(a.taxYear)),
+      vestIncome: Object.values(this.vestIncome)
+        .map((income) => ({
+          ...income,
+          vests: [...income.vests].sort((a, b) => a.date.localeCompare(b.date)),
+          value: round2dp(income.value),
+        }))
+        .sort((a, b) => b.taxYear.localeCompare(a.taxYear)),
+      vestValuation: this.vestValuation && { ...this.vestValuation, threshold: this.vestValuationThreshold },
+      vestValuationDifferences: Object.values(this.vestIncome)
+        .flatMap((income) => income.vests.filter((vest) => vest.valuationDiffers))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      lossLedger: Object.entries(lossLedger).map(([taxYear, entry]) => ({ taxYear, ...entry })),
+      section104History: this.section104History,
+      poolAdjustments: this.poolAdjustments,
+      corporateActions: this.corporateActions,
+      transfers: this.transfers,
+      securities: this.securities,
+      symbolChanges: this.appliedSymbolChanges,
+      formerSymbols: this.formerSymbols,
+      openingPositions: this.openingPositions.map((p) => ({
+        symbol: p.symbol,
+        date: p.date.toString(),
+        quantity: p.quantity.toNumber(),
+        cost: round2dp(p.cost),
+        userDeclared: true,
+      })),
       errors: this.errors,
       summary: {
         totalDisposals: this.disposals.length,
         totalSymbolsTraded: new Set(this.disposals.map((d) => d.symbol)).size,
-        overallGain: round2dp(this.disposals.reduce((sum, d) => sum + d.gain, 0)),
+        overallGain: round2dp(Decimal.sum(this.disposals.map((d) => d.gain))),
       },
     };
   }
 
-  // Calculate S104 snapshots at start and end of each tax year
-  calculateSection104Snapshots() {
-    const snapshots = {};
+  /**
+   * Build the capital loss ledger, oldest tax year first. Losses of the year are
+   * set against gains of the same year in full; losses brought forward are only
+   * used to bring the net gain down to the annual exempt amount (TCGA 1992 s3(5A)),
+   * and whatever is left is carried forward.
+   */
+  calculateLossLedger(byTaxYear) {
+    const ledger = {};
+    let available = roundReported(this.broughtForwardLosses, this.roundingPolicy, 'loss');
+
+    for (const year of Object.keys(byTaxYear).sort()) {
+      const yearData = byTaxYear[year];
+      const netGain = yearData.totalGains.minus(yearData.totalLosses);
+      const annualExemption = yearData.config?.annualExemption || 3000;
 
-    // Collect all events (acquisitions and disposals) with dates
-    const allEvents = [];
-
-    // Add acquisitions
-    for (const acq of this.acquisitions) {
-      allEvents.push({
-        date: parseDate(acq.date),
-        type: 'ACQ',
-        symbol: acq.symbol,
-        quantity: acq.quantity,
-        cost: acq.totalCost,
-      });
-    }
+      const broughtForward = available;
+      const used = Decimal.min(broughtForward, Decimal.max(0, netGain.minus(annualExemption)));
+      const arising = netGain.isNegative() ? netGain.neg() : Decimal.ZERO;
+      available = broughtForward.minus(used).plus(arising);
 
-    // Add disposals
-    for (const disp of this.disposals) {
-      allEvents.push({
-        date: parseDate(disp.date),
-        type: 'DISP',
-        symbol: disp.symbol,
-        quantity: disp.quantity,
-        cost: disp.cost,
-      });
+      ledger[year] = {
+        broughtForward: broughtForward.toNumber(),
+        used: used.toNumber(),
+        arising: arising.toNumber(),
+        carriedForward: available.toNumber(),
+      };
     }
 
-    // Sort by date
-    allEvents.sort((a, b) => a.date.getTime() - b.date.getTime());
+    return ledger;
+  }
+
+  /**
+   * Pool balances at the start and end of each tax year with disposals, and the
+   * pool working in between, read from the Section 104 ledger
+   */
+  calculateSection104Snapshots() {
+    const snapshots = {};
 
     // Get all unique tax years from disposals
     const taxYears = [...new Set(this.disposals.map(d => d.taxYear))].sort();
 
-    // For each tax year, calculate S104 at start and end
     for (const taxYear of taxYears) {
       const config = TAX_YEARS[taxYear];
       if (!config) continue;
 
-      const yearStart = config.start;
-      const yearEnd = config.end;
+      // Ledger dates are 'YYYY-MM-DD', so they compare as strings
+      const yearStart = config.start.toString();
+      const yearEnd = config.end.toString();
 
-      // Calculate S104 at start of tax year (process all events before yearStart)
-      const s104AtStart = {};
-      for (const event of allEvents) {
-        if (event.date >= yearStart) break;
+      const start = [];
+      const end = [];
+      const working = [];
 
-        if (!s104AtStart[event.symbol]) {
-          s104AtStart[event.symbol] = { quantity: 0, cost: 0 };
-        }
+      for (const [symbol, history] of Object.entries(this.section104History)) {
+        const before = history.filter((entry) => entry.date < yearStart);
+        const during = history.filter((entry) => entry.date >= yearStart && entry.date <= yearEnd);
+        const opening = ledgerBalance(before);
+        const closing = ledgerBalance([...before, ...during]);
+        const formerSymbols = this.formerSymbols[symbol];
 
-        if (event.type === 'ACQ') {
-          s104AtStart[event.symbol].quantity += event.quantity;
-          s104AtStart[event.symbol].cost += event.cost;
-        } else {
-          s104AtStart[event.symbol].quantity -= event.quantity;
-          s104AtStart[event.symbol].cost -= event.cost;
+        if (opening.quantity > 0.001) {
+          start.push(snapshotEntry(symbol, opening, before, formerSymbols));
         }
-      }
-
-      // Calculate S104 at end of tax year (process all events up to yearEnd)
-      const s104AtEnd = {};
-      for (const event of allEvents) {
-        if (event.date > yearEnd) break;
-
-        if (!s104AtEnd[event.symbol]) {
-          s104AtEnd[event.symbol] = { quantity: 0, cost: 0 };
+        if (closing.quantity > 0.001) {
+          end.push(snapshotEntry(symbol, closing, [...before, ...during], formerSymbols));
         }
-
-        if (event.type === 'ACQ') {
-          s104AtEnd[event.symbol].quantity += event.quantity;
-          s104AtEnd[event.symbol].cost += event.cost;
-        } else {
-          s104AtEnd[event.symbol].quantity -= event.quantity;
-          s104AtEnd[event.symbol].cost -= event.cost;
+        if (during.length > 0) {
+          working.push({
+            symbol,
+            opening,
+            entries: during,
+            closing,
+            ...(formerSymbols && { formerSymbols }),
+          });
         }
       }
 
-      // Convert to array format
+      const bySymbol = (a, b) => a.symbol.localeCompare(b.symbol);
       snapshots[taxYear] = {
-        start: Object.entries(s104AtStart)
-          .filter(([_, pool]) => pool.quantity > 0.001)
-          .map(([symbol, pool]) => ({
-            symbol,
-            quantity: round2dp(pool.quantity),
-            totalCost: round2dp(pool.cost),
-            averageCost: pool.quantity > 0 ? round2dp(pool.cost / pool.quantity) : 0,
-          }))
-          .sort((a, b) => a.symbol.localeCompare(b.symbol)),
-        end: Object.entries(s104AtEnd)
-          .filter(([_, pool]) => pool.quantity > 0.001)
-          .map(([symbol, pool]) => ({
-            symbol,
-            quantity: round2dp(pool.quantity),
-            totalCost: round2dp(pool.cost),
-            averageCost: pool.quantity > 0 ? round2dp(pool.cost / pool.quantity) : 0,
-          }))
-          .sort((a, b) => a.symbol.localeCompare(b.symbol)),
+        start: start.sort(bySymbol),
+        end: end.sort(bySymbol),
+        working: working.sort(bySymbol),
       };
     }
 
@@ -816,7 +1983,7 @@ date: formatDateLocal(disposal.date),
   }
 }
 
-export function calculateCGT(transactions) {
-  const calculator = new CGTCalculator();
+export function calculateCGT(transactions, options = {}) {
+  const calculator = new CGTCalculator(options);
   return calculator.calculate(transactions);
 }
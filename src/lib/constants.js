@@ -1,9 +1,11 @@
 // Shared constants across the app
 
 export const BROKERS = [
-  { id: 'schwab', name: 'Charles Schwab', icon: '🏦', description: 'Stock Plan Activity, RSU vestings' },
-  { id: 'morgan-stanley', name: 'Morgan Stanley', icon: '🏛️', description: 'Stock Plan, RSU vestings' },
-  { id: 'trading212', name: 'Trading 212', icon: '📈', description: 'UK investment platform' },
+  // equityAwards: exports RSU vests, valued by the method chosen for the broker or employer
+  { id: 'schwab', name: 'Charles Schwab', icon: '🏦', description: 'Stock Plan Activity, RSU vestings', equityAwards: true },
+  { id: 'morgan-stanley', name: 'Morgan Stanley', icon: '🏛️', description: 'Stock Plan, RSU vestings', equityAwards: true },
+  // statementFxRates: exports foreign-currency amounts with the rate the broker converted at
+  { id: 'trading212', name: 'Trading 212', icon: '📈', description: 'UK investment platform', statementFxRates: true },
   { id: 'freetrade', name: 'Freetrade', icon: '📱', description: 'Commission-free trading' },
 ];
 
@@ -5,6 +5,7 @@
  */
 
 import * as XLSX from 'xlsx';
+import { CalendarDate } from './calendar-date.js';
 
 /**
  * Convert Excel serial date number to ISO date string
@@ -83,19 +84,22 @@ export function parseXLSX(buffer) {
   const rows = jsonData.slice(1)
     .filter(row => row.some(cell => cell !== '')) // Filter empty rows
     .map(row => row.map((cell, colIndex) => {
-      // If it's already a Date object, format it
+      // If it's already a Date object, format it. SheetJS sets the local
+      // time to the cell's value, so the local day is the day in the sheet
       if (cell instanceof Date) {
         // Check if it has a time component
         const hours = cell.getHours();
         const minutes = cell.getMinutes();
         const seconds = cell.getSeconds();
+        const date = CalendarDate.from(cell).toString();
 
         if (hours === 0 && minutes === 0 && seconds === 0) {
           // Just a date
-          return cell.toISOString().slice(0, 10);
+          return date;
         } else {
           // Date with time
-          return cell.toISOString().replace('T', ' ').slice(0, 19);
+          const time = [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+          return `${date} ${time}`;
         }
       }
 
@@ -150,6 +154,79 @@ export function parseCSV(content) {
   return { headers, rows };
 }
 
+/**
+ * Map a broker's corporate action description to a share-acquiring transaction type.
+ * Rights issues and open offers both join the existing holding (TCGA 1992 s126-128);
+ * scrip dividends are new acquisitions at the cash dividend forgone.
+ * @param {string} action - Lower-cased action/type text from the export
+ * @returns {string|null} - RIGHTS_ISSUE, SCRIP_DIVIDEND or null if not a corporate action
+ */
+function getShareIssueType(action) {
+  if (action.includes("rights") || action.includes("open offer")) return "RIGHTS_ISSUE";
+  if (action.includes("scrip")) return "SCRIP_DIVIDEND";
+  return null;
+}
+
+/**
+ * Map a broker's stock transfer description to TRANSFER_IN or TRANSFER_OUT.
+ * Shares moved between accounts in specie keep their original cost, so they are
+ * neither acquisitions nor disposals. Only call this for rows that carry a
+ * symbol and a quantity, as cash deposits and withdrawals use similar wording.
+ * @param {string} action - Lower-cased action/type text from the export
+ * @param {number} quantity - Signed quantity, for exports that use the sign for direction
+ * @returns {string|null} - TRANSFER_IN, TRANSFER_OUT or null if not a transfer
+ */
+function getTransferType(action, quantity = 0) {
+  if (action.includes("transfer in")) return "TRANSFER_IN";
+  if (action.includes("transfer out")) return "TRANSFER_OUT";
+  if (action.includes("transfer") || action.includes("journal")) return quantity < 0 ? "TRANSFER_OUT" : "TRANSFER_IN";
+  return null;
+}
+
+// Employee stock purchase plan columns, as named in the Schwab Equity Award
+// and Morgan Stanley StockPlan Connect exports
+const ESPP_COLUMNS = {
+  purchasePrice: ["purchaseprice", "purchase price"],
+  purchaseFmv: ["purchasefairmarketvalue", "purchase date fmv", "purchase fmv", "fmv at purchase"],
+  offeringFmv: ["subscriptionfairmarketvalue", "offering date fmv", "offering fmv", "grant date fmv", "fmv at offering"],
+  offeringDate: ["subscriptiondate", "offering date", "grant date"],
+};
+
+/**
+ * Find the ESPP purchase columns in a header row
+ * @returns {Object|null} - Column index for each ESPP_COLUMNS key (-1 if absent),
+ *   or null if the export has no purchase price and purchase date FMV
+ */
+function findEsppColumns(headers) {
+  const columns = {};
+  for (const [key, names] of Object.entries(ESPP_COLUMNS)) {
+    columns[key] = headers.findIndex((h) => names.includes(h));
+  }
+  return columns.purchasePrice !== -1 && columns.purchaseFmv !== -1 ? columns : null;
+}
+
+/**
+ * Read an ESPP purchase from a row. The discount (purchase date FMV less the
+ * price paid) is taxed as employment income, so the FMV is the CGT base cost.
+ * @returns {Object|null} - { purchasePrice, purchaseFmv, offeringFmv, offeringDate },
+ *   or null if the row isn't an ESPP purchase
+ */
+function parseEsppPurchase(row, columns) {
+  if (!columns) return null;
+  const money = (idx) => idx !== -1 ? parseFloat(String(row[idx] ?? "").replace(/[^0-9.-]/g, "")) || 0 : 0;
+
+  const purchasePrice = money(columns.purchasePrice);
+  const purchaseFmv = money(columns.purchaseFmv);
+  if (purchasePrice <= 0 || purchaseFmv <= 0) return null;
+
+  return {
+    purchasePrice,
+    purchaseFmv,
+    offeringFmv: money(columns.offeringFmv) || null,
+    offeringDate: columns.offeringDate !== -1 && row[columns.offeringDate] ? String(row[columns.offeringDate]) : null,
+  };
+}
+
 export const brokerParsers = {
   trading212: {
     name: "Trading 212",
@@ -170,19 +247,27 @@ export const brokerParsers = {
       const feeIdx = getIndex("fee") !== -1 ? getIndex("fee") : getIndex("stamp duty");
       const currencyIdx = getIndex("currency");
       const fxIdx = getIndex("exchange rate");
+      const isinIdx = getIndex("isin");
+
+      // Stock transfers carry a ticker and a number of shares; cash deposits don't
+      const isStockTransfer = (row, action) =>
+        row[tickerIdx] && parseFloat(row[sharesIdx]) && getTransferType(action) !== null;
 
       return rows
         .filter((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
-          return action.includes("buy") || action.includes("sell");
+          return action.includes("buy") || action.includes("sell") || getShareIssueType(action) !== null ||
+            isStockTransfer(row, action);
         })
         .map((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
+          const transferType = isStockTransfer(row, action) ? getTransferType(action) : null;
           return {
             date: row[timeIdx] || "",
-            type: action.includes("sell") ? "SELL" : "BUY",
+            type: transferType || getShareIssueType(action) || (action.includes("sell") ? "SELL" : "BUY"),
             symbol: row[tickerIdx] || "",
             assetName: nameIdx !== -1 ? row[nameIdx] : undefined,
+            isin: isinIdx !== -1 ? row[isinIdx] : undefined,
             quantity: parseFloat((row[sharesIdx] || "0").replace(/[^0-9.-]/g, "")) || 0,
             pricePerUnit: parseFloat((row[priceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0,
             totalAmount: totalIdx !== -1 ? parseFloat((row[totalIdx] || "0").replace(/[^0-9.-]/g, "")) : null,
@@ -289,6 +374,11 @@ export const brokerParsers = {
             fees: fxFee, // Store FX fee separately
             currency: accountCurrency, // Freetrade settles in GBP
             exchangeRate: 1, // Already converted to GBP
+            // Freetrade's own conversion rate, kept to reconcile against the reference rate
+            ...(instrumentCurrency !== accountCurrency && fxRate !== 1 && {
+              fxCurrency: instrumentCurrency,
+              brokerExchangeRate: fxRate,
+            }),
             broker: "Freetrade",
           };
         });
@@ -312,17 +402,46 @@ export const brokerParsers = {
       const priceIdx = getIndex("price");
       const valueIdx = getIndex("value");
       const chargesIdx = getIndex("charges");
+      const referenceIdx = getIndex("reference");
+
+      const isTrade = (type) => type === "buy" || type === "sell" || type === "b" || type === "s";
+
+      // Income reinvested in accumulation units is a notional distribution:
+      // it adds to the allowable cost without any change in units held. Fund
+      // names often include "Accumulation" or "Acc", so only the transaction
+      // type or reference is read, and never for a buy or sell.
+      const isAccumulation = (row) => {
+        const type = (row[typeIdx] || "").toLowerCase();
+        if (isTrade(type)) return false;
+        return type.includes("accumulation") ||
+          (referenceIdx !== -1 && (row[referenceIdx] || "").toLowerCase().includes("accumulation"));
+      };
 
       return rows
         .filter((row) => {
           const type = (row[typeIdx] || "").toLowerCase();
-          return type === "buy" || type === "sell" || type === "b" || type === "s";
+          return isTrade(type) || getShareIssueType(type) !== null || isAccumulation(row);
         })
         .map((row) => {
           const type = (row[typeIdx] || "").toLowerCase();
+          if (isAccumulation(row)) {
+            return {
+              date: row[dateIdx] || "",
+              type: "NOTIONAL_DISTRIBUTION",
+              symbol: row[sedolIdx] || "",
+              assetName: stockIdx !== -1 ? row[stockIdx] : undefined,
+              quantity: 0,
+              pricePerUnit: 0,
+              totalAmount: valueIdx !== -1 ? Math.abs(parseFloat((row[valueIdx] || "0").replace(/[^0-9.-]/g, "")) || 0) : 0,
+              fees: 0,
+              currency: "GBP",
+              exchangeRate: 1,
+              broker: "Hargreaves Lansdown",
+            };
+          }
           return {
             date: row[dateIdx] || "",
-            type: type === "sell" || type === "s" ? "SELL" : "BUY",
+            type: getShareIssueType(type) || (type === "sell" || type === "s" ? "SELL" : "BUY"),
             symbol: row[sedolIdx] || "",
             assetName: stockIdx !== -1 ? row[stockIdx] : undefined,
             quantity: parseFloat((row[quantityIdx] || "0").replace(/[^0-9.-]/g, "")) || 0,
@@ -368,17 +487,36 @@ export const brokerParsers = {
       // Schwab Equity Award specific columns
       const salePriceIdx = getIndex("saleprice");
       const fmvPriceIdx = getIndex("fairmarketvalueprice");
+      const esppColumns = findEsppColumns(headers);
+      // Equity Award "Lapse" rows: shares withheld to cover PAYE and the net shares deposited
+      const withheldIdx = headers.findIndex((h) => ["sharessoldwithheldfortaxes", "shares withheld", "shares sold/withheld for taxes"].includes(h));
+      const netSharesIdx = headers.findIndex((h) => ["netsharesdeposited", "net shares deposited"].includes(h));
+
+      // Equity Award sale rows repeat the purchase columns of the lot sold, so
+      // only rows that aren't sales can be ESPP purchases
+      const getEsppPurchase = (row, action) =>
+        action.includes("sell") || action.includes("sale") ? null : parseEsppPurchase(row, esppColumns);
+
+      // Shares moved in from another account ("Deposit", "Security Transfer",
+      // "Journaled Shares") rather than cash movements, which have no symbol or quantity
+      const getStockTransferType = (row, action) => {
+        const quantity = parseFloat((row[quantityIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
+        if (!row[symbolIdx] || quantity === 0) return null;
+        // Schwab's own "Deposit" action is shares received; other brokers use it for cash
+        return action === "deposit" ? "TRANSFER_IN" : getTransferType(action, quantity);
+      };
 
       return rows
         .filter((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
           // Filter for buy/sell transactions
-          // Schwab uses actions like "Buy", "Sell", "Stock Plan Activity" (for RSU vesting), "Lapse", "Deposit"
+          // Schwab uses actions like "Buy", "Sell", "Stock Plan Activity" (for RSU vesting), "Lapse"
           return action.includes("buy") ||
                  action.includes("sell") ||
                  action.includes("stock plan activity") ||
                  action.includes("lapse") ||
-                 action.includes("deposit");
+                 getEsppPurchase(row, action) !== null ||
+                 getStockTransferType(row, action) !== null;
         })
         .map((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
@@ -387,19 +525,47 @@ export const brokerParsers = {
           // Determine transaction type
           let type = "BUY";
           let needsHistoricalPrice = false;
+          let vest = null;
+          // ESPP purchases are recorded as a "Deposit" of the shares bought
+          const espp = getEsppPurchase(row, action);
+          const transferType = espp ? null : getStockTransferType(row, action);
 
-          if (action.includes("sell")) {
+          if (espp) {
+            type = "BUY";
+          } else if (transferType) {
+            // Shares deposited from another account keep their original cost
+            type = transferType;
+          } else if (action.includes("sell")) {
             type = "SELL";
-          } else if (action.includes("stock plan activity") || action.includes("lapse") || action.includes("deposit")) {
+          } else if (action.includes("stock plan activity") || action.includes("lapse")) {
             // RSU vesting is treated as a buy at fair market value
             type = "BUY";
             needsHistoricalPrice = true; // Flag to fetch closing price on vesting date
+            vest = { grossQuantity: Math.abs(quantity), withheldQuantity: 0 };
+          }
+
+          // Shares withheld at vest never reach the account, so only the net shares are acquired
+          let depositedQuantity = Math.abs(quantity);
+          if (vest) {
+            const withheld = withheldIdx !== -1 ? Math.abs(parseFloat(String(row[withheldIdx] ?? "").replace(/[^0-9.-]/g, "")) || 0) : 0;
+            const net = netSharesIdx !== -1 ? Math.abs(parseFloat(String(row[netSharesIdx] ?? "").replace(/[^0-9.-]/g, "")) || 0) : 0;
+            if (net > 0) {
+              vest.grossQuantity = Math.max(vest.grossQuantity, net + withheld);
+              vest.withheldQuantity = vest.grossQuantity - net;
+              depositedQuantity = net;
+            } else if (withheld > 0 && withheld < vest.grossQuantity) {
+              vest.withheldQuantity = withheld;
+              depositedQuantity = vest.grossQuantity - withheld;
+            }
           }
 
           // Get price - remove $ symbol and parse
           // prefer sale price for sells, FMV for vesting, otherwise regular price
           let pricePerUnit = 0;
-          if (type === "SELL" && salePriceIdx !== -1 && row[salePriceIdx]) {
+          if (espp) {
+            // The price paid; the engine takes the purchase date FMV as the base cost
+            pricePerUnit = espp.purchasePrice;
+          } else if (type === "SELL" && salePriceIdx !== -1 && row[salePriceIdx]) {
             pricePerUnit = parseFloat((row[salePriceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
           } else if (type === "BUY" && fmvPriceIdx !== -1 && row[fmvPriceIdx]) {
             pricePerUnit = parseFloat((row[fmvPriceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
@@ -409,10 +575,13 @@ export const brokerParsers = {
             pricePerUnit = parseFloat((row[priceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
           }
 
+          // The export's FMV, compared with the other vest valuation methods
+          if (vest) vest.fmv = pricePerUnit > 0 ? pricePerUnit : null;
+
           // If we have a price already, don't need to fetch historical
           if (pricePerUnit > 0) {
             needsHistoricalPrice = false;
-            console.log(`[SCHWAB] Price from CSV for ${row[symbolIdx]} on ${row[dateIdx]}: $${pricePerUnit.toFixed(2)} (column: ${type === 'SELL' && salePriceIdx !== -1 ? 'salePrice' : (fmvPriceIdx !== -1 && row[fmvPriceIdx] ? 'FMV' : 'price')})`);
+            console.log(`[SCHWAB] Price from CSV for ${row[symbolIdx]} on ${row[dateIdx]}: $${pricePerUnit.toFixed(2)} (column: ${espp ? 'purchasePrice' : type === 'SELL' && salePriceIdx !== -1 ? 'salePrice' : (fmvPriceIdx !== -1 && row[fmvPriceIdx] ? 'FMV' : 'price')})`);
           } else {
             console.log(`[SCHWAB] No price in CSV for ${row[symbolIdx]} on ${row[dateIdx]}, will fetch from Yahoo Finance`);
           }
@@ -434,11 +603,8 @@ export const brokerParsers = {
             date = date.split(" as of ")[1];
           }
 
-          // Normalize ticker (FB → META)
-          let symbol = row[symbolIdx] || "";
-          if (symbol === "FB") {
-            symbol = "META";
-          }
+          // Former tickers (e.g. FB for META) are resolved by the security identity layer
+          const symbol = row[symbolIdx] || "";
 
           // Determine currency - Schwab is primarily USD but some UK shares may be GBP
           // Check if there's a currency column, otherwise default to USD
@@ -453,14 +619,17 @@ export const brokerParsers = {
             type,
             symbol,
             assetName: descriptionIdx !== -1 ? row[descriptionIdx] : undefined,
-            quantity: Math.abs(quantity),
+            quantity: depositedQuantity,
             pricePerUnit,
-            totalAmount: amount !== null ? Math.abs(amount) : null,
+            // A gross amount no longer matches the quantity once withheld shares are taken off
+            totalAmount: amount !== null && depositedQuantity === Math.abs(quantity) ? Math.abs(amount) : null,
             fees,
             currency,
             exchangeRate: 1,
             broker: "Charles Schwab",
             needsHistoricalPrice, // Flag for RSU vesting transactions
+            ...(espp && { espp }),
+            ...(vest && { vest }),
           };
         });
     },
@@ -483,17 +652,26 @@ export const brokerParsers = {
       const sharesIdx = getIndex("no. of shares");
       const priceIdx = getIndex("price / share");
       const totalIdx = getIndex("total");
+      const esppColumns = findEsppColumns(headers);
 
       return rows
         .filter((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
           const ticker = row[tickerIdx] || "";
-          return (action.includes("buy") || action.includes("sell")) && ticker && ticker !== "N/A";
+          const isVest = action.includes("release") || action.includes("vest");
+          const isTrade = action.includes("buy") || action.includes("sell") || isVest || parseEsppPurchase(row, esppColumns) !== null;
+          return isTrade && ticker && ticker !== "N/A";
         })
         .map((row) => {
           const action = (row[actionIdx] || "").toLowerCase();
           const shares = parseFloat((row[sharesIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
-          const price = parseFloat((row[priceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
+          // ESPP purchases list the price paid alongside the purchase date FMV
+          const espp = action.includes("sell") ? null : parseEsppPurchase(row, esppColumns);
+          const price = espp ? espp.purchasePrice : parseFloat((row[priceIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
+          // RSU releases are acquisitions at the vest price
+          const vest = !espp && (action.includes("release") || action.includes("vest"))
+            ? { grossQuantity: Math.abs(shares), withheldQuantity: 0, fmv: price > 0 ? price : null }
+            : null;
 
           // Morgan Stanley is USD only - calculate total from shares * price
           const totalInUSD = Math.abs(shares * price);
@@ -510,6 +688,8 @@ export const brokerParsers = {
             currency: "USD", // Morgan Stanley is USD only
             exchangeRate: 1,
             broker: "Morgan Stanley",
+            ...(espp && { espp }),
+            ...(vest && { vest }),
           };
         });
     },
@@ -619,7 +799,12 @@ export const brokerParsers = {
           }
 
           const quantity = parseFloat((row[quantityIdx] || "0").replace(/[^0-9.-]/g, "")) || 0;
-          if (quantity < 0) type = "SELL";
+          const transferType = typeIdx !== -1 ? getTransferType((row[typeIdx] || "").toLowerCase(), quantity) : null;
+          if (transferType) {
+            type = transferType;
+          } else if (quantity < 0) {
+            type = "SELL";
+          }
 
           return {
             date: row[dateIdx] || "",
@@ -854,8 +1039,7 @@ export const dividendParsers = {
             : 0;
 
           // Schwab amounts are typically in USD
-          let symbol = row[symbolIdx] || "";
-          if (symbol === "FB") symbol = "META";
+          const symbol = row[symbolIdx] || "";
 
           // Parse date
           let date = row[dateIdx] || "";
@@ -1032,3 +1216,52 @@ export function parseDividends(rows, headers, parserKey = 'generic') {
 
   return parser.parse(rows, headers);
 }
+
+/**
+ * Parse excess reportable income (ERI) published by offshore reporting funds
+ * Expected columns: ISIN, Date (fund distribution date), Per Unit amount.
+ * Optional: Symbol/Ticker (to match the fund in broker exports), Equalisation
+ * (total for the holding), Currency.
+ * @param {Array} rows - Parsed data rows
+ * @param {Array} headers - Lower-cased header names
+ * @returns {Array} - Array of EXCESS_REPORTABLE_INCOME transactions
+ */
+export function parseReportableIncome(rows, headers) {
+  // Names are tried in order of preference, e.g. "distribution date" over "period end date"
+  const getIndex = (...names) => {
+    for (const name of names) {
+      const idx = headers.findIndex((h) => h.includes(name));
+      if (idx !== -1) return idx;
+    }
+    return -1;
+  };
+
+  const isinIdx = getIndex("isin");
+  const dateIdx = getIndex("distribution date", "date");
+  const amountIdx = getIndex("per unit", "per share", "excess", "amount");
+  const symbolIdx = getIndex("symbol", "ticker");
+  const equalisationIdx = getIndex("equalisation", "equalization");
+  const currencyIdx = getIndex("currency");
+
+  if (isinIdx === -1 || dateIdx === -1 || amountIdx === -1) {
+    throw new Error("Reportable income file needs ISIN, Date and Per Unit columns");
+  }
+
+  return rows
+    .filter((row) => row[isinIdx] && row[dateIdx])
+    .map((row) => ({
+      date: row[dateIdx],
+      type: "EXCESS_REPORTABLE_INCOME",
+      isin: row[isinIdx].toUpperCase().trim(),
+      symbol: symbolIdx !== -1 && row[symbolIdx] ? row[symbolIdx] : row[isinIdx].toUpperCase().trim(),
+      quantity: 0,
+      amountPerUnit: parseFloat((row[amountIdx] || "0").replace(/[^0-9.-]/g, "")) || 0,
+      equalisation: equalisationIdx !== -1
+        ? parseFloat((row[equalisationIdx] || "0").replace(/[^0-9.-]/g, "")) || 0
+        : 0,
+      currency: currencyIdx !== -1 && row[currencyIdx] ? row[currencyIdx].toUpperCase() : "GBP",
+      exchangeRate: 1,
+      broker: "Reportable Income",
+    }))
+    .filter((t) => t.amountPerUnit !== 0);
+}
@@ -0,0 +1,136 @@
+/**
+ * Date Formats
+ * One place to read the dates in broker exports. ISO dates (2024-04-03) and
+ * dates with a month name (3 Apr 2024) are unambiguous, but 03/04/2024 is
+ * 3 April in a UK export and 4 March in a US one. Rather than guess row by
+ * row, each uploaded file's format is inferred from all of its dates: any date
+ * whose first part is over 12 must be day first, any whose second part is over
+ * 12 must be month first. A file with no such date takes its broker's usual
+ * format. The decision is recorded with the file and can be overridden.
+ *
+ * Dates are read into CalendarDates (see calendar-date.js): the day as
+ * written, with no time of day or timezone to shift it.
+ */
+
+import { CalendarDate } from './calendar-date.js';
+
+export const DATE_FORMATS = {
+  'day-first': 'Day first (DD/MM/YYYY)',
+  'month-first': 'Month first (MM/DD/YYYY)',
+};
+
+export const DEFAULT_DATE_FORMAT = 'day-first';
+
+// Brokers whose exports write numeric dates month first
+const MONTH_FIRST_BROKERS = new Set(['Charles Schwab', 'Morgan Stanley']);
+
+// A numeric date with the year last, e.g. 03/04/2024, 3-4-2024 or 03.04.2024
+const NUMERIC_DATE = /(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})/;
+
+/**
+ * The format assumed for a file with no unambiguous dates
+ */
+export function defaultDateFormat(broker) {
+  return MONTH_FIRST_BROKERS.has(broker) ? 'month-first' : DEFAULT_DATE_FORMAT;
+}
+
+/**
+ * Check a format name, throwing for one that isn't supported
+ */
+export function validateDateFormat(format) {
+  if (!DATE_FORMATS[format]) {
+    throw new Error(`Unknown date format "${format}". Choose one of: ${Object.keys(DATE_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Infer the date format of one file from every value in it
+ * @param {Array} values - Cell values (or dates) from the file; non-dates are ignored
+ * @param {Object} options
+ * @param {string} options.broker - Broker name, for the fallback format
+ * @returns {Object} { format, source: 'inferred' | 'broker-default', dayFirstDates,
+ *   monthFirstDates, ambiguousDates, conflicting }
+ */
+export function inferDateFormat(values, { broker } = {}) {
+  let dayFirstDates = 0;
+  let monthFirstDates = 0;
+  let ambiguousDates = 0;
+
+  for (const value of values) {
+    if (typeof value !== 'string' || ISO_DATE.test(value.trim())) continue;
+    const match = value.match(NUMERIC_DATE);
+    if (!match) continue;
+
+    const first = parseInt(match[1]);
+    const second = parseInt(match[2]);
+    if (first > 12 && second <= 12) dayFirstDates++;
+    else if (second > 12 && first <= 12) monthFirstDates++;
+    else if (first <= 12 && second <= 12) ambiguousDates++;
+  }
+
+  const evidence = { dayFirstDates, monthFirstDates, ambiguousDates, conflicting: dayFirstDates > 0 && monthFirstDates > 0 };
+  if (dayFirstDates === 0 && monthFirstDates === 0) {
+    return { format: defaultDateFormat(broker), source: 'broker-default', ...evidence };
+  }
+  return { format: dayFirstDates >= monthFirstDates ? 'day-first' : 'month-first', source: 'inferred', ...evidence };
+}
+
+// CalendarDate for a day, or null if the day doesn't exist (e.g. 31/02/2024)
+function calendarDate(year, month, day) {
+  try {
+    return new CalendarDate(year, month, day);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a date from a broker export as the calendar day written
+ * @param {string|Date|CalendarDate} value - ISO, numeric (day or month first), or
+ *   with a month name; any time of day is ignored. A Date gives its local day.
+ * @param {string} format - 'day-first' or 'month-first', for numeric dates
+ * @returns {CalendarDate|null}
+ */
+export function parseCalendarDate(value, format = DEFAULT_DATE_FORMAT) {
+  if (value instanceof CalendarDate) return value;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : CalendarDate.from(value);
+  }
+
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+
+  const isoMatch = str.match(ISO_DATE);
+  if (isoMatch) {
+    return calendarDate(parseInt(isoMatch[1]), parseInt(isoMatch[2]), parseInt(isoMatch[3]));
+  }
+
+  const numericMatch = str.match(new RegExp(`^${NUMERIC_DATE.source}`));
+  if (numericMatch) {
+    const first = parseInt(numericMatch[1]);
+    const second = parseInt(numericMatch[2]);
+    const year = parseInt(numericMatch[3]);
+    // A part over 12 can only be the day, whatever the file's format
+    const dayFirst = first > 12 || (second <= 12 && format === 'day-first');
+    return dayFirst ? calendarDate(year, second, first) : calendarDate(year, first, second);
+  }
+
+  // Dates with a month name, e.g. "Apr 3, 2024" or "03-Apr-2024"
+  if (/[a-z]{3}/i.test(str)) {
+    // Without a time or zone the Date is local midnight, so its local day is the day written
+    const parsed = new Date(str.replace(/-/g, ' '));
+    if (!isNaN(parsed.getTime())) return CalendarDate.from(parsed);
+  }
+
+  return null;
+}
+
+/**
+ * Read a date from a broker export as YYYY-MM-DD, or null if it isn't a date
+ */
+export function toISODate(value, format = DEFAULT_DATE_FORMAT) {
+  const date = parseCalendarDate(value, format);
+  return date ? date.toString() : null;
+}
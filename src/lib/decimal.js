@@ -0,0 +1,201 @@
+/**
+ * Decimal
+ * Exact decimal arithmetic for money and share quantities. Values are held as
+ * BigInt multiples of 10^-18, so amounts parsed from statements (e.g. 0.1
+ * shares, $12.3456 a share) are represented exactly and sums never drift the
+ * way binary floating point does. Multiplication and division round the last
+ * of the 18 decimal places half to even, far below a penny or a share fraction
+ * any broker reports.
+ *
+ * Values are immutable: every operation returns a new Decimal.
+ */
+
+const PLACES = 18;
+const SCALE = 10n ** BigInt(PLACES);
+
+// BigInt division rounded half to even
+function divideRounded(numerator, denominator) {
+  if (denominator === 0n) throw new RangeError('Decimal division by zero');
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+  const sign = numerator < 0n ? -1n : 1n;
+  if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n !== 0n)) {
+    return quotient + sign;
+  }
+  return quotient;
+}
+
+// Parse a decimal string such as "-12.345", "1e-7" or "1.5E+21" into scaled units
+function parseUnits(str) {
+  const match = str.trim().match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+  const shift = PLACES + parseInt(exponent, 10) - fraction.length;
+  let units = BigInt(`${whole}${fraction}` || '0');
+  if (shift >= 0) {
+    units *= 10n ** BigInt(shift);
+  } else {
+    units = divideRounded(units, 10n ** BigInt(-shift));
+  }
+  return sign === '-' ? -units : units;
+}
+
+export class Decimal {
+  constructor(units = 0n) {
+    this.units = units;
+  }
+
+  /**
+   * Convert a number, numeric string, BigInt or Decimal. Numbers are read from
+   * their shortest decimal form, so 0.1 is exactly one tenth.
+   */
+  static from(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return new Decimal(value * SCALE);
+    if (value === null || value === undefined || value === '') return ZERO;
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new RangeError(`Cannot represent ${value} as a Decimal`);
+    }
+    const units = parseUnits(String(value));
+    if (units === null) throw new RangeError(`Cannot represent "${value}" as a Decimal`);
+    return new Decimal(units);
+  }
+
+  static sum(values) {
+    return values.reduce((total, value) => total.plus(value), ZERO);
+  }
+
+  static min(...values) {
+    return values.map(Decimal.from).reduce((a, b) => (b.lt(a) ? b : a));
+  }
+
+  static max(...values) {
+    return values.map(Decimal.from).reduce((a, b) => (b.gt(a) ? b : a));
+  }
+
+  plus(other) {
+    return new Decimal(this.units + Decimal.from(other).units);
+  }
+
+  minus(other) {
+    return new Decimal(this.units - Decimal.from(other).units);
+  }
+
+  times(other) {
+    return new Decimal(divideRounded(this.units * Decimal.from(other).units, SCALE));
+  }
+
+  div(other) {
+    return new Decimal(divideRounded(this.units * SCALE, Decimal.from(other).units));
+  }
+
+  neg() {
+    return new Decimal(-this.units);
+  }
+
+  abs() {
+    return this.units < 0n ? this.neg() : this;
+  }
+
+  cmp(other) {
+    const otherUnits = Decimal.from(other).units;
+    return this.units < otherUnits ? -1 : this.units > otherUnits ? 1 : 0;
+  }
+
+  eq(other) {
+    return this.cmp(other) === 0;
+  }
+
+  gt(other) {
+    return this.cmp(other) > 0;
+  }
+
+  gte(other) {
+    return this.cmp(other) >= 0;
+  }
+
+  lt(other) {
+    return this.cmp(other) < 0;
+  }
+
+  lte(other) {
+    return this.cmp(other) <= 0;
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  /**
+   * Round to `places` decimal places.
+   * @param {number} places
+   * @param {string} mode - 'half-up' (halves away from zero), 'half-even',
+   *   'floor' (towards minus infinity) or 'ceil' (towards plus infinity)
+   */
+  round(places = 0, mode = 'half-up') {
+    const step = 10n ** BigInt(PLACES - places);
+    const quotient = this.units / step;
+    const remainder = this.units % step;
+    if (remainder === 0n) return this;
+
+    let rounded;
+    if (mode === 'floor') {
+      rounded = remainder < 0n ? quotient - 1n : quotient;
+    } else if (mode === 'ceil') {
+      rounded = remainder > 0n ? quotient + 1n : quotient;
+    } else if (mode === 'half-even') {
+      rounded = divideRounded(this.units, step);
+    } else if (mode === 'half-up') {
+      const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+      rounded = twiceRemainder >= step ? quotient + (remainder < 0n ? -1n : 1n) : quotient;
+    } else {
+      throw new RangeError(`Unknown rounding mode "${mode}"`);
+    }
+    return new Decimal(rounded * step);
+  }
+
+  toString() {
+    const negative = this.units < 0n;
+    const digits = (negative ? -this.units : this.units).toString().padStart(PLACES + 1, '0');
+    const whole = digits.slice(0, -PLACES);
+    const fraction = digits.slice(-PLACES).replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  toFixed(places = 2) {
+    const [whole, fraction = ''] = this.round(places).toString().split('.');
+    return places > 0 ? `${whole}.${fraction.padEnd(places, '0')}` : whole;
+  }
+
+  // Nearest JavaScript number, for reports and display
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  toJSON() {
+    return this.toNumber();
+  }
+}
+
+const ZERO = new Decimal(0n);
+
+Decimal.ZERO = ZERO;
+Decimal.ONE = new Decimal(SCALE);
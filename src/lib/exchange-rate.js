@@ -1,37 +1,73 @@
 /**
  * Exchange Rate Service
- * Fetches historical GBP/USD exchange rates for CGT calculations
+ * Fetches historical exchange rates to GBP for CGT calculations on trades in
+ * USD, EUR, CAD, CHF, SEK, HKD, JPY and other supported currencies
  *
  * Uses multiple APIs with fallback:
  * 1. Frankfurter API (free, reliable, no API key)
  * 2. Exchange Rate API (backup)
- * 3. Fallback to yearly averages
+ * 3. Fallback to yearly averages for the currency
+ *
+ * The conversion basis is selectable (see FX_POLICIES): daily spot rates, HMRC's
+ * published monthly rates (fetched from HMRC, or daily rates for months HMRC has none), or
+ * the rates on the broker's statement.
  *
  * Optimized for parallel fetching with caching and deduplication
  */
 
-// Cache exchange rates to avoid repeated API calls
+import { HMRC_MONTHLY_RATES } from './hmrc-monthly-rates.js';
+import { CalendarDate } from './calendar-date.js';
+import { toISODate } from './date-format.js';
+
+// Conversion bases the user can choose between
+export const FX_POLICIES = {
+  'daily': 'Daily spot rates (European Central Bank, via Frankfurter)',
+  'hmrc-monthly': 'HMRC monthly exchange rates',
+  'broker': 'Exchange rates on the broker statements',
+};
+
+export const DEFAULT_FX_POLICY = 'daily';
+
+// Cache exchange rates to avoid repeated API calls, keyed by "CURRENCY:YYYY-MM-DD"
 const rateCache = new Map();
 
+// HMRC monthly tables fetched at runtime, keyed by "YYYY-MM" (a pending promise while loading)
+const hmrcMonthCache = new Map();
+
 // Track fallback usage for debugging
 const fallbackUsage = [];
 
-// HMRC-aligned approximate historical GBP/USD rates as fallback
-// These are approximate yearly average rates
+// Approximate yearly average rates as fallback: GBP per 1 unit of the currency
+// (e.g. USD 2024: 0.79 means 1 USD = 0.79 GBP). Also the list of supported currencies.
 const FALLBACK_RATES = {
-  '2025': 0.79,  // 1 USD = 0.79 GBP
-  '2024': 0.79,
-  '2023': 0.81,
-  '2022': 0.81,
-  '2021': 0.73,
-  '2020': 0.78,
-  '2019': 0.78,
-  '2018': 0.75,
-  '2017': 0.78,
-  '2016': 0.74,
-  '2015': 0.65,
+  USD: { '2025': 0.79, '2024': 0.79, '2023': 0.81, '2022': 0.81, '2021': 0.73, '2020': 0.78, '2019': 0.78, '2018': 0.75, '2017': 0.78, '2016': 0.74, '2015': 0.65 },
+  EUR: { '2025': 0.85, '2024': 0.85, '2023': 0.87, '2022': 0.85, '2021': 0.86, '2020': 0.89, '2019': 0.88, '2018': 0.88, '2017': 0.88, '2016': 0.82, '2015': 0.73 },
+  CAD: { '2025': 0.56, '2024': 0.58, '2023': 0.60, '2022': 0.62, '2021': 0.58, '2020': 0.58, '2019': 0.59, '2018': 0.58, '2017': 0.60, '2016': 0.56, '2015': 0.51 },
+  CHF: { '2025': 0.92, '2024': 0.89, '2023': 0.90, '2022': 0.85, '2021': 0.80, '2020': 0.83, '2019': 0.79, '2018': 0.77, '2017': 0.79, '2016': 0.75, '2015': 0.68 },
+  SEK: { '2025': 0.077, '2024': 0.075, '2023': 0.076, '2022': 0.080, '2021': 0.085, '2020': 0.085, '2019': 0.083, '2018': 0.086, '2017': 0.091, '2016': 0.086, '2015': 0.078 },
+  NOK: { '2025': 0.074, '2024': 0.074, '2023': 0.076, '2022': 0.084, '2021': 0.085, '2020': 0.083, '2019': 0.089, '2018': 0.092, '2017': 0.094, '2016': 0.088, '2015': 0.081 },
+  DKK: { '2025': 0.114, '2024': 0.114, '2023': 0.117, '2022': 0.114, '2021': 0.115, '2020': 0.119, '2019': 0.118, '2018': 0.118, '2017': 0.118, '2016': 0.110, '2015': 0.098 },
+  HKD: { '2025': 0.096, '2024': 0.101, '2023': 0.103, '2022': 0.104, '2021': 0.094, '2020': 0.100, '2019': 0.100, '2018': 0.096, '2017': 0.099, '2016': 0.095, '2015': 0.084 },
+  JPY: { '2025': 0.0051, '2024': 0.0052, '2023': 0.0057, '2022': 0.0062, '2021': 0.0066, '2020': 0.0073, '2019': 0.0072, '2018': 0.0068, '2017': 0.0069, '2016': 0.0068, '2015': 0.0054 },
+  AUD: { '2025': 0.50, '2024': 0.52, '2023': 0.54, '2022': 0.56, '2021': 0.55, '2020': 0.54, '2019': 0.54, '2018': 0.56, '2017': 0.59, '2016': 0.55, '2015': 0.49 },
 };
 
+// Currencies that can be converted to GBP
+export const SUPPORTED_CURRENCIES = Object.keys(FALLBACK_RATES);
+
+// Prices quoted in pence (GBX, or GBp on some exports) convert at a fixed 100 per GBP
+const PENCE_CURRENCIES = new Set(['GBX', 'GBp']);
+
+/**
+ * Normalise a currency code from a broker export, keeping GBp (pence) distinct from GBP
+ */
+function normalizeCurrency(currency) {
+  if (!currency) return 'GBP';
+  const code = String(currency).trim();
+  if (PENCE_CURRENCIES.has(code) || code.toUpperCase() === 'GBX') return 'GBX';
+  return code.toUpperCase();
+}
+
 /**
  * Format date to YYYY-MM-DD
  */
@@ -42,45 +78,23 @@ function formatDate(date) {
   }
 
   if (typeof date === 'string') {
-    // If already in YYYY-MM-DD format, return as is
-    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return date;
-    }
-    // Handle MM/DD/YYYY format (US format)
-    const usMatch = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (usMatch) {
-      const [, month, day, year] = usMatch;
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-    // Handle DD/MM/YYYY format (UK format) or other slash formats
-    const parts = date.split('/');
-    if (parts.length === 3) {
-      const [month, day, year] = parts;
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-    // Handle ISO format with time (YYYY-MM-DDTHH:MM:SS)
-    if (date.includes('T')) {
-      return date.split('T')[0];
-    }
-    // Handle space-separated datetime (YYYY-MM-DD HH:MM:SS)
-    if (date.includes(' ') && date.match(/^\d{4}-\d{2}-\d{2}/)) {
-      return date.split(' ')[0];
-    }
-    // Try to parse as Date
-    const parsed = new Date(date);
-    if (!isNaN(parsed.getTime())) {
-      return parsed.toISOString().split('T')[0];
-    }
-    console.warn(`[FX] Could not parse date string: ${date}`);
-    return null;
+    // Numeric dates were converted to YYYY-MM-DD with their file's format when
+    // the file was read; anything left is read with the shared parser
+    const isoDate = toISODate(date);
+    if (!isoDate) console.warn(`[FX] Could not parse date string: ${date}`);
+    return isoDate;
   }
 
+  if (date instanceof CalendarDate) return date.toString();
+
   if (date instanceof Date) {
     if (isNaN(date.getTime())) {
       console.warn('[FX] formatDate received invalid Date object');
       return null;
     }
-    return date.toISOString().split('T')[0];
+    // The local calendar day; toISOString() would give the UTC day, which
+    // differs for times near midnight
+    return CalendarDate.from(date).toString();
   }
 
   console.warn(`[FX] formatDate received unexpected type: ${typeof date}`);
@@ -91,10 +105,7 @@ function formatDate(date) {
  * Check if a date is in the future
  */
 function isFutureDate(dateStr) {
-  const date = new Date(dateStr);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return date > today;
+  return CalendarDate.from(dateStr) > CalendarDate.today();
 }
 
 /**
@@ -102,34 +113,32 @@ function isFutureDate(dateStr) {
  * If date is in the future or weekend, returns the last valid business day
  */
 function getValidExchangeRateDate(dateStr) {
-  let date = new Date(dateStr);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  let date = CalendarDate.from(dateStr);
+  const today = CalendarDate.today();
 
   // If future date, use today or yesterday
   if (date > today) {
-    date = new Date(today);
+    date = today;
   }
 
   // Frankfurter API doesn't have weekend rates, so go back to Friday
-  const dayOfWeek = date.getDay();
-  if (dayOfWeek === 0) { // Sunday
-    date.setDate(date.getDate() - 2);
-  } else if (dayOfWeek === 6) { // Saturday
-    date.setDate(date.getDate() - 1);
+  if (date.dayOfWeek === 0) { // Sunday
+    date = date.addDays(-2);
+  } else if (date.dayOfWeek === 6) { // Saturday
+    date = date.addDays(-1);
   }
 
-  return date.toISOString().split('T')[0];
+  return date.toString();
 }
 
 /**
  * Fetch single rate from Frankfurter API with retry
  */
-async function fetchSingleRate(dateStr, retries = 2) {
+async function fetchSingleRate(dateStr, currency, retries = 2) {
   // Adjust date if it's a future date or weekend
   const validDate = getValidExchangeRateDate(dateStr);
 
-  const url = `https://api.frankfurter.app/${validDate}?from=USD&to=GBP`;
+  const url = `https://api.frankfurter.app/${validDate}?from=${currency}&to=GBP`;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
@@ -165,20 +174,24 @@ async function fetchSingleRate(dateStr, retries = 2) {
 }
 
 /**
- * Get fallback rate and log the usage
+ * Get fallback rate for the currency and log the usage
  */
-function getFallbackRate(dateStr, reason) {
+function getFallbackRate(dateStr, currency, reason) {
+  const rates = FALLBACK_RATES[currency];
+  const latestYear = Object.keys(rates).sort().pop();
+
   // Handle null/undefined dates
   if (!dateStr) {
     console.warn('[FX] getFallbackRate called with null/undefined date');
-    return { rate: 0.79, source: 'fallback' };
+    return { rate: rates[latestYear], source: 'fallback' };
   }
 
   const year = dateStr.substring(0, 4);
-  const rate = FALLBACK_RATES[year] || 0.79;
+  const rate = rates[year] || rates[latestYear];
 
   fallbackUsage.push({
     date: dateStr,
+    currency,
     rate,
     reason,
     timestamp: new Date().toISOString(),
@@ -188,34 +201,143 @@ function getFallbackRate(dateStr, reason) {
 }
 
 /**
- * Get exchange rate for a specific date (with cache check)
- * Returns GBP per USD (e.g., 0.79 means $1 USD = £0.79 GBP)
+ * Get exchange rate for a specific date and currency (with cache check)
+ * Returns GBP per unit of the currency (e.g., 0.79 means $1 USD = £0.79 GBP)
  */
-export async function getExchangeRate(dateStr) {
+export async function getExchangeRate(dateStr, currency = 'USD') {
+  const code = normalizeCurrency(currency);
+  if (!FALLBACK_RATES[code]) {
+    throw new Error(`Unsupported currency ${currency}: exchange rates are available for ${SUPPORTED_CURRENCIES.join(', ')}`);
+  }
+
   // Check cache first
-  if (rateCache.has(dateStr)) {
-    const cached = rateCache.get(dateStr);
+  const cacheKey = `${code}:${dateStr}`;
+  if (rateCache.has(cacheKey)) {
+    const cached = rateCache.get(cacheKey);
     return cached;
   }
 
   try {
-    const result = await fetchSingleRate(dateStr);
-    rateCache.set(dateStr, result);
+    const result = await fetchSingleRate(dateStr, code);
+    rateCache.set(cacheKey, result);
     return result;
   } catch (error) {
-    // Use fallback rate based on year
-    const result = getFallbackRate(dateStr, error.message);
-    console.warn(`[FX] ⚠️ FALLBACK USED for ${dateStr}: ${error.message}. Using yearly average: ${result.rate}`);
-    rateCache.set(dateStr, result);
+    // Use fallback rate based on currency and year
+    const result = getFallbackRate(dateStr, code, error.message);
+    console.warn(`[FX] ⚠️ FALLBACK USED for ${code} on ${dateStr}: ${error.message}. Using yearly average: ${result.rate}`);
+    rateCache.set(cacheKey, result);
     return result;
   }
 }
 
+/**
+ * Split one CSV line, allowing quoted fields that contain commas
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse one of HMRC's monthly exchange rate CSV files
+ * @param {string} text - CSV with "Currency Code" and "Currency Units per £1" columns
+ * @returns {Object} - { USD: 1.2727, EUR: 1.1601, ... } in currency units per £1
+ */
+export function parseHmrcMonthlyCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return {};
+
+  const headers = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const codeIdx = headers.findIndex(h => h.includes('currency code'));
+  const rateIdx = headers.findIndex(h => h.includes('units per'));
+  if (codeIdx === -1 || rateIdx === -1) return {};
+
+  const rates = {};
+  for (const line of lines.slice(1)) {
+    const row = splitCsvLine(line);
+    const code = (row[codeIdx] || '').toUpperCase();
+    const rate = parseFloat(row[rateIdx]);
+    if (code && rate > 0) rates[code] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Load HMRC's rates for a month ("YYYY-MM"): from HMRC_MONTHLY_RATES if the month
+ * has been generated into it, otherwise HMRC's published CSV. Resolves to null if HMRC has no file for the month.
+ */
+function loadHmrcMonth(month) {
+  if (HMRC_MONTHLY_RATES[month]) return Promise.resolve(HMRC_MONTHLY_RATES[month]);
+  if (hmrcMonthCache.has(month)) return hmrcMonthCache.get(month);
+
+  const [year, monthNumber] = month.split('-');
+  const url = `https://www.trade-tariff.service.gov.uk/api/v2/exchange_rates/files/monthly_csv_${year}-${parseInt(monthNumber)}.csv`;
+
+  const pending = (async () => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+      const response = await fetch(url, { signal: controller.signal });
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        throw new Error(`HMRC returned ${response.status}`);
+      }
+      const rates = parseHmrcMonthlyCsv(await response.text());
+      return Object.keys(rates).length > 0 ? rates : null;
+    } catch (error) {
+      console.warn(`[FX] HMRC monthly rates for ${month} unavailable: ${error.message}`);
+      hmrcMonthCache.delete(month); // Try again on the next calculation
+      return null;
+    }
+  })();
+
+  hmrcMonthCache.set(month, pending);
+  return pending;
+}
+
+/**
+ * Get HMRC's monthly rate for a date and currency
+ * Returns GBP per unit of the currency, like getExchangeRate, or null if HMRC
+ * has no rate for that month
+ */
+export async function getHmrcMonthlyRate(dateStr, currency = 'USD') {
+  const code = normalizeCurrency(currency);
+  const rates = await loadHmrcMonth(dateStr.substring(0, 7));
+  const unitsPerPound = rates?.[code];
+  return unitsPerPound ? { rate: 1 / unitsPerPound, source: 'hmrc' } : null;
+}
+
+/**
+ * Get the rate for a date and currency under a conversion basis. HMRC monthly
+ * rates fall back to the daily rate for months HMRC has no rate for.
+ */
+async function getRateForPolicy(dateStr, currency, policy) {
+  if (policy === 'hmrc-monthly') {
+    const hmrcRate = await getHmrcMonthlyRate(dateStr, currency);
+    if (hmrcRate) return hmrcRate;
+  }
+  return getExchangeRate(dateStr, currency);
+}
+
 /**
  * Fetch a batch of rates in parallel with concurrency limit
- * @param {Array} requests - Array of {dateStr, cacheKey}
+ * @param {Array} requests - Array of {dateStr, currency, basis, cacheKey}
  * @param {number} concurrency - Max concurrent requests
- * @returns {Promise<Map>} - Map of dateStr -> rate
+ * @returns {Promise<Map>} - Map of cacheKey -> rate
  */
 async function fetchBatch(requests, concurrency = 10) {
   const results = new Map();
@@ -224,15 +346,15 @@ async function fetchBatch(requests, concurrency = 10) {
   for (let i = 0; i < requests.length; i += concurrency) {
     const chunk = requests.slice(i, i + concurrency);
 
-    const chunkPromises = chunk.map(async ({ dateStr }) => {
-      const rate = await getExchangeRate(dateStr);
-      return { dateStr, rate };
+    const chunkPromises = chunk.map(async ({ dateStr, currency, basis, cacheKey }) => {
+      const rate = await getRateForPolicy(dateStr, currency, basis);
+      return { cacheKey, rate };
     });
 
     const chunkResults = await Promise.all(chunkPromises);
 
-    for (const { dateStr, rate } of chunkResults) {
-      results.set(dateStr, rate);
+    for (const { cacheKey, rate } of chunkResults) {
+      results.set(cacheKey, rate);
     }
   }
 
@@ -242,89 +364,213 @@ async function fetchBatch(requests, concurrency = 10) {
 /**
  * Apply exchange rates to transactions
  * Optimized with deduplication and parallel fetching
+ * Throws if any transaction is in a currency that can't be converted, rather
+ * than treating it as GBP or converting it at another currency's rate
+ *
+ * Every row with a rate from the statement is also looked up on the reference
+ * basis, and both rates are kept (brokerExchangeRate, referenceExchangeRate)
+ * for buildFxReconciliation, whichever one is used.
+ *
+ * @param {Array} transactions - Transactions with date, currency, exchangeRate and broker
+ * @param {Object} options
+ * @param {string} options.policy - Conversion basis (see FX_POLICIES). Under
+ *   'daily' and 'hmrc-monthly' every foreign-currency row is converted on that
+ *   basis; under 'broker' the statement's rate is used where there is one.
+ * @param {Object} options.brokerPolicies - { [broker name]: policy } overriding
+ *   the basis for one broker, e.g. { 'Trading 212': 'broker' }
  */
-export async function applyExchangeRates(transactions) {
-  // Find all USD transactions that need exchange rates
-  const usdTransactions = transactions.filter(t =>
-    t.currency === 'USD' && (t.exchangeRate === 1 || !t.exchangeRate)
+export async function applyExchangeRates(transactions, { policy = DEFAULT_FX_POLICY, brokerPolicies = {} } = {}) {
+  for (const basis of [policy, ...Object.values(brokerPolicies)]) {
+    if (!FX_POLICIES[basis]) {
+      throw new Error(`Unknown exchange rate basis "${basis}". Choose one of: ${Object.keys(FX_POLICIES).join(', ')}`);
+    }
+  }
+
+  // Rates the statement doesn't supply come from the reference basis
+  const referenceBasis = policy === 'broker' ? 'daily' : policy;
+  const policyFor = (t) => brokerPolicies[t.broker] || policy;
+  const basisFor = (t) => policyFor(t) === 'broker' ? referenceBasis : policyFor(t);
+
+  const hasBrokerRate = (t) => t.exchangeRate && t.exchangeRate !== 1 && !t.exchangeRateSource;
+
+  // Rows already in GBP at the broker's own rate (e.g. Freetrade), looked up only to reconcile
+  const convertedByBroker = transactions.filter(t =>
+    normalizeCurrency(t.currency) === 'GBP' && t.fxCurrency && t.brokerExchangeRate &&
+    FALLBACK_RATES[normalizeCurrency(t.fxCurrency)]
   );
 
-  if (usdTransactions.length === 0) {
-    console.log('[FX] No USD transactions need exchange rates');
+  // Find all foreign-currency transactions that need exchange rates
+  const foreignTransactions = transactions.filter(t => normalizeCurrency(t.currency) !== 'GBP');
+
+  if (foreignTransactions.length === 0 && convertedByBroker.length === 0) {
+    console.log('[FX] No foreign-currency transactions need exchange rates');
     return transactions;
   }
 
-  console.log(`[FX] Found ${usdTransactions.length} USD transactions needing exchange rates`);
+  // A rate on the statement is still usable for a currency we can't convert
+  const unsupported = new Set(foreignTransactions
+    .filter(t => !hasBrokerRate(t))
+    .map(t => normalizeCurrency(t.currency))
+    .filter(code => code !== 'GBX' && !FALLBACK_RATES[code]));
+  if (unsupported.size > 0) {
+    const examples = foreignTransactions
+      .filter(t => unsupported.has(normalizeCurrency(t.currency)))
+      .slice(0, 3)
+      .map(t => `${t.symbol || 'dividend'} on ${t.date}`);
+    throw new Error(
+      `Unsupported currency ${Array.from(unsupported).join(', ')} (e.g. ${examples.join('; ')}). ` +
+      `Exchange rates are available for ${SUPPORTED_CURRENCIES.join(', ')}. ` +
+      `Add the GBP exchange rate to these rows, or convert them to GBP, and upload again.`
+    );
+  }
 
-  // Deduplicate requests - same date only needs one fetch
-  const uniqueRequests = new Map();
+  console.log(`[FX] Found ${foreignTransactions.length} foreign-currency transactions (basis: ${policy})`);
 
-  for (const txn of usdTransactions) {
-    const dateStr = formatDate(txn.date);
-    if (!uniqueRequests.has(dateStr) && !rateCache.has(dateStr)) {
-      uniqueRequests.set(dateStr, { dateStr });
+  // Deduplicate requests - same basis, currency and date only needs one fetch
+  const uniqueRequests = new Map();
+  const requestKey = (t) => {
+    const currency = normalizeCurrency(t.fxCurrency && normalizeCurrency(t.currency) === 'GBP' ? t.fxCurrency : t.currency);
+    const dateStr = formatDate(t.date);
+    if (currency === 'GBX' || !FALLBACK_RATES[currency] || !dateStr) return null;
+    const basis = basisFor(t);
+    const cacheKey = `${basis}:${currency}:${dateStr}`;
+    if (!uniqueRequests.has(cacheKey)) {
+      uniqueRequests.set(cacheKey, { dateStr, currency, basis, cacheKey });
     }
-  }
+    return cacheKey;
+  };
+  const keys = new Map([...foreignTransactions, ...convertedByBroker].map(t => [t, requestKey(t)]));
 
   const requestsToFetch = Array.from(uniqueRequests.values());
-  console.log(`[FX] ${requestsToFetch.length} unique dates to fetch (after deduplication & cache check)`);
+  console.log(`[FX] ${requestsToFetch.length} unique currency/date pairs to look up (after deduplication)`);
+
+  // Fetch all unique rates in parallel batches (cached rates return immediately)
+  const startTime = Date.now();
+  const rates = await fetchBatch(requestsToFetch, 10); // 10 concurrent requests
+  console.log(`[FX] Looked up ${requestsToFetch.length} exchange rates in ${Date.now() - startTime}ms`);
+
+  // Rate is GBP per unit (e.g., 0.79 means 1 USD = 0.79 GBP)
+  // In the CGT engine, we divide by exchangeRate to convert to GBP
+  // So we need to store units per GBP (1/rate) for the engine to work correctly
+  const referenceFor = (t) => {
+    const rateData = rates.get(keys.get(t));
+    if (!rateData) return null;
+    const rate = typeof rateData === 'object' ? rateData.rate : rateData;
+    const source = typeof rateData === 'object' ? rateData.source : 'api';
+    return { exchangeRate: 1 / rate, source };
+  };
 
-  // Fetch all unique rates in parallel batches
-  if (requestsToFetch.length > 0) {
-    const startTime = Date.now();
-    await fetchBatch(requestsToFetch, 10); // 10 concurrent requests
-    console.log(`[FX] Fetched ${requestsToFetch.length} exchange rates in ${Date.now() - startTime}ms`);
+  for (const txn of convertedByBroker) {
+    const reference = referenceFor(txn);
+    if (reference) {
+      txn.referenceExchangeRate = reference.exchangeRate;
+      txn.referenceExchangeRateSource = reference.source;
+    }
   }
 
   // Apply rates to transactions
   let successCount = 0;
-  let apiCount = 0;
-  let fallbackCount = 0;
-
-  for (const txn of transactions) {
-    if (txn.currency === 'USD') {
-      const dateStr = formatDate(txn.date);
-      if (!dateStr) {
-        console.warn(`[FX] Skipping transaction with invalid date: ${txn.date}`);
-        continue;
-      }
-      const rateData = rateCache.get(dateStr);
-
-      if (rateData) {
-        const rate = typeof rateData === 'object' ? rateData.rate : rateData;
-        const source = typeof rateData === 'object' ? rateData.source : 'api';
-
-        // Rate is GBP per USD (e.g., 0.79 means 1 USD = 0.79 GBP)
-        // In the CGT engine, we divide by exchangeRate to convert to GBP
-        // So we need to store USD per GBP (1/rate) for the engine to work correctly
-        txn.exchangeRate = 1 / rate;
-        txn.exchangeRateSource = source;
-        successCount++;
-
-        if (source === 'api') {
-          apiCount++;
-        } else {
-          fallbackCount++;
-        }
+  const sourceCounts = { api: 0, hmrc: 0, fallback: 0, broker: 0 };
+
+  for (const txn of foreignTransactions) {
+    const currency = normalizeCurrency(txn.currency);
+
+    if (currency === 'GBX') {
+      // 100 pence to the pound; the engine divides by exchangeRate to convert to GBP
+      txn.currency = currency;
+      txn.exchangeRate = 100;
+      txn.exchangeRateSource = 'fixed';
+      successCount++;
+      continue;
+    }
+
+    if (!formatDate(txn.date)) {
+      console.warn(`[FX] Skipping transaction with invalid date: ${txn.date}`);
+      continue;
+    }
+
+    const reference = referenceFor(txn);
+    const useBrokerRate = hasBrokerRate(txn) && policyFor(txn) === 'broker';
+
+    // Keep the statement's own rate and the reference rate for reconciliation
+    if (hasBrokerRate(txn)) {
+      txn.brokerExchangeRate = txn.exchangeRate;
+      if (reference) {
+        txn.referenceExchangeRate = reference.exchangeRate;
+        txn.referenceExchangeRateSource = reference.source;
       }
     }
+
+    if (useBrokerRate) {
+      txn.currency = currency;
+      txn.exchangeRateSource = 'broker';
+      successCount++;
+      sourceCounts.broker++;
+    } else if (reference) {
+      txn.currency = currency;
+      txn.exchangeRate = reference.exchangeRate;
+      txn.exchangeRateSource = reference.source;
+      successCount++;
+      sourceCounts[reference.source] = (sourceCounts[reference.source] || 0) + 1;
+    }
   }
 
-  console.log(`[FX] Successfully applied ${successCount}/${usdTransactions.length} exchange rates`);
+  console.log(`[FX] Successfully applied ${successCount}/${foreignTransactions.length} exchange rates`);
 
-  if (fallbackCount > 0) {
-    console.warn(`[FX] ⚠️ WARNING: ${fallbackCount} transactions used FALLBACK exchange rates (yearly averages)`);
-    console.warn(`[FX] This may cause differences in CGT calculations. API rates: ${apiCount}, Fallback rates: ${fallbackCount}`);
+  if (policy === 'hmrc-monthly' && sourceCounts.api > 0) {
+    console.warn(`[FX] ${sourceCounts.api} transactions used daily rates because HMRC had no monthly rate for them`);
+  }
+
+  if (sourceCounts.fallback > 0) {
+    console.warn(`[FX] ⚠️ WARNING: ${sourceCounts.fallback} transactions used FALLBACK exchange rates (yearly averages)`);
+    console.warn(`[FX] This may cause differences in CGT calculations. API rates: ${sourceCounts.api}, HMRC rates: ${sourceCounts.hmrc}, Broker rates: ${sourceCounts.broker}, Fallback rates: ${sourceCounts.fallback}`);
   }
 
   return transactions;
 }
 
+/**
+ * Compare each statement exchange rate with the reference rate for the same
+ * date, to show how much the choice of rate changes the GBP figures
+ * @param {Array} transactions - Transactions after applyExchangeRates
+ * @returns {Array} - [{ date, symbol, type, broker, currency, brokerRate,
+ *   referenceRate, referenceSource, differencePercent, gbpDifference, used }]
+ *   with rates in currency units per GBP
+ */
+export function buildFxReconciliation(transactions) {
+  return transactions
+    .filter(t => t.brokerExchangeRate && t.referenceExchangeRate)
+    .map(t => {
+      const alreadyGbp = normalizeCurrency(t.currency) === 'GBP';
+      const amount = Math.abs(t.totalAmount ?? ((t.quantity || 0) * (t.pricePerUnit || 0)));
+      // Amount in the trade currency, converted at each rate
+      const foreignAmount = alreadyGbp ? amount * t.brokerExchangeRate : amount;
+      const atBroker = foreignAmount / t.brokerExchangeRate;
+      const atReference = foreignAmount / t.referenceExchangeRate;
+
+      return {
+        date: formatDate(t.date),
+        symbol: t.symbol,
+        type: t.type,
+        broker: t.broker,
+        currency: alreadyGbp ? normalizeCurrency(t.fxCurrency) : normalizeCurrency(t.currency),
+        brokerRate: t.brokerExchangeRate,
+        referenceRate: t.referenceExchangeRate,
+        referenceSource: t.referenceExchangeRateSource,
+        differencePercent: Math.round((t.brokerExchangeRate / t.referenceExchangeRate - 1) * 10000) / 100,
+        gbpDifference: Math.round((atBroker - atReference) * 100) / 100,
+        used: alreadyGbp || t.exchangeRateSource === 'broker' ? 'broker' : 'reference',
+      };
+    })
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
 /**
  * Clear the rate cache (useful for testing)
  */
 export function clearRateCache() {
   rateCache.clear();
+  hmrcMonthCache.clear();
 }
 
 /**
@@ -1,88 +1,58 @@
 /**
  * Historical Price Fetcher
- * Fetches closing prices from Yahoo Finance for RSU vesting transactions
+ * Fetches daily prices from Yahoo Finance for RSU vesting transactions
  * Optimized for parallel fetching with caching and deduplication
  */
 
-// In-memory cache for prices (persists across requests in same server instance)
-const priceCache = new Map();
-
-/**
- * Parse date string to Date object in UTC
- * Handles multiple formats: MM/DD/YYYY, YYYY-MM-DD, DD/MM/YYYY
- * IMPORTANT: Always returns UTC dates to avoid timezone issues between servers
- */
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-
-  // Try MM/DD/YYYY format (US format - Schwab uses this)
-  const usMatch = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (usMatch) {
-    const [, month, day, year] = usMatch;
-    // Use Date.UTC to avoid timezone issues
-    return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), 12, 0, 0));
-  }
-
-  // Try YYYY-MM-DD format (ISO)
-  const isoMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (isoMatch) {
-    const [, year, month, day] = isoMatch;
-    // Use Date.UTC to avoid timezone issues
-    return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), 12, 0, 0));
-  }
+import { parseCalendarDate } from './date-format.js';
+import { valueVest, vestValuationMethodFor, vestValuations } from './vest-valuation.js';
 
-  // Try DD/MM/YYYY format (UK format)
-  const ukMatch = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-  if (ukMatch) {
-    const [, day, month, year] = ukMatch;
-    // Heuristic: if first number > 12, it's likely day
-    if (parseInt(ukMatch[1]) > 12) {
-      // Use Date.UTC to avoid timezone issues
-      return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), 12, 0, 0));
-    }
-  }
-
-  // Fallback to Date.parse - add time to ensure we get the right day
-  const parsed = new Date(dateStr + 'T12:00:00Z');
-  return isNaN(parsed.getTime()) ? null : parsed;
-}
+// In-memory cache for daily quotes (persists across requests in same server instance)
+const priceCache = new Map();
 
 /**
  * Generate cache key for a symbol+date combination
  */
 function getCacheKey(ticker, dateStr) {
-  const date = parseDate(dateStr);
+  const date = parseCalendarDate(dateStr);
   if (!date) return null;
-  return `${ticker}:${date.toISOString().split('T')[0]}`;
+  return `${ticker}:${date}`;
+}
+
+// Closing price from the cache, or null
+function cachedClose(ticker, dateStr) {
+  const cacheKey = getCacheKey(ticker, dateStr);
+  return (cacheKey && priceCache.get(cacheKey)?.close) ?? null;
 }
 
 /**
- * Fetch historical closing price from Yahoo Finance
+ * Fetch a day's open, high, low and close from Yahoo Finance
  * @param {string} ticker - Stock ticker symbol
  * @param {string} dateStr - Date string in various formats
- * @returns {Promise<number|null>} - Closing price or null if not found
+ * @returns {Promise<Object|null>} - { open, high, low, close } (each null if missing) or null if not found
  */
-export async function fetchHistoricalPrice(ticker, dateStr) {
+export async function fetchHistoricalQuote(ticker, dateStr) {
   const cacheKey = getCacheKey(ticker, dateStr);
 
   // Check cache first
   if (cacheKey && priceCache.has(cacheKey)) {
     const cached = priceCache.get(cacheKey);
-    console.log(`[HISTORICAL-PRICE] ✅ Cache hit for ${cacheKey}: $${cached.toFixed(2)}`);
+    console.log(`[HISTORICAL-PRICE] ✅ Cache hit for ${cacheKey}: $${cached.close.toFixed(2)}`);
     return cached;
   }
 
-  const date = parseDate(dateStr);
+  const date = parseCalendarDate(dateStr);
   if (!date) {
     console.error(`[HISTORICAL-PRICE] Invalid date: ${dateStr}`);
     return null;
   }
 
-  const dateFormatted = date.toISOString().split('T')[0];
+  const dateFormatted = date.toString();
 
   try {
-    // Calculate timestamps for Yahoo Finance API
-    const startTimestamp = Math.floor(date.getTime() / 1000);
+    // Calculate timestamps for Yahoo Finance API: noon UTC on the trade date,
+    // so the window covers that day's session wherever the server runs
+    const startTimestamp = Math.floor(Date.UTC(date.year, date.month - 1, date.day, 12) / 1000);
     const endTimestamp = startTimestamp + (24 * 60 * 60); // Next day
 
     const url = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?period1=${startTimestamp}&period2=${endTimestamp}&interval=1d`;
@@ -98,19 +68,24 @@ export async function fetchHistoricalPrice(ticker, dateStr) {
 
     if (data.chart && data.chart.result && data.chart.result[0]) {
       const result = data.chart.result[0];
-      const closes = result.indicators?.quote?.[0]?.close;
+      const quote = result.indicators?.quote?.[0];
+      const closes = quote?.close;
 
       if (closes && closes.length > 0 && closes[0] !== null) {
-        const closePrice = closes[0];
-        console.log(`[HISTORICAL-PRICE] ✅ Fetched ${ticker} on ${dateFormatted}: $${closePrice.toFixed(2)} (Yahoo Finance close price)`);
-        console.log(`[HISTORICAL-PRICE] DEBUG: timestamps=${JSON.stringify(result.timestamp)}, closes=${JSON.stringify(closes)}`);
+        const dailyQuote = {
+          open: quote.open?.[0] ?? null,
+          high: quote.high?.[0] ?? null,
+          low: quote.low?.[0] ?? null,
+          close: closes[0],
+        };
+        console.log(`[HISTORICAL-PRICE] ✅ Fetched ${ticker} on ${dateFormatted}: $${dailyQuote.close.toFixed(2)} (Yahoo Finance close price)`);
 
         // Cache the result
         if (cacheKey) {
-          priceCache.set(cacheKey, closePrice);
+          priceCache.set(cacheKey, dailyQuote);
         }
 
-        return closePrice;
+        return dailyQuote;
       }
     }
 
@@ -122,11 +97,22 @@ export async function fetchHistoricalPrice(ticker, dateStr) {
   }
 }
 
+/**
+ * Fetch historical closing price from Yahoo Finance
+ * @param {string} ticker - Stock ticker symbol
+ * @param {string} dateStr - Date string in various formats
+ * @returns {Promise<number|null>} - Closing price or null if not found
+ */
+export async function fetchHistoricalPrice(ticker, dateStr) {
+  const quote = await fetchHistoricalQuote(ticker, dateStr);
+  return quote ? quote.close : null;
+}
+
 /**
  * Fetch a batch of prices in parallel with concurrency limit
  * @param {Array} requests - Array of {ticker, dateStr, cacheKey}
  * @param {number} concurrency - Max concurrent requests
- * @returns {Promise<Map>} - Map of cacheKey -> price
+ * @returns {Promise<Map>} - Map of cacheKey -> quote
  */
 async function fetchBatch(requests, concurrency = 10) {
   const results = new Map();
@@ -136,14 +122,14 @@ async function fetchBatch(requests, concurrency = 10) {
     const chunk = requests.slice(i, i + concurrency);
 
     const chunkPromises = chunk.map(async ({ ticker, dateStr, cacheKey }) => {
-      const price = await fetchHistoricalPrice(ticker, dateStr);
-      return { cacheKey, price };
+      const quote = await fetchHistoricalQuote(ticker, dateStr);
+      return { cacheKey, quote };
     });
 
     const chunkResults = await Promise.all(chunkPromises);
 
-    for (const { cacheKey, price } of chunkResults) {
-      results.set(cacheKey, price);
+    for (const { cacheKey, quote } of chunkResults) {
+      results.set(cacheKey, quote);
     }
   }
 
@@ -152,12 +138,16 @@ async function fetchBatch(requests, concurrency = 10) {
 
 /**
  * Fetch historical prices for multiple transactions in parallel
- * Optimized with deduplication and batched concurrency
+ * Optimized with deduplication and batched concurrency. RSU vests are valued
+ * with the method chosen for their employer or broker (see vest-valuation.js),
+ * and every vest's day is fetched so the methods can be compared.
  * @param {Array} transactions - Array of transactions with needsHistoricalPrice flag
+ * @param {Object} options
+ * @param {Object} options.vestValuation - { method, brokerMethods, employerMethods }
  * @returns {Promise<Array>} - Updated transactions with prices filled in
  */
-export async function fetchHistoricalPricesForTransactions(transactions) {
-  const transactionsNeedingPrice = transactions.filter(txn => txn.needsHistoricalPrice && !txn.__isAdjusted);
+export async function fetchHistoricalPricesForTransactions(transactions, { vestValuation = {} } = {}) {
+  const transactionsNeedingPrice = transactions.filter(txn => (txn.needsHistoricalPrice || txn.vest) && !txn.__isAdjusted);
 
   if (transactionsNeedingPrice.length === 0) {
     return transactions;
@@ -192,15 +182,37 @@ export async function fetchHistoricalPricesForTransactions(transactions) {
     if (txn.__isAdjusted) {
       return txn;
     }
-    
+
+    if (txn.vest) {
+      const cacheKey = getCacheKey(txn.symbol, txn.date);
+      const valuations = vestValuations(txn.vest.fmv, cacheKey ? priceCache.get(cacheKey) : null);
+      const valuation = valueVest(valuations, vestValuationMethodFor(txn, vestValuation));
+      // The method actually used, and the one chosen when it had no price for the day
+      const vest = { ...txn.vest, valuationMethod: valuation.method, requestedMethod: valuation.requestedMethod, valuations };
+
+      if (valuation.price !== null) {
+        successCount++;
+        return {
+          ...txn,
+          pricePerUnit: valuation.price,
+          totalAmount: txn.quantity * valuation.price,
+          needsHistoricalPrice: false,
+          priceSource: valuation.priceSource,
+          vest,
+        };
+      }
+
+      console.warn(`[HISTORICAL-PRICE] Could not value ${txn.symbol} vest on ${txn.date}`);
+      return { ...txn, pricePerUnit: 0, totalAmount: 0, needsHistoricalPrice: false, priceSource: 'missing', priceMissing: true, vest };
+    }
+
     if (!txn.needsHistoricalPrice) {
       return txn;
     }
 
-    const cacheKey = getCacheKey(txn.symbol, txn.date);
-    const price = cacheKey ? priceCache.get(cacheKey) : null;
+    const price = cachedClose(txn.symbol, txn.date);
 
-    if (price !== null && price !== undefined) {
+    if (price !== null) {
       successCount++;
       return {
         ...txn,
@@ -228,6 +240,67 @@ export async function fetchHistoricalPricesForTransactions(transactions) {
   return updatedTransactions;
 }
 
+// A demerger price as entered, otherwise the cached close for the ticker
+function demergerPrice(entered, ticker, dateStr) {
+  if (parseFloat(entered)) return { price: parseFloat(entered), source: 'manual' };
+  const close = cachedClose(ticker, dateStr);
+  return close ? { price: close, source: 'yahoo_finance_historical' } : { price: 0, source: 'missing' };
+}
+
+/**
+ * Fill in first-day market values for DEMERGER transactions so the engine can
+ * apportion cost between parent and child. Prices entered by the user are kept;
+ * only missing ones are looked up (closing price of both tickers on the demerger date).
+ * @param {Array} transactions - Array of transactions, possibly including DEMERGER entries
+ * @returns {Promise<Array>} - Updated transactions with parentSharePrice/newSharePrice
+ *   filled in, and where each came from in parentPriceSource/newPriceSource
+ *   ('manual', 'yahoo_finance_historical' or 'missing')
+ */
+export async function fetchDemergerPrices(transactions) {
+  const demergers = new Set(transactions.filter(txn =>
+    txn.type?.toUpperCase() === 'DEMERGER' && txn.newSymbol &&
+    (!parseFloat(txn.parentSharePrice) || !parseFloat(txn.newSharePrice))
+  ));
+
+  if (demergers.size === 0) {
+    return transactions;
+  }
+
+  console.log(`[HISTORICAL-PRICE] Fetching first-day prices for ${demergers.size} demergers`);
+
+  const requests = new Map();
+  for (const txn of demergers) {
+    for (const ticker of [txn.symbol, txn.newSymbol]) {
+      const cacheKey = getCacheKey(ticker, txn.date);
+      if (cacheKey && !priceCache.has(cacheKey)) {
+        requests.set(cacheKey, { ticker, dateStr: txn.date, cacheKey });
+      }
+    }
+  }
+  await fetchBatch(Array.from(requests.values()), 10);
+
+  return transactions.map(txn => {
+    if (!demergers.has(txn)) {
+      return txn;
+    }
+
+    const parent = demergerPrice(txn.parentSharePrice, txn.symbol, txn.date);
+    const child = demergerPrice(txn.newSharePrice, txn.newSymbol, txn.date);
+
+    if (!parent.price || !child.price) {
+      console.warn(`[HISTORICAL-PRICE] Could not fetch demerger prices for ${txn.symbol} -> ${txn.newSymbol} on ${txn.date}`);
+    }
+
+    return {
+      ...txn,
+      parentSharePrice: parent.price,
+      newSharePrice: child.price,
+      parentPriceSource: parent.source,
+      newPriceSource: child.source,
+    };
+  });
+}
+
 /**
  * Clear the price cache (useful for testing)
  */
@@ -0,0 +1,14 @@
+/**
+ * HMRC Monthly Exchange Rates
+ * Saved copy of HMRC's published monthly exchange rates, keyed by month
+ * ('YYYY-MM') and currency code. Rates are currency units per £1, as HMRC
+ * publishes them, and apply to every day of the month.
+ *
+ * Generated by scripts/update-hmrc-rates.mjs from HMRC's monthly CSV files;
+ * do not edit by hand. Months not listed here are fetched from HMRC when needed.
+ *
+ * The table is committed empty: it has not been generated yet, so every month
+ * is fetched from HMRC until `node scripts/update-hmrc-rates.mjs` is run.
+ */
+
+export const HMRC_MONTHLY_RATES = {};
@@ -1,5 +1,31 @@
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import { FX_POLICIES } from './exchange-rate.js';
+import { ROUNDING_POLICIES } from './rounding-policy.js';
+
+// How each Section 104 ledger entry is described in the pool working
+const POOL_EVENT_LABELS = {
+  OPENING_POSITION: 'Opening balance',
+  ACQUISITION: 'Acquisition',
+  DISPOSAL: 'Disposal',
+  SPLIT: 'Share split',
+  CONSOLIDATION: 'Share consolidation',
+  RIGHTS_ISSUE: 'Rights issue',
+  REORGANISATION: 'Reorganisation',
+  REORGANISATION_IN: 'Reorganisation',
+  DEMERGER: 'Demerger',
+  DEMERGER_IN: 'Demerger',
+  EXCESS_REPORTABLE_INCOME: 'Excess reportable income',
+  NOTIONAL_DISTRIBUTION: 'Notional distribution',
+};
+
+// Pool working description of a ledger entry, naming the other symbol in a reorganisation or demerger
+const describePoolEvent = (entry) => {
+  const label = POOL_EVENT_LABELS[entry.type] || entry.type;
+  if (entry.newSymbol) return `${label} into ${entry.newSymbol}`;
+  if (entry.fromSymbol) return `${label} from ${entry.fromSymbol}`;
+  return label;
+};
 
 /**
  * Generate HMRC-compatible CGT Computation PDF
@@ -38,6 +64,12 @@ export function generateCGTReport(yearData, taxYear) {
     return y + 6;
   };
 
+  // Pool symbol with any former tickers, flagged if it includes a user-declared balance
+  const formatPoolSymbol = (pool) => {
+    const name = pool.formerSymbols ? `${pool.symbol} (formerly ${pool.formerSymbols.join(', ')})` : pool.symbol;
+    return pool.userDeclared ? `${name} *` : name;
+  };
+
   let y = 20;
 
   // Header
@@ -76,11 +108,22 @@ export function generateCGTReport(yearData, taxYear) {
   // Tax Calculation
   y = addTitle('Tax Calculation', y + 5);
 
+  const lossesUsed = yearData.lossLedger?.used || 0;
+
+  const allocation = yearData.reliefAllocation?.higherRate;
+  const setOff = (key) => {
+    const bucket = allocation?.buckets?.find(b => b.key === key);
+    return (bucket?.lossesSet || 0) + (bucket?.exemptionSet || 0);
+  };
+
   doc.setFillColor(255, 250, 240);
-  doc.rect(14, y, pageWidth - 28, yearData.rateChange ? 60 : 30, 'F');
+  doc.rect(14, y, pageWidth - 28, (yearData.rateChange ? 64 : 30) + (lossesUsed > 0 ? 6 : 0), 'F');
   y += 8;
 
   y = addKeyValue('Net Gain:', formatCurrency(yearData.netGain), y);
+  if (lossesUsed > 0) {
+    y = addKeyValue('Losses Brought Forward Used:', formatCurrency(lossesUsed), y);
+  }
   y = addKeyValue('Annual Exempt Amount:', formatCurrency(yearData.annualExemption), y);
 
   doc.setFont('helvetica', 'bold');
@@ -101,11 +144,15 @@ export function generateCGTReport(yearData, taxYear) {
     doc.setFontSize(8);
 
     // Pre-30 Oct
-    doc.text(`Before 30 Oct 2024: ${yearData.rateChange.preOctober.disposalCount} disposal(s), Gains: ${formatCurrency(yearData.rateChange.preOctober.gains)}, Rates: 10%/20%`, 18, y);
+    doc.text(`Before 30 Oct 2024: ${yearData.rateChange.preOctober.disposalCount} disposal(s), Gains: ${formatCurrency(yearData.rateChange.preOctober.gains)}, Set off: ${formatCurrency(setOff('preOctober'))}, Rates: 10%/20%`, 18, y);
     y += 4;
 
     // Post-30 Oct
-    doc.text(`From 30 Oct 2024: ${yearData.rateChange.postOctober.disposalCount} disposal(s), Gains: ${formatCurrency(yearData.rateChange.postOctober.gains)}, Rates: 18%/24%`, 18, y);
+    doc.text(`From 30 Oct 2024: ${yearData.rateChange.postOctober.disposalCount} disposal(s), Gains: ${formatCurrency(yearData.rateChange.postOctober.gains)}, Set off: ${formatCurrency(setOff('postOctober'))}, Rates: 18%/24%`, 18, y);
+    y += 4;
+
+    // Losses and the exemption go against the higher-rate gains first
+    doc.text(`Losses and annual exemption set against the highest-rate gains first${allocation?.savings > 0 ? ` (saves ${formatCurrency(allocation.savings)} at the higher rate)` : ''}`, 18, y);
     y += 6;
   }
 
@@ -115,20 +162,43 @@ export function generateCGTReport(yearData, taxYear) {
   y = addText(`Estimated CGT at Higher Rate: ${formatCurrency(yearData.estimatedTaxHigherRate)}${yearData.rateChange ? ' (blended)' : ' (20%)'}`, y);
   y += 10;
 
+  // Figures for the Self Assessment capital gains pages
+  if (yearData.sa108) {
+    y = addTitle('Figures for SA108 (Capital Gains Summary)', y);
+
+    doc.setFillColor(240, 245, 255);
+    doc.rect(14, y, pageWidth - 28, 48, 'F');
+    y += 8;
+
+    y = addKeyValue('Number of disposals:', String(yearData.sa108.numberOfDisposals), y);
+    y = addKeyValue('Disposal proceeds:', formatCurrency(yearData.sa108.disposalProceeds), y);
+    y = addKeyValue('Allowable costs:', formatCurrency(yearData.sa108.allowableCosts), y);
+    y = addKeyValue('Gains in the year, before losses:', formatCurrency(yearData.sa108.gainsBeforeLosses), y);
+    y = addKeyValue('Losses in the year:', formatCurrency(yearData.sa108.lossesInYear), y);
+    y = addKeyValue('Losses brought forward and used:', formatCurrency(yearData.sa108.lossesBroughtForwardUsed), y);
+    y = addKeyValue('Losses available to carry forward:', formatCurrency(yearData.sa108.lossesCarriedForward), y);
+    y += 4;
+    if (yearData.roundingPolicy) {
+      y = addText(`Disposal figures rounded: ${ROUNDING_POLICIES[yearData.roundingPolicy] || yearData.roundingPolicy}.`, y, 8);
+    }
+    y += 4;
+  }
+
   // Disposals Table
   y = addTitle('Schedule of Disposals', y);
 
   const disposalRows = yearData.disposals.map((d, idx) => [
     idx + 1,
     d.date,
-    d.symbol,
-    d.quantity.toString(),
+    d.formerSymbol ? `${d.symbol} (as ${d.formerSymbol})` : d.symbol,
+    d.fills ? `${d.quantity} (${d.fills.length} fills)` : d.quantity.toString(),
     formatCurrency(d.proceeds),
     formatCurrency(d.cost),
     formatCurrency(d.gain),
     d.matchDetails.map(m =>
       m.rule === 'SAME_DAY' ? 'Same Day' :
-      m.rule === 'BED_AND_BREAKFAST' ? 'B&B' : 'S104'
+      m.rule === 'BED_AND_BREAKFAST' ? 'B&B' :
+      m.rule === 'REORGANISATION' ? `Reorg (${m.newSymbol})` : 'S104'
     ).join(', ')
   ]);
 
@@ -155,6 +225,22 @@ export function generateCGTReport(yearData, taxYear) {
 
   y = doc.lastAutoTable.finalY + 10;
 
+  // Basis used to convert foreign-currency amounts to GBP
+  const foreignDisposals = yearData.disposals.filter(d => d.fx);
+  if (yearData.fxPolicy && foreignDisposals.length > 0) {
+    y = addText(`Foreign currency amounts converted to GBP using: ${FX_POLICIES[yearData.fxPolicy] || yearData.fxPolicy}.`, y - 4, 8);
+    for (const [broker, basis] of Object.entries(yearData.fxBrokerPolicies || {})) {
+      if (basis !== yearData.fxPolicy) {
+        y = addText(`${broker}: ${FX_POLICIES[basis] || basis}.`, y - 2, 8);
+      }
+    }
+    const otherBasis = foreignDisposals.filter(d => d.fx.source === 'fallback' || (yearData.fxPolicy === 'hmrc-monthly' && d.fx.source === 'api'));
+    if (otherBasis.length > 0) {
+      y = addText(`${otherBasis.length} disposal(s) used a daily or yearly average rate where no rate on that basis was available.`, y - 2, 8);
+    }
+    y += 4;
+  }
+
   // Check if we need a new page for Section 104
   if (y > 250) {
     doc.addPage();
@@ -166,7 +252,7 @@ export function generateCGTReport(yearData, taxYear) {
     y = addTitle('Section 104 Holdings at Start of Tax Year', y);
 
     const s104StartRows = yearData.section104Start.map(pool => [
-      pool.symbol,
+      formatPoolSymbol(pool),
       pool.quantity.toLocaleString(),
       formatCurrency(pool.totalCost),
       formatCurrency(pool.averageCost)
@@ -196,7 +282,7 @@ export function generateCGTReport(yearData, taxYear) {
     y = addTitle('Section 104 Holdings at End of Tax Year', y);
 
     const s104EndRows = yearData.section104End.map(pool => [
-      pool.symbol,
+      formatPoolSymbol(pool),
       pool.quantity.toLocaleString(),
       formatCurrency(pool.totalCost),
       formatCurrency(pool.averageCost)
@@ -215,6 +301,111 @@ export function generateCGTReport(yearData, taxYear) {
     y = doc.lastAutoTable.finalY + 10;
   }
 
+  // Opening balances entered by the user rather than derived from statements
+  const hasUserDeclared = [...(yearData.section104Start || []), ...(yearData.section104End || [])].some(p => p.userDeclared);
+  if (hasUserDeclared) {
+    y = addText('* Includes an opening Section 104 balance declared by the user for shares acquired before the uploaded statements.', y - 6, 8);
+    y += 4;
+  }
+
+  // Pool cost adjustments (e.g. excess reportable income from offshore funds)
+  if (yearData.poolAdjustments && yearData.poolAdjustments.length > 0) {
+    if (y > 250) {
+      doc.addPage();
+      y = 20;
+    }
+    y = addTitle('Section 104 Cost Adjustments', y);
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Date', 'Asset', 'Units Held', 'Per Unit', 'Equalisation', 'Added to Cost']],
+      body: yearData.poolAdjustments.map(adj => [
+        adj.date,
+        adj.symbol,
+        adj.units.toLocaleString(),
+        String(adj.amountPerUnit),
+        formatCurrency(adj.equalisation),
+        formatCurrency(adj.costAdjustment)
+      ]),
+      styles: { fontSize: 9, cellPadding: 3 },
+      headStyles: { fillColor: [15, 118, 110], textColor: 255 },
+      alternateRowStyles: { fillColor: [240, 253, 250] },
+      margin: { left: 14, right: 14 }
+    });
+
+    y = doc.lastAutoTable.finalY + 10;
+  }
+
+  // RSU vests: the market value used as each vest's base cost, and the method it was valued with
+  if (yearData.vests && yearData.vests.length > 0) {
+    if (y > 250) {
+      doc.addPage();
+      y = 20;
+    }
+    y = addTitle('RSU Vests', y);
+
+    autoTable(doc, {
+      startY: y,
+      head: [['Date', 'Asset', 'Shares Vested', 'Price per Share', 'Valued at', 'Vest Value']],
+      body: yearData.vests.map(vest => [
+        vest.date,
+        vest.symbol,
+        vest.sharesVested.toLocaleString(),
+        vest.currency === 'GBP' ? formatCurrency(vest.fmv) : `${vest.currency} ${vest.fmv.toFixed(2)}`,
+        vest.requestedMethod
+          ? `${vest.valuationMethod} (no ${vest.requestedMethod} price)`
+          : vest.valuationMethod || 'fmv',
+        formatCurrency(vest.value)
+      ]),
+      styles: { fontSize: 9, cellPadding: 3 },
+      headStyles: { fillColor: [107, 33, 168], textColor: 255 },
+      alternateRowStyles: { fillColor: [250, 245, 255] },
+      margin: { left: 14, right: 14 }
+    });
+
+    y = doc.lastAutoTable.finalY + 10;
+  }
+
+  // Pool working: every change to each pool during the year, with running totals
+  if (yearData.section104Working && yearData.section104Working.length > 0) {
+    doc.addPage();
+    y = addTitle('Section 104 Pool Working', 20);
+
+    yearData.section104Working.forEach(working => {
+      if (y > 250) {
+        doc.addPage();
+        y = 20;
+      }
+      y = addTitle(formatPoolSymbol(working), y, 12);
+
+      const rows = [
+        ['', 'Brought forward', '', '', working.opening.quantity.toLocaleString(), formatCurrency(working.opening.cost), formatCurrency(working.opening.avgCost)],
+        ...working.entries.map(entry => [
+          entry.date,
+          describePoolEvent(entry),
+          entry.quantity ? entry.quantity.toLocaleString() : '',
+          entry.cost ? formatCurrency(entry.cost) : '',
+          entry.poolAfter.quantity.toLocaleString(),
+          formatCurrency(entry.poolAfter.cost),
+          formatCurrency(entry.poolAfter.avgCost)
+        ]),
+        ['', 'Carried forward', '', '', working.closing.quantity.toLocaleString(), formatCurrency(working.closing.cost), formatCurrency(working.closing.avgCost)]
+      ];
+
+      autoTable(doc, {
+        startY: y,
+        head: [['Date', 'Event', 'Shares', 'Cost', 'Pool Shares', 'Pool Cost', 'Average Cost']],
+        body: rows,
+        styles: { fontSize: 8, cellPadding: 2 },
+        headStyles: { fillColor: [107, 33, 168], textColor: 255 },
+        alternateRowStyles: { fillColor: [250, 245, 255] },
+        margin: { left: 14, right: 14 }
+      });
+
+      y = doc.lastAutoTable.finalY + 10;
+    });
+  }
+
   // Footer - Disclaimer
   if (y > 260) {
     doc.addPage();
@@ -328,6 +519,7 @@ export function generateAssetReport(disposals, symbol, taxYear) {
     disposal.matchDetails.forEach(match => {
       const ruleName = match.rule === 'SAME_DAY' ? 'Same Day Rule' :
                        match.rule === 'BED_AND_BREAKFAST' ? 'Bed & Breakfast Rule' :
+                       match.rule === 'REORGANISATION' ? `Cash on exchange for ${match.newSymbol}` :
                        'Section 104 Pool';
       doc.text(`• ${ruleName}: ${match.quantity} shares @ ${formatCurrency(match.costPerShare || 0)}/share`, 25, y);
       y += 5;
@@ -0,0 +1,213 @@
+/**
+ * Relief Allocation
+ * Sets capital losses, the annual exempt amount and the unused basic rate band
+ * against gains charged at different CGT rates (rate periods such as before and
+ * after 30 October 2024, or asset classes such as shares and residential property).
+ *
+ * TCGA 1992 s4B allows losses and the annual exempt amount to be deducted from
+ * gains in whichever way is most beneficial, so they should go against the gains
+ * charged at the highest rates. The cheapest allocation is found exactly as a
+ * small min-cost flow: every pound of gain is either relieved (no tax), charged
+ * within the basic rate band, or charged at the higher rate.
+ */
+
+const EPSILON = 1e-9;
+
+function round2dp(num) {
+  return Math.round(num * 100) / 100;
+}
+
+/**
+ * Work out how much of each relief is available this year.
+ * Losses of the year are always set against gains in full; brought-forward
+ * losses only bring the remaining gains down to the annual exempt amount.
+ */
+function getReliefs(totalGains, { losses = 0, broughtForwardLosses = 0, annualExemption = 0 }) {
+  const lossesUsed = Math.min(losses, totalGains);
+  const netGain = totalGains - lossesUsed;
+  const broughtForwardUsed = Math.min(broughtForwardLosses, Math.max(0, netGain - annualExemption));
+  const exemptionUsed = Math.min(annualExemption, netGain - broughtForwardUsed);
+
+  return { lossesUsed, broughtForwardUsed, exemptionUsed };
+}
+
+/**
+ * Turn negative bucket figures (net losses in a period) into losses of the year
+ */
+function normaliseBuckets(buckets, options) {
+  let losses = options.losses || 0;
+  const normalised = buckets.map((bucket) => {
+    const gain = bucket.gain || 0;
+    if (gain < 0) losses += -gain;
+    return { ...bucket, gain: Math.max(0, gain) };
+  });
+  return { buckets: normalised, options: { ...options, losses } };
+}
+
+/**
+ * Minimum-cost flow by successive shortest paths (Bellman-Ford, so the negative
+ * costs on residual edges are handled). Graphs here have a handful of nodes.
+ */
+function minCostFlow(nodeCount, edges, source, sink, required) {
+  const graph = Array.from({ length: nodeCount }, () => []);
+  const addEdge = (from, to, capacity, cost) => {
+    graph[from].push({ to, capacity, cost, flow: 0, reverse: graph[to].length });
+    graph[to].push({ to: from, capacity: 0, cost: -cost, flow: 0, reverse: graph[from].length - 1 });
+    return graph[from][graph[from].length - 1];
+  };
+  const handles = edges.map(([from, to, capacity, cost]) => addEdge(from, to, capacity, cost));
+
+  let sent = 0;
+  while (sent < required - EPSILON) {
+    const distance = new Array(nodeCount).fill(Infinity);
+    const previous = new Array(nodeCount).fill(null);
+    distance[source] = 0;
+
+    for (let i = 0; i < nodeCount - 1; i++) {
+      let changed = false;
+      for (let node = 0; node < nodeCount; node++) {
+        if (distance[node] === Infinity) continue;
+        graph[node].forEach((edge, index) => {
+          if (edge.capacity - edge.flow > EPSILON && distance[node] + edge.cost < distance[edge.to] - EPSILON) {
+            distance[edge.to] = distance[node] + edge.cost;
+            previous[edge.to] = { node, index };
+            changed = true;
+          }
+        });
+      }
+      if (!changed) break;
+    }
+
+    if (distance[sink] === Infinity) break;
+
+    let push = required - sent;
+    for (let node = sink; node !== source; node = previous[node].node) {
+      const edge = graph[previous[node].node][previous[node].index];
+      push = Math.min(push, edge.capacity - edge.flow);
+    }
+    for (let node = sink; node !== source; node = previous[node].node) {
+      const edge = graph[previous[node].node][previous[node].index];
+      edge.flow += push;
+      graph[edge.to][edge.reverse].flow -= push;
+    }
+    sent += push;
+  }
+
+  return handles.map((edge) => Math.max(0, edge.flow));
+}
+
+/**
+ * Build the allocation result for a given split of reliefs and basic rate band
+ */
+function buildAllocation(buckets, reliefs, relieved, basicRateAmounts) {
+  // Present relieved amounts as losses first, then the exemption, highest rate first
+  let lossesLeft = reliefs.lossesUsed + reliefs.broughtForwardUsed;
+  const order = buckets
+    .map((bucket, index) => index)
+    .sort((a, b) => buckets[b].higherRate - buckets[a].higherRate || buckets[b].basicRate - buckets[a].basicRate);
+  const lossesSet = new Array(buckets.length).fill(0);
+  for (const index of order) {
+    lossesSet[index] = Math.min(lossesLeft, relieved[index]);
+    lossesLeft -= lossesSet[index];
+  }
+
+  const allocation = buckets.map((bucket, index) => {
+    const taxable = Math.max(0, bucket.gain - relieved[index]);
+    const atBasicRate = Math.min(taxable, basicRateAmounts[index]);
+    const atHigherRate = taxable - atBasicRate;
+    const tax = atBasicRate * bucket.basicRate + atHigherRate * bucket.higherRate;
+
+    return {
+      key: bucket.key,
+      label: bucket.label,
+      gain: round2dp(bucket.gain),
+      lossesSet: round2dp(lossesSet[index]),
+      exemptionSet: round2dp(relieved[index] - lossesSet[index]),
+      taxableGain: round2dp(taxable),
+      atBasicRate: round2dp(atBasicRate),
+      atHigherRate: round2dp(atHigherRate),
+      basicRate: bucket.basicRate,
+      higherRate: bucket.higherRate,
+      tax: round2dp(tax),
+    };
+  });
+
+  return {
+    buckets: allocation,
+    lossesUsed: round2dp(reliefs.lossesUsed),
+    broughtForwardUsed: round2dp(reliefs.broughtForwardUsed),
+    exemptionUsed: round2dp(reliefs.exemptionUsed),
+    taxableGain: round2dp(allocation.reduce((sum, b) => sum + b.taxableGain, 0)),
+    tax: round2dp(allocation.reduce((sum, b) => sum + b.atBasicRate * b.basicRate + b.atHigherRate * b.higherRate, 0)),
+  };
+}
+
+/**
+ * Split reliefs in proportion to each bucket's gains and use the basic rate band
+ * in bucket order. Used as the baseline the optimised allocation is compared with.
+ */
+export function allocateReliefsProportionally(rawBuckets, rawOptions = {}) {
+  const { buckets, options } = normaliseBuckets(rawBuckets, rawOptions);
+  const totalGains = buckets.reduce((sum, b) => sum + b.gain, 0);
+  const reliefs = getReliefs(totalGains, options);
+  const totalRelief = reliefs.lossesUsed + reliefs.broughtForwardUsed + reliefs.exemptionUsed;
+
+  const relieved = buckets.map((b) => totalGains > 0 ? totalRelief * b.gain / totalGains : 0);
+
+  let bandLeft = options.basicRateBand ?? Infinity;
+  const basicRateAmounts = buckets.map((b, index) => {
+    const amount = Math.min(bandLeft, Math.max(0, b.gain - relieved[index]));
+    bandLeft -= amount;
+    return amount;
+  });
+
+  return buildAllocation(buckets, reliefs, relieved, basicRateAmounts);
+}
+
+/**
+ * Find the allocation of losses, annual exempt amount and basic rate band that
+ * gives the lowest total CGT.
+ *
+ * @param {Array} buckets - [{ key, label, gain, basicRate, higherRate }], gains
+ *   before losses of the year (a negative gain is treated as a loss of the year)
+ * @param {Object} options
+ * @param {number} options.losses - Allowable losses of the year
+ * @param {number} options.broughtForwardLosses - Losses brought forward available
+ * @param {number} options.annualExemption - Annual exempt amount
+ * @param {number} options.basicRateBand - Unused basic rate band (Infinity = all at basic rate)
+ * @returns {Object} - Allocation per bucket, totals, and savings against a proportional split
+ */
+export function allocateReliefs(rawBuckets, rawOptions = {}) {
+  const { buckets, options } = normaliseBuckets(rawBuckets, rawOptions);
+  const totalGains = buckets.reduce((sum, b) => sum + b.gain, 0);
+  const reliefs = getReliefs(totalGains, options);
+  const totalRelief = reliefs.lossesUsed + reliefs.broughtForwardUsed + reliefs.exemptionUsed;
+  const basicRateBand = Math.min(options.basicRateBand ?? Infinity, totalGains);
+
+  // Nodes: source, relief, basic band, higher rate, one per bucket, sink
+  const SOURCE = 0, RELIEF = 1, BASIC = 2, HIGHER = 3, SINK = 4 + buckets.length;
+  const edges = [
+    [SOURCE, RELIEF, totalRelief, 0],
+    [SOURCE, BASIC, basicRateBand, 0],
+    [SOURCE, HIGHER, totalGains, 0],
+  ];
+  buckets.forEach((b, index) => {
+    edges.push([RELIEF, 4 + index, b.gain, 0]);
+    edges.push([BASIC, 4 + index, b.gain, b.basicRate]);
+    edges.push([HIGHER, 4 + index, b.gain, b.higherRate]);
+    edges.push([4 + index, SINK, b.gain, 0]);
+  });
+
+  const flows = minCostFlow(SINK + 1, edges, SOURCE, SINK, totalGains);
+  const relieved = buckets.map((b, index) => flows[3 + index * 4]);
+  const basicRateAmounts = buckets.map((b, index) => flows[4 + index * 4]);
+
+  const optimal = buildAllocation(buckets, reliefs, relieved, basicRateAmounts);
+  const proportional = allocateReliefsProportionally(rawBuckets, rawOptions);
+
+  return {
+    ...optimal,
+    proportionalTax: proportional.tax,
+    savings: round2dp(Math.max(0, proportional.tax - optimal.tax)),
+  };
+}
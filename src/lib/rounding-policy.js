@@ -0,0 +1,61 @@
+/**
+ * Rounding Policy
+ * How the figures that go on the return are rounded. The CGT engine works with
+ * exact amounts; each disposal's proceeds and cost are rounded once, under the
+ * chosen policy, and everything after that (gains, year totals, losses, tax) is
+ * worked out from the rounded figures so every page agrees.
+ *
+ * HMRC accepts whole pounds on the capital gains pages and lets you round in
+ * your favour: proceeds and gains down, costs and losses up.
+ */
+
+import { Decimal } from './decimal.js';
+
+export const ROUNDING_POLICIES = {
+  'exact': 'Exact, to the penny',
+  'whole-pound-favourable': 'Whole pounds in your favour (gains down, losses up)',
+  'whole-pound-nearest': 'Whole pounds, to the nearest pound',
+};
+
+export const DEFAULT_ROUNDING_POLICY = 'exact';
+
+// Rounding direction for each kind of figure under the favourable policy.
+// A 'gain' may be negative (a loss), and rounding it down makes the loss larger.
+const FAVOURABLE_MODES = {
+  proceeds: 'floor',
+  cost: 'ceil',
+  gain: 'floor',
+  loss: 'ceil',
+};
+
+/**
+ * Check a policy name, throwing for one that isn't supported
+ */
+export function validateRoundingPolicy(policy) {
+  if (!ROUNDING_POLICIES[policy]) {
+    throw new Error(`Unknown rounding policy "${policy}". Choose one of: ${Object.keys(ROUNDING_POLICIES).join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Round a figure for the return
+ * @param {number|Decimal} amount
+ * @param {string} policy - See ROUNDING_POLICIES
+ * @param {string} kind - 'proceeds', 'cost', 'gain' (negative for a loss) or
+ *   'loss' (a loss given as a positive amount)
+ * @returns {Decimal}
+ */
+export function roundReported(amount, policy = DEFAULT_ROUNDING_POLICY, kind = 'gain') {
+  const value = Decimal.from(amount);
+  if (policy === 'whole-pound-favourable') return value.round(0, FAVOURABLE_MODES[kind] || 'half-up');
+  if (policy === 'whole-pound-nearest') return value.round(0);
+  return value.round(2);
+}
+
+/**
+ * roundReported as a number, for code that works in plain numbers
+ */
+export function roundMoney(amount, policy = DEFAULT_ROUNDING_POLICY, kind = 'gain') {
+  return roundReported(amount, policy, kind).toNumber();
+}
@@ -0,0 +1,170 @@
+/**
+ * Security Identity
+ * HMRC pools shares by security, not by the string a broker happens to use for
+ * it. This resolves tickers, ISINs, SEDOLs and CUSIPs to one canonical symbol
+ * per security, using the offline security master, identifiers reported together
+ * on the same transaction, and aliases defined by the user (e.g. BRK.B = BRK-B).
+ */
+
+import { SECURITY_MASTER } from './security-master.js';
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}\d$/;
+const SEDOL_PATTERN = /^[0-9BCDFGHJKLMNPQRSTVWXYZ]{6}\d$/;
+const CUSIP_PATTERN = /^[0-9]{3}[0-9A-Z]{5}\d$/;
+
+function normalizeIdentifier(value) {
+  return value ? String(value).toUpperCase().trim() : '';
+}
+
+/**
+ * Identify what kind of identifier a string is
+ * @returns {string} - 'isin', 'sedol', 'cusip' or 'ticker'
+ */
+export function classifyIdentifier(value) {
+  const id = normalizeIdentifier(value);
+  if (ISIN_PATTERN.test(id)) return 'isin';
+  if (SEDOL_PATTERN.test(id) && /\d/.test(id.slice(0, 6))) return 'sedol';
+  if (CUSIP_PATTERN.test(id)) return 'cusip';
+  return 'ticker';
+}
+
+/**
+ * Identifiers embedded in an ISIN: GB and IE ISINs wrap a SEDOL, US and CA
+ * ISINs wrap a CUSIP
+ */
+function embeddedIdentifiers(isin) {
+  if (/^(GB|IE)00/.test(isin)) return [isin.slice(4, 11)];
+  if (/^(US|CA)/.test(isin)) return [isin.slice(2, 11)];
+  return [];
+}
+
+/**
+ * Build a resolver for one calculation
+ * @param {Object} options
+ * @param {Object} options.aliases - User-defined aliases { alias: canonicalSymbol }
+ * @param {Array} options.transactions - Raw transactions, used to link identifiers
+ *   reported together (e.g. a Trading 212 row with both ticker and ISIN)
+ * @returns {{ resolve: Function, getSecurities: Function }}
+ */
+export function createSecurityResolver({ aliases = {}, transactions = [] } = {}) {
+  const parent = new Map();
+  const preferred = new Map(); // identifier -> rank of preference as a canonical symbol
+  const order = [];
+  const names = new Map();
+
+  const find = (id) => {
+    if (!parent.has(id)) {
+      parent.set(id, id);
+      order.push(id);
+    }
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const prefer = (id, rank) => {
+    if (!preferred.has(id) || preferred.get(id) > rank) preferred.set(id, rank);
+  };
+
+  const link = (identifiers) => {
+    const ids = identifiers.map(normalizeIdentifier).filter(Boolean);
+    for (const id of ids) {
+      find(id);
+      if (classifyIdentifier(id) === 'isin') {
+        for (const embedded of embeddedIdentifiers(id)) union(id, embedded);
+      }
+    }
+    for (let i = 1; i < ids.length; i++) union(ids[0], ids[i]);
+  };
+
+  // 1. Offline security master: its symbol is always the canonical one
+  for (const security of SECURITY_MASTER) {
+    link([security.symbol, security.isin, security.sedol, security.cusip, ...(security.tickers || [])]);
+    prefer(security.symbol, 0);
+    names.set(security.symbol, security.name);
+  }
+
+  // 2. User-defined aliases: the target becomes the canonical symbol
+  for (const [alias, target] of Object.entries(aliases || {})) {
+    if (!normalizeIdentifier(alias) || !normalizeIdentifier(target)) continue;
+    link([target, alias]);
+    prefer(normalizeIdentifier(target), 1);
+  }
+
+  // 3. Identifiers reported together on a transaction. Tickers read better
+  // in reports than ISINs or SEDOLs, so they are preferred as the canonical symbol.
+  for (const t of transactions) {
+    link([t.symbol, t.reportedSymbol, t.isin, t.sedol, t.cusip]);
+    const symbol = normalizeIdentifier(t.symbol);
+    if (symbol && classifyIdentifier(symbol) === 'ticker') prefer(symbol, 2);
+  }
+
+  // Choose the canonical symbol for each group
+  const canonical = new Map();
+  const members = new Map();
+  for (const id of order) {
+    const root = find(id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(id);
+  }
+  for (const [root, ids] of members) {
+    const best = ids.reduce((chosen, id) => {
+      const rank = preferred.has(id) ? preferred.get(id) : 3;
+      const chosenRank = preferred.has(chosen) ? preferred.get(chosen) : 3;
+      return rank < chosenRank ? id : chosen;
+    }, ids[0]);
+    canonical.set(root, best);
+  }
+
+  const seen = new Map(); // canonical symbol -> identifiers actually used in the data
+
+  return {
+    /**
+     * Resolve a transaction's identifiers to its canonical symbol
+     * @param {Object|string} identifiers - { symbol, reportedSymbol, isin, sedol, cusip } or a symbol
+     */
+    resolve(identifiers) {
+      const { symbol, reportedSymbol, isin, sedol, cusip } = typeof identifiers === 'object' && identifiers !== null
+        ? identifiers
+        : { symbol: identifiers };
+      const key = [isin, sedol, cusip, symbol].map(normalizeIdentifier).find((id) => id && parent.has(id));
+      if (!key) return normalizeIdentifier(symbol);
+
+      const result = canonical.get(find(key));
+      if (!seen.has(result)) seen.set(result, new Set());
+      const used = normalizeIdentifier(reportedSymbol || symbol);
+      if (used) seen.get(result).add(used);
+      return result;
+    },
+
+    /**
+     * Securities reported under more than one identifier in the data
+     */
+    getSecurities() {
+      return Array.from(seen.entries())
+        .map(([symbol, used]) => {
+          const ids = members.get(find(symbol)) || [];
+          return {
+            symbol,
+            name: names.get(symbol),
+            isin: ids.find((id) => classifyIdentifier(id) === 'isin'),
+            reportedAs: Array.from(used).filter((id) => id !== symbol).sort(),
+          };
+        })
+        .filter((s) => s.reportedAs.length > 0)
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+    },
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Security Master
+ * Offline identifiers for commonly held securities, so that the same holding
+ * reported by ticker at one broker, by ISIN at another and by SEDOL at a third
+ * ends up in one Section 104 pool.
+ *
+ * `symbol` is the canonical ticker used in reports. `tickers` lists other
+ * tickers brokers use for the same security at the same time. Former tickers
+ * are dated and live in symbol-changes.js, because old tickers get reused.
+ * Securities not listed here are still linked when a broker reports a ticker
+ * and an ISIN on the same row, or when a GB/IE ISIN contains a SEDOL or a
+ * US ISIN contains a CUSIP.
+ */
+
+export const SECURITY_MASTER = [
+  // US shares
+  { symbol: 'AAPL', name: 'Apple Inc', isin: 'US0378331005', cusip: '037833100', sedol: '2046251', tickers: [] },
+  { symbol: 'MSFT', name: 'Microsoft Corp', isin: 'US5949181045', cusip: '594918104', sedol: '2588173', tickers: [] },
+  { symbol: 'AMZN', name: 'Amazon.com Inc', isin: 'US0231351067', cusip: '023135106', sedol: '2000019', tickers: [] },
+  { symbol: 'GOOGL', name: 'Alphabet Inc Class A', isin: 'US02079K3059', cusip: '02079K305', sedol: 'BYVY8G0', tickers: [] },
+  { symbol: 'GOOG', name: 'Alphabet Inc Class C', isin: 'US02079K1079', cusip: '02079K107', sedol: 'BYY88Y7', tickers: [] },
+  // Trades under the former ticker FB are renamed by date in symbol-changes.js
+  { symbol: 'META', name: 'Meta Platforms Inc', isin: 'US30303M1027', cusip: '30303M102', sedol: 'B7TL820', tickers: [] },
+  { symbol: 'NVDA', name: 'NVIDIA Corp', isin: 'US67066G1040', cusip: '67066G104', sedol: '2379504', tickers: [] },
+  { symbol: 'TSLA', name: 'Tesla Inc', isin: 'US88160R1014', cusip: '88160R101', sedol: 'B616C79', tickers: [] },
+
+  // UK shares (LSE tickers, with the ".L" suffix some brokers add)
+  { symbol: 'VOD', name: 'Vodafone Group plc', isin: 'GB00BH4HKS39', sedol: 'BH4HKS3', tickers: ['VOD.L'] },
+  { symbol: 'LLOY', name: 'Lloyds Banking Group plc', isin: 'GB0008706128', sedol: '0870612', tickers: ['LLOY.L'] },
+  { symbol: 'BARC', name: 'Barclays plc', isin: 'GB0031348658', sedol: '3134865', tickers: ['BARC.L'] },
+  { symbol: 'HSBA', name: 'HSBC Holdings plc', isin: 'GB0005405286', sedol: '0540528', tickers: ['HSBA.L'] },
+  { symbol: 'BP', name: 'BP plc', isin: 'GB0007980591', sedol: '0798059', tickers: ['BP.', 'BP.L'] },
+  { symbol: 'AZN', name: 'AstraZeneca plc', isin: 'GB0009895292', sedol: '0989529', tickers: ['AZN.L'] },
+  { symbol: 'GSK', name: 'GSK plc', isin: 'GB00BN7SWP63', sedol: 'BN7SWP6', tickers: ['GSK.L'] },
+
+  // ETFs
+  { symbol: 'VUSA', name: 'Vanguard S&P 500 UCITS ETF (Dist)', isin: 'IE00B3XXRP09', sedol: 'B3XXRP0', tickers: ['VUSA.L'] },
+  { symbol: 'VWRL', name: 'Vanguard FTSE All-World UCITS ETF (Dist)', isin: 'IE00B3RBWM25', sedol: 'B3RBWM2', tickers: ['VWRL.L'] },
+];
@@ -0,0 +1,88 @@
+/**
+ * Symbol Changes
+ * Companies that changed ticker keep the same shares, so trades before and
+ * after the change must share one Section 104 pool. Each change only applies
+ * to trades dated before it takes effect: old tickers are often reused later
+ * by an unrelated company.
+ */
+
+import { toISODate } from './date-format.js';
+
+// Ticker changes with the date the new ticker took effect
+export const SYMBOL_CHANGES = [
+  { from: 'CTL', to: 'LUMN', date: '2020-09-18', note: 'CenturyLink renamed Lumen Technologies' },
+  { from: 'FB', to: 'META', date: '2022-06-09', note: 'Facebook renamed Meta Platforms' },
+  { from: 'ANTM', to: 'ELV', date: '2022-06-28', note: 'Anthem renamed Elevance Health' },
+  { from: 'FISV', to: 'FI', date: '2023-06-06', note: 'Fiserv moved to the NYSE as FI' },
+  { from: 'SQ', to: 'XYZ', date: '2025-01-22', note: 'Block changed ticker to XYZ' },
+];
+
+/**
+ * Combine the built-in table with changes entered by the user, oldest first so
+ * that chains (A to B, later B to C) are followed through
+ * @param {Array} userChanges - [{ from, to, date }]
+ */
+export function getSymbolChangeTable(userChanges = []) {
+  const userEntries = userChanges
+    .map((c) => ({
+      from: String(c.from || '').toUpperCase().trim(),
+      to: String(c.to || '').toUpperCase().trim(),
+      date: toISODate(c.date),
+      note: c.note || 'Added by user',
+      userDefined: true,
+    }))
+    .filter((c) => c.from && c.to && c.date && c.from !== c.to);
+
+  return [...SYMBOL_CHANGES, ...userEntries].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Rename the symbol (and any reorganisation target) of trades dated before a
+ * ticker change. The original ticker is kept in `formerSymbol`.
+ * @param {Array} transactions - Transactions with symbol and date
+ * @param {Array} userChanges - Extra changes entered by the user
+ * @returns {Array} - Transactions with current tickers
+ */
+export function applySymbolChanges(transactions, userChanges = []) {
+  const table = getSymbolChangeTable(userChanges);
+
+  return transactions.map((t) => {
+    const date = toISODate(t.date);
+    if (!date) return t;
+
+    let symbol = String(t.symbol || '').toUpperCase().trim();
+    let newSymbol = t.newSymbol ? String(t.newSymbol).toUpperCase().trim() : t.newSymbol;
+    for (const change of table) {
+      if (date >= change.date) continue;
+      if (symbol === change.from) symbol = change.to;
+      if (newSymbol === change.from) newSymbol = change.to;
+    }
+
+    if (symbol === String(t.symbol || '').toUpperCase().trim() && newSymbol === t.newSymbol) return t;
+    return {
+      ...t,
+      symbol,
+      ...(newSymbol !== t.newSymbol && { newSymbol }),
+      formerSymbol: t.formerSymbol || t.symbol,
+    };
+  });
+}
+
+/**
+ * Summarise which changes affected the data, for the report
+ * @param {Array} transactions - Transactions after applySymbolChanges
+ * @param {Array} userChanges - Extra changes entered by the user
+ * @returns {Array} - [{ from, to, date, note, transactionCount }]
+ */
+export function summariseSymbolChanges(transactions, userChanges = []) {
+  const counts = new Map();
+  for (const t of transactions) {
+    if (!t.formerSymbol) continue;
+    const key = String(t.formerSymbol).toUpperCase().trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return getSymbolChangeTable(userChanges)
+    .filter((c) => counts.has(c.from))
+    .map((c) => ({ ...c, transactionCount: counts.get(c.from) }));
+}
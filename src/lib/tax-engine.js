@@ -4,6 +4,9 @@
  * Includes pension contribution relief
  */
 
+import { allocateReliefs } from './relief-allocation.js';
+import { DEFAULT_ROUNDING_POLICY, roundMoney, validateRoundingPolicy } from './rounding-policy.js';
+
 // UK Tax Year configurations
 // Tax bands are defined as widths applied to TAXABLE INCOME (after PA deduction)
 // This is how HMRC calculates: first £37,700 at 20%, next chunk at 40%, rest at 45%
@@ -300,27 +303,34 @@ function calculateNationalInsurance(grossPay, config) {
  * For 2024/25: Split rates due to Autumn Budget 2024
  * - Before 30 Oct 2024: 10% basic, 20% higher
  * - From 30 Oct 2024: 18% basic, 24% higher
+ * Losses and the annual exemption go against the highest-rate gains first.
  *
  * @param {number} taxableIncome - Taxable income after allowances
- * @param {number} capitalGain - Total capital gain (or object with pre/post breakdown)
+ * @param {number} capitalGain - Total capital gain (or object with pre/post breakdown and losses)
  * @param {object} config - Tax year configuration
  * @param {number} pensionContributions - Pension contributions to extend basic rate band
+ * @param {number} lossesBroughtForward - Capital losses from earlier years available this year
  */
-function calculateCGTRate(taxableIncome, capitalGain, config, pensionContributions = 0) {
+function calculateCGTRate(taxableIncome, capitalGain, config, pensionContributions = 0, lossesBroughtForward = 0) {
   const basicRateLimit = 50270 + pensionContributions; // Extended by pension
   const exemption = config.cgtAnnualExemption;
+  const hasRateChange = !!config.cgtRates.rateChangeDate;
 
   // Handle split gains for 2024/25 (pre and post 30 Oct 2024)
   let gainsPre = 0;
   let gainsPost = 0;
+  let lossesInYear = 0;
 
   if (typeof capitalGain === 'object' && capitalGain !== null) {
-    // If passed as object with pre/post breakdown
+    // If passed as object with pre/post breakdown. When losses of the year are
+    // given separately, pre/post are gains before losses so the losses can be
+    // set against the higher-rate period.
     gainsPre = capitalGain.pre || 0;
     gainsPost = capitalGain.post || 0;
+    lossesInYear = capitalGain.losses || 0;
   } else {
     // Simple number - check if we have split rates
-    if (config.cgtRates.rateChangeDate) {
+    if (hasRateChange) {
       // For tax page without detailed breakdown, assume all gains are post-change
       // (conservative approach - user should use CGT calculator for accurate split)
       gainsPost = capitalGain;
@@ -330,141 +340,80 @@ function calculateCGTRate(taxableIncome, capitalGain, config, pensionContributio
     }
   }
 
-  const totalGain = gainsPre + gainsPost;
-  const taxableGain = Math.max(0, totalGain - exemption);
+  const basicRatePre = config.cgtRates.basicRatePre ?? config.cgtRates.basicRate ?? 0.10;
+  const higherRatePre = config.cgtRates.higherRatePre ?? config.cgtRates.higherRate ?? 0.20;
+  const basicRatePost = config.cgtRates.basicRatePost ?? config.cgtRates.basicRate ?? 0.18;
+  const higherRatePost = config.cgtRates.higherRatePost ?? config.cgtRates.higherRate ?? 0.24;
+
+  const buckets = [
+    { key: 'pre', label: hasRateChange ? 'Pre-30 Oct' : null, gain: gainsPre, basicRate: basicRatePre, higherRate: higherRatePre },
+    { key: 'post', label: hasRateChange ? 'Post-30 Oct' : null, gain: gainsPost, basicRate: basicRatePost, higherRate: higherRatePost },
+  ];
+
+  // Check how much of basic rate band is unused
+  const unusedBasicRate = Math.max(0, basicRateLimit - taxableIncome);
+
+  // Set losses, the exemption and the basic rate band against gains in the
+  // order that gives the lowest tax
+  const allocation = allocateReliefs(buckets, {
+    losses: lossesInYear,
+    broughtForwardLosses: lossesBroughtForward,
+    annualExemption: exemption,
+    basicRateBand: unusedBasicRate,
+  });
 
-  if (taxableGain === 0) {
+  if (allocation.taxableGain === 0) {
     return {
       rate: 0,
       taxableGain: 0,
       tax: 0,
       breakdown: [],
+      exemptionUsed: allocation.exemptionUsed,
+      // Brought-forward losses may still be used to bring the gain down to the exemption
+      lossesUsed: allocation.broughtForwardUsed,
+      allocation: allocation.buckets,
+      allocationSavings: 0,
     };
   }
 
-  // Check how much of basic rate band is unused
-  const unusedBasicRate = Math.max(0, basicRateLimit - taxableIncome);
-
   const breakdown = [];
-  let totalCGT = 0;
-  let remainingBasicBand = unusedBasicRate;
-
-  // Allocate exemption proportionally
-  const exemptionPre = totalGain > 0 ? (gainsPre / totalGain) * exemption : 0;
-  const exemptionPost = totalGain > 0 ? (gainsPost / totalGain) * exemption : 0;
-
-  const taxableGainsPre = Math.max(0, gainsPre - exemptionPre);
-  const taxableGainsPost = Math.max(0, gainsPost - exemptionPost);
-
-  // Process pre-30 Oct gains first (at old rates)
-  if (taxableGainsPre > 0 && config.cgtRates.basicRatePre !== undefined) {
-    const preBasicRate = config.cgtRates.basicRatePre;
-    const preHigherRate = config.cgtRates.higherRatePre;
-
-    // Gains at basic rate
-    const preGainsAtBasic = Math.min(taxableGainsPre, remainingBasicBand);
-    if (preGainsAtBasic > 0) {
-      const tax = preGainsAtBasic * preBasicRate;
-      totalCGT += tax;
-      breakdown.push({
-        band: `Pre-30 Oct Basic Rate (${preBasicRate * 100}%)`,
-        gain: Math.round(preGainsAtBasic * 100) / 100,
-        rate: preBasicRate,
-        tax: Math.round(tax * 100) / 100,
-      });
-      remainingBasicBand -= preGainsAtBasic;
-    }
-
-    // Gains at higher rate
-    const preGainsAtHigher = taxableGainsPre - preGainsAtBasic;
-    if (preGainsAtHigher > 0) {
-      const tax = preGainsAtHigher * preHigherRate;
-      totalCGT += tax;
+  for (const bucket of allocation.buckets) {
+    const prefix = bucket.label ? `${bucket.label} ` : '';
+    if (bucket.atBasicRate > 0) {
       breakdown.push({
-        band: `Pre-30 Oct Higher Rate (${preHigherRate * 100}%)`,
-        gain: Math.round(preGainsAtHigher * 100) / 100,
-        rate: preHigherRate,
-        tax: Math.round(tax * 100) / 100,
+        band: `${prefix}Basic Rate (${bucket.basicRate * 100}%)`,
+        gain: bucket.atBasicRate,
+        rate: bucket.basicRate,
+        tax: Math.round(bucket.atBasicRate * bucket.basicRate * 100) / 100,
       });
     }
-  } else if (taxableGainsPre > 0) {
-    // Fallback for old config format
-    const basicRate = config.cgtRates.basicRate || 0.10;
-    const higherRate = config.cgtRates.higherRate || 0.20;
-
-    const gainsAtBasic = Math.min(taxableGainsPre, remainingBasicBand);
-    if (gainsAtBasic > 0) {
-      const tax = gainsAtBasic * basicRate;
-      totalCGT += tax;
+    if (bucket.atHigherRate > 0) {
       breakdown.push({
-        band: `Basic Rate (${basicRate * 100}%)`,
-        gain: Math.round(gainsAtBasic * 100) / 100,
-        rate: basicRate,
-        tax: Math.round(tax * 100) / 100,
-      });
-      remainingBasicBand -= gainsAtBasic;
-    }
-
-    const gainsAtHigher = taxableGainsPre - gainsAtBasic;
-    if (gainsAtHigher > 0) {
-      const tax = gainsAtHigher * higherRate;
-      totalCGT += tax;
-      breakdown.push({
-        band: `Higher Rate (${higherRate * 100}%)`,
-        gain: Math.round(gainsAtHigher * 100) / 100,
-        rate: higherRate,
-        tax: Math.round(tax * 100) / 100,
+        band: `${prefix}Higher Rate (${bucket.higherRate * 100}%)`,
+        gain: bucket.atHigherRate,
+        rate: bucket.higherRate,
+        tax: Math.round(bucket.atHigherRate * bucket.higherRate * 100) / 100,
       });
     }
   }
 
-  // Process post-30 Oct gains (at new rates)
-  if (taxableGainsPost > 0) {
-    const postBasicRate = config.cgtRates.basicRatePost || config.cgtRates.basicRate || 0.18;
-    const postHigherRate = config.cgtRates.higherRatePost || config.cgtRates.higherRate || 0.24;
-
-    // Gains at basic rate
-    const postGainsAtBasic = Math.min(taxableGainsPost, remainingBasicBand);
-    if (postGainsAtBasic > 0) {
-      const tax = postGainsAtBasic * postBasicRate;
-      totalCGT += tax;
-      breakdown.push({
-        band: config.cgtRates.rateChangeDate
-          ? `Post-30 Oct Basic Rate (${postBasicRate * 100}%)`
-          : `Basic Rate (${postBasicRate * 100}%)`,
-        gain: Math.round(postGainsAtBasic * 100) / 100,
-        rate: postBasicRate,
-        tax: Math.round(tax * 100) / 100,
-      });
-      remainingBasicBand -= postGainsAtBasic;
-    }
-
-    // Gains at higher rate
-    const postGainsAtHigher = taxableGainsPost - postGainsAtBasic;
-    if (postGainsAtHigher > 0) {
-      const tax = postGainsAtHigher * postHigherRate;
-      totalCGT += tax;
-      breakdown.push({
-        band: config.cgtRates.rateChangeDate
-          ? `Post-30 Oct Higher Rate (${postHigherRate * 100}%)`
-          : `Higher Rate (${postHigherRate * 100}%)`,
-        gain: Math.round(postGainsAtHigher * 100) / 100,
-        rate: postHigherRate,
-        tax: Math.round(tax * 100) / 100,
-      });
-    }
-  }
+  const taxableGain = allocation.taxableGain;
+  const totalCGT = allocation.tax;
 
   return {
-    taxableGain: Math.round(taxableGain * 100) / 100,
-    exemptionUsed: Math.min(totalGain, exemption),
-    tax: Math.round(totalCGT * 100) / 100,
+    taxableGain,
+    exemptionUsed: allocation.exemptionUsed,
+    lossesUsed: allocation.broughtForwardUsed,
+    tax: totalCGT,
     breakdown,
     effectiveRate: taxableGain > 0 ? Math.round((totalCGT / taxableGain) * 10000) / 100 : 0,
+    // How losses and the exemption were set against each rate period
+    allocation: allocation.buckets,
+    allocationSavings: allocation.savings,
     // Additional info for 2024/25
     gainsPre: Math.round(gainsPre * 100) / 100,
     gainsPost: Math.round(gainsPost * 100) / 100,
-    hasRateChange: !!config.cgtRates.rateChangeDate,
+    hasRateChange,
   };
 }
 
@@ -491,6 +440,8 @@ function calculatePensionRelief(grossPay, pensionContributions, config) {
 
 /**
  * Main tax calculation function
+ * Capital gains and losses are rounded under `roundingPolicy` (see
+ * rounding-policy.js) before the CGT is worked out, matching the CGT report.
  */
 export function calculateFullTax(params) {
   const {
@@ -501,15 +452,18 @@ export function calculateFullTax(params) {
     pensionContributions = 0,
     capitalGains = 0,
     capitalGainsSplit = null,
+    capitalLossesBroughtForward = 0,
     incomeSkipped = false,
     studentLoanPlan = null,
     additionalIncome = 0, // Self-employment, rental, etc.
+    roundingPolicy = DEFAULT_ROUNDING_POLICY,
   } = params;
 
   const config = UK_TAX_CONFIG[taxYear];
   if (!config) {
     throw new Error(`Tax year ${taxYear} not supported`);
   }
+  validateRoundingPolicy(roundingPolicy);
 
   // Total gross income
   const totalGrossIncome = grossPay + additionalIncome;
@@ -532,10 +486,15 @@ export function calculateFullTax(params) {
   // CGT calculation with correct rate based on income
   // Use capitalGainsSplit if provided, otherwise use capitalGains
   const cgtInput = capitalGainsSplit && (capitalGainsSplit.pre !== undefined || capitalGainsSplit.post !== undefined)
-    ? capitalGainsSplit
-    : capitalGains;
+    ? {
+      pre: roundMoney(capitalGainsSplit.pre || 0, roundingPolicy, 'gain'),
+      post: roundMoney(capitalGainsSplit.post || 0, roundingPolicy, 'gain'),
+      losses: roundMoney(capitalGainsSplit.losses || 0, roundingPolicy, 'loss'),
+    }
+    : roundMoney(capitalGains, roundingPolicy, 'gain');
+  const lossesBroughtForward = roundMoney(capitalLossesBroughtForward, roundingPolicy, 'loss');
 
-  const cgt = calculateCGTRate(taxableIncome, cgtInput, config, pensionContributions);
+  const cgt = calculateCGTRate(taxableIncome, cgtInput, config, pensionContributions, lossesBroughtForward);
 
   // Calculate pre/post October tax separately for display
   let preOctTax = 0;
@@ -580,8 +539,9 @@ export function calculateFullTax(params) {
       nationalInsurancePaid: niAlreadyPaid,
       niBalance,
 
-      capitalGains,
+      capitalGains: roundMoney(capitalGains, roundingPolicy, 'gain'),
       cgtExemption: config.cgtAnnualExemption,
+      cgtLossesBroughtForwardUsed: cgt.lossesUsed,
       cgtTaxableGain: cgt.taxableGain,
       cgtDue: cgt.tax,
       cgtEffectiveRate: cgt.effectiveRate,
@@ -603,6 +563,7 @@ export function calculateFullTax(params) {
       ...cgt,
       preOctTax: Math.round(preOctTax * 100) / 100,
       postOctTax: Math.round(postOctTax * 100) / 100,
+      roundingPolicy,
     },
 
     config: {
@@ -0,0 +1,91 @@
+/**
+ * RSU Vest Valuation
+ * An RSU vest is taxed as employment income on the shares' market value, and
+ * that value is also their CGT base cost. Employers don't agree on the market
+ * value: some use the broker's FMV, others the day's close, open or the average
+ * of its high and low. The cost here should match the income on the payslip, so
+ * the method is chosen per employer (the vesting share's symbol) or per broker.
+ *
+ * Every vest records the method and price source used, and the price under each
+ * method that was available, so vests where the methods disagree can be listed.
+ */
+
+export const VEST_VALUATION_METHODS = {
+  'fmv': 'Broker FMV (from the export)',
+  'close': 'Closing price on the vest date',
+  'open': 'Opening price on the vest date',
+  'average': "Average of the day's high and low",
+};
+
+export const DEFAULT_VEST_VALUATION_METHOD = 'fmv';
+
+// Vests whose valuations differ by more than this fraction of the price used are listed
+export const DEFAULT_VEST_VALUATION_THRESHOLD = 0.02;
+
+// priceSource recorded on the acquisition for each method
+const PRICE_SOURCES = {
+  'fmv': 'csv',
+  'close': 'yahoo_finance_close',
+  'open': 'yahoo_finance_open',
+  'average': 'yahoo_finance_average',
+};
+
+// Used in this order when the chosen method has no price for a vest
+const FALLBACK_ORDER = ['fmv', 'close', 'open', 'average'];
+
+/**
+ * Check a method name, throwing for one that isn't supported
+ */
+export function validateVestValuationMethod(method) {
+  if (!VEST_VALUATION_METHODS[method]) {
+    throw new Error(`Unknown vest valuation method "${method}". Choose one of: ${Object.keys(VEST_VALUATION_METHODS).join(', ')}`);
+  }
+  return method;
+}
+
+/**
+ * The method for one vest: the employer's, then the broker's, then the default
+ * @param {Object} txn - Vest transaction (symbol, broker)
+ * @param {Object} options - { method, brokerMethods: { broker: method }, employerMethods: { symbol: method } }
+ */
+export function vestValuationMethodFor(txn, { method, brokerMethods = {}, employerMethods = {} } = {}) {
+  return employerMethods[txn.symbol] || brokerMethods[txn.broker] || method || DEFAULT_VEST_VALUATION_METHOD;
+}
+
+/**
+ * Price per share under each method, from the export's FMV and the day's quote
+ * @param {number|null} fmv - FMV from the broker export
+ * @param {Object|null} quote - { open, high, low, close } for the vest date
+ * @returns {Object} { fmv, close, open, average }, null where unavailable
+ */
+export function vestValuations(fmv, quote) {
+  const price = (value) => (typeof value === 'number' && value > 0 ? value : null);
+  return {
+    fmv: price(fmv),
+    close: price(quote?.close),
+    open: price(quote?.open),
+    average: price(quote?.high) && price(quote?.low) ? (quote.high + quote.low) / 2 : null,
+  };
+}
+
+/**
+ * Value a vest with the chosen method, falling back to the first method with a price
+ * @returns {Object} { method, requestedMethod, price, priceSource }; price is null if none is available
+ */
+export function valueVest(valuations, requestedMethod) {
+  const method = valuations[requestedMethod] !== null
+    ? requestedMethod
+    : FALLBACK_ORDER.find((m) => valuations[m] !== null);
+
+  if (!method) return { method: requestedMethod, requestedMethod, price: null, priceSource: 'missing' };
+  return { method, requestedMethod, price: valuations[method], priceSource: PRICE_SOURCES[method] };
+}
+
+/**
+ * Largest difference between the available valuations, as a fraction of the price used
+ */
+export function valuationSpread(valuations, price) {
+  const prices = Object.values(valuations || {}).filter((p) => p !== null);
+  if (prices.length < 2 || !(price > 0)) return 0;
+  return (Math.max(...prices) - Math.min(...prices)) / price;
+}
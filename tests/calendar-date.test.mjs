@@ -0,0 +1,61 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalendarDate } from '../src/lib/calendar-date.js';
+
+test('rejects days that are not on the calendar', () => {
+  assert.throws(() => new CalendarDate(2023, 2, 29), RangeError);
+  assert.throws(() => new CalendarDate(2024, 13, 1), RangeError);
+  assert.throws(() => CalendarDate.from('2024-04-31'), RangeError);
+  assert.throws(() => CalendarDate.from('06/04/2024'), RangeError);
+  assert.throws(() => CalendarDate.from(new Date(NaN)), RangeError);
+  assert.equal(new CalendarDate(2024, 2, 29).toString(), '2024-02-29');
+});
+
+test('reads ISO strings as the day written, ignoring any time', () => {
+  assert.equal(CalendarDate.from('2024-04-05').toString(), '2024-04-05');
+  assert.equal(CalendarDate.from('2024-04-05T23:30:00Z').toString(), '2024-04-05');
+  assert.equal(CalendarDate.from('2024-04-06T00:30:00+01:00').toString(), '2024-04-06');
+  assert.equal(CalendarDate.from('2024-4-6 09:15').toString(), '2024-04-06');
+});
+
+test('reads a Date as its local day, including near midnight', () => {
+  assert.equal(CalendarDate.from(new Date(2024, 3, 5, 23, 59)).toString(), '2024-04-05');
+  assert.equal(CalendarDate.from(new Date(2024, 3, 6, 0, 30)).toString(), '2024-04-06');
+  assert.equal(CalendarDate.from('2024-04-06').toDate().getDate(), 6);
+});
+
+test('adds days and counts days across clock changes', () => {
+  const ukClockChange = CalendarDate.from('2024-03-31');
+  assert.equal(ukClockChange.addDays(1).toString(), '2024-04-01');
+  assert.equal(CalendarDate.from('2024-03-10').addDays(1).toString(), '2024-03-11');
+  assert.equal(CalendarDate.from('2024-03-01').daysUntil('2024-03-31'), 30);
+  assert.equal(CalendarDate.from('2024-03-31').daysUntil('2024-10-27'), 210);
+  assert.equal(CalendarDate.from('2024-11-03').daysUntil('2024-03-10'), -238);
+  assert.equal(CalendarDate.from('2024-02-29').addDays(365).toString(), '2025-02-28');
+  assert.equal(CalendarDate.from('2024-01-01').addDays(-1).toString(), '2023-12-31');
+});
+
+test('compares and sorts by day', () => {
+  const a = CalendarDate.from('2024-04-05');
+  const b = CalendarDate.from('2024-04-06');
+  assert.ok(a < b);
+  assert.ok(a.compare(b) < 0);
+  assert.equal(b.compare('2024-04-06'), 0);
+  assert.ok(a.equals('2024-04-05'));
+  assert.ok(!a.equals(null));
+  assert.deepEqual([b, a].sort((x, y) => x.compare(y)).map(String), ['2024-04-05', '2024-04-06']);
+  assert.ok(CalendarDate.fromDayNumber(a.dayNumber).equals(a));
+});
+
+test('gives the day of the week', () => {
+  assert.equal(CalendarDate.from('2024-03-31').dayOfWeek, 0);
+  assert.equal(CalendarDate.from('2024-04-05').dayOfWeek, 5);
+  assert.equal(CalendarDate.from('1970-01-01').dayOfWeek, 4);
+  assert.equal(CalendarDate.from('1969-12-31').dayOfWeek, 3);
+});
+
+test('serialises as YYYY-MM-DD', () => {
+  assert.equal(JSON.stringify({ date: CalendarDate.from('2024-04-06') }), '{"date":"2024-04-06"}');
+  assert.equal(`${CalendarDate.from('2024-01-02')}`, '2024-01-02');
+});
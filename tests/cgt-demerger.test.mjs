@@ -0,0 +1,64 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'PARENT', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+const demerger = (extra) => row('2024-06-10', 'DEMERGER', 0, 0, { newSymbol: 'CHILD', ratio: '1:5', ...extra });
+const poolOf = (result, symbol) => result.section104Pools.find((p) => p.symbol === symbol);
+
+test('splits the pool cost by first-day market values', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    // 100 parent shares at £8 (£800) and 20 child shares at £10 (£200)
+    demerger({ parentSharePrice: 8, newSharePrice: 10 }),
+  ]);
+  const [action] = result.corporateActions;
+
+  assert.equal(action.apportionedFraction, 0.2);
+  assert.deepEqual(poolOf(result, 'PARENT'), { symbol: 'PARENT', quantity: 100, totalCost: 800, averageCost: 8 });
+  assert.deepEqual(poolOf(result, 'CHILD'), { symbol: 'CHILD', quantity: 20, totalCost: 200, averageCost: 10 });
+  assert.equal(result.allDisposals.length, 0);
+});
+
+test('keeps the combined pool cost unchanged', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    // A third of the value goes to the child, which doesn't divide £1,000 evenly
+    demerger({ ratio: '1:1', parentSharePrice: 2, newSharePrice: 1 }),
+  ]);
+  const parent = result.section104History.PARENT.at(-1);
+  const child = result.section104History.CHILD.at(-1);
+
+  assert.equal(parent.type, 'DEMERGER');
+  assert.equal(parent.poolAfter.cost, 666.67);
+  assert.equal(child.poolAfter.cost, 333.33);
+  assert.equal(parent.poolAfter.cost + child.poolAfter.cost, parent.poolBefore.cost);
+});
+
+test('uses the apportioned costs when either company is sold', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    demerger({ parentSharePrice: 8, newSharePrice: 10 }),
+    row('2024-08-01', 'SELL', 20, 12, { symbol: 'CHILD' }),
+    row('2024-08-01', 'SELL', 50, 9),
+  ]);
+  const costs = Object.fromEntries(result.allDisposals.map((d) => [d.symbol, d.cost]));
+
+  assert.deepEqual(costs, { CHILD: 200, PARENT: 400 });
+});
+
+test('ignores a demerger without both market values', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    demerger({ parentSharePrice: 8 }),
+  ]);
+
+  assert.equal(poolOf(result, 'PARENT').totalCost, 1000);
+  assert.equal(poolOf(result, 'CHILD'), undefined);
+  assert.ok(result.errors.some((e) => e.type === 'MISSING_MARKET_VALUE'));
+});
@@ -0,0 +1,58 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'MSFT', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'USD', exchangeRate: 1.25, exchangeRateSource: 'api', broker: 'Morgan Stanley', ...extra,
+});
+
+// $340 paid, 15% off the $400 offering date FMV; $420 on the purchase date
+const espp = { purchasePrice: 340, purchaseFmv: 420, offeringFmv: 400, offeringDate: '2023-10-01' };
+
+test('costs an ESPP purchase at its purchase date market value', () => {
+  const result = calculateCGT([
+    row('2024-03-29', 'BUY', 10, 340, { totalAmount: 3400, espp }),
+    row('2024-05-01', 'SELL', 10, 430),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.cost, 3360);
+  assert.equal(disposal.proceeds, 3440);
+  assert.equal(disposal.gain, 80);
+});
+
+test('reports the discount taxed as employment income, in GBP', () => {
+  const result = calculateCGT([row('2024-03-29', 'BUY', 10, 340, { espp })]);
+  const [acquisition] = result.acquisitions;
+
+  assert.equal(acquisition.isESPP, true);
+  assert.deepEqual(acquisition.espp, {
+    quantity: 10,
+    currency: 'USD',
+    purchasePrice: 340,
+    purchaseFmv: 420,
+    offeringFmv: 400,
+    offeringDate: '2023-10-01',
+    discountRate: 0.15,
+    discountPerShare: 80,
+    discount: 640,
+  });
+  assert.deepEqual(result.esppIncome, [{
+    taxYear: '2023/24',
+    purchases: [{ symbol: 'MSFT', date: '2024-03-29', quantity: 10, discount: 640, broker: 'Morgan Stanley' }],
+    discount: 640,
+  }]);
+});
+
+test('leaves a sale of ESPP shares as an ordinary disposal', () => {
+  const result = calculateCGT([
+    row('2024-03-29', 'BUY', 10, 340, { espp }),
+    row('2024-05-01', 'SELL', 4, 430, { espp }),
+  ]);
+
+  assert.equal(result.acquisitions.length, 1);
+  assert.equal(result.esppIncome[0].discount, 640);
+  assert.equal(result.allDisposals[0].cost, 1344);
+});
@@ -0,0 +1,93 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test',
+});
+
+const disposalsOf = (result) => result.taxYears
+  .flatMap((year) => year.disposals)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+const rulesOf = (disposal) => disposal.matchDetails.map((match) => [match.rule, match.quantity]);
+
+test('matches a sale with shares bought the same day first', () => {
+  const [disposal] = disposalsOf(calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-06-03 09:30:00', 'BUY', 40, 11),
+    row('2024-06-03 23:45:00', 'SELL', 60, 12),
+  ]));
+
+  assert.equal(disposal.date, '2024-06-03');
+  assert.deepEqual(rulesOf(disposal), [['SAME_DAY', 40], ['SECTION_104', 20]]);
+  assert.equal(disposal.matchDetails[0].cost, 440);
+  assert.equal(disposal.matchDetails[0].acquisitionDate, '2024-06-03');
+});
+
+test('matches a sale with shares bought in the next 30 days', () => {
+  const [disposal] = disposalsOf(calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    // 30 days later, across the UK and US clock changes
+    row('2024-03-01', 'SELL', 30, 12),
+    row('2024-03-31', 'BUY', 10, 11),
+  ]));
+
+  assert.deepEqual(rulesOf(disposal), [['BED_AND_BREAKFAST', 10], ['SECTION_104', 20]]);
+  assert.equal(disposal.matchDetails[0].daysDifference, 30);
+  assert.equal(disposal.matchDetails[0].acquisitionDate, '2024-03-31');
+  assert.equal(disposal.matchDetails[0].cost, 110);
+});
+
+test('leaves shares bought 31 days after a sale to the pool', () => {
+  const [disposal] = disposalsOf(calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-03-01', 'SELL', 30, 12),
+    row('2024-04-01', 'BUY', 10, 11),
+  ]));
+
+  assert.deepEqual(rulesOf(disposal), [['SECTION_104', 30]]);
+});
+
+test('prefers same-day shares to the next 30 days', () => {
+  const [disposal] = disposalsOf(calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-05-10', 'SELL', 30, 12),
+    row('2024-05-10', 'BUY', 20, 11),
+    row('2024-05-20', 'BUY', 20, 9),
+  ]));
+
+  assert.deepEqual(rulesOf(disposal), [['SAME_DAY', 20], ['BED_AND_BREAKFAST', 10]]);
+  assert.equal(disposal.matchDetails[1].daysDifference, 10);
+});
+
+test('puts sales either side of 5/6 April in the right tax year', () => {
+  const disposals = disposalsOf(calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-04-05 23:30:00', 'SELL', 10, 13),
+    row('2024-04-06T00:30:00', 'SELL', 10, 14),
+  ]));
+
+  assert.deepEqual(disposals.map((d) => [d.date, d.taxYear]), [
+    ['2024-04-05', '2023/24'],
+    ['2024-04-06', '2024/25'],
+  ]);
+});
+
+test('keeps a scrip dividend flagged when combined with a same-day purchase', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-05-01', 'SELL', 10, 12),
+    row('2024-05-10', 'BUY', 5, 11),
+    row('2024-05-10', 'SCRIP_DIVIDEND', 2, 11),
+  ]);
+  const combined = result.acquisitions.find((a) => a.date === '2024-05-10');
+  const [disposal] = disposalsOf(result);
+
+  assert.equal(combined.isScripDividend, true);
+  assert.deepEqual(combined.fills.map((f) => f.type), ['BUY', 'SCRIP_DIVIDEND']);
+  assert.equal(disposal.matchDetails[0].rule, 'BED_AND_BREAKFAST');
+  assert.equal(disposal.matchDetails[0].isScripDividend, true);
+});
@@ -0,0 +1,69 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test',
+});
+
+const poolOf = (result) => result.section104Pools.find((p) => p.symbol === 'ACME');
+
+test('seeds the pool from a declared holding with no transactions', () => {
+  const result = calculateCGT([], {
+    openingPositions: [{ symbol: 'acme', date: '2020-04-05', quantity: 100, cost: 1500 }],
+  });
+
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 100, totalCost: 1500, averageCost: 15, userDeclared: true });
+  assert.deepEqual(result.openingPositions, [{ symbol: 'ACME', date: '2020-04-05', quantity: 100, cost: 1500, userDeclared: true }]);
+  assert.equal(result.section104History.ACME[0].type, 'OPENING_POSITION');
+});
+
+test('matches a later sale against the declared holding', () => {
+  const result = calculateCGT([row('2024-06-03', 'SELL', 40, 20)], {
+    openingPositions: [{ symbol: 'ACME', date: '2020-04-05', quantity: 100, cost: 1500 }],
+  });
+  const [disposal] = result.allDisposals;
+
+  assert.deepEqual(disposal.matchDetails.map((m) => [m.rule, m.quantity]), [['SECTION_104', 40]]);
+  assert.equal(disposal.cost, 600);
+  assert.equal(disposal.gain, 200);
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 60, totalCost: 900, averageCost: 15, userDeclared: true });
+  assert.equal(result.errors.length, 0);
+});
+
+test('pools later purchases with the declared holding', () => {
+  const result = calculateCGT([
+    row('2021-01-04', 'BUY', 100, 25),
+    row('2024-06-03', 'SELL', 50, 30),
+  ], {
+    openingPositions: [{ symbol: 'ACME', date: '2020-04-05', quantity: 100, cost: 1500 }],
+  });
+
+  // 200 shares costing £4,000
+  assert.equal(result.allDisposals[0].cost, 1000);
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 150, totalCost: 3000, averageCost: 20, userDeclared: true });
+});
+
+test('warns when transactions come before the declared holding', () => {
+  const result = calculateCGT([row('2019-06-03', 'BUY', 10, 12)], {
+    openingPositions: [{ symbol: 'ACME', date: '2020-04-05', quantity: 100, cost: 1500 }],
+  });
+
+  assert.deepEqual(result.errors.map((e) => e.type), ['OPENING_POSITION_OVERLAP']);
+  assert.equal(poolOf(result).quantity, 110);
+});
+
+test('ignores declared holdings with no shares, symbol or valid date', () => {
+  const result = calculateCGT([], {
+    openingPositions: [
+      { symbol: 'ACME', date: '2020-04-05', quantity: 0, cost: 1500 },
+      { symbol: '', date: '2020-04-05', quantity: 10, cost: 100 },
+      { symbol: 'ACME', date: 'not a date', quantity: 10, cost: 100 },
+    ],
+  });
+
+  assert.deepEqual(result.openingPositions, []);
+  assert.deepEqual(result.section104Pools, []);
+});
@@ -0,0 +1,121 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'OLDCO', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+const reorganisation = (extra) => row('2024-06-10', 'REORGANISATION', 0, 0, { newSymbol: 'NEWCO', ratio: '1:2', ...extra });
+const poolOf = (result, symbol) => result.section104Pools.find((p) => p.symbol === symbol);
+const errorTypes = (result) => result.errors.map((e) => e.type);
+
+test('carries the whole cost to the new shares when no cash is paid', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    reorganisation(),
+  ]);
+
+  assert.equal(poolOf(result, 'OLDCO'), undefined);
+  assert.deepEqual(poolOf(result, 'NEWCO'), { symbol: 'NEWCO', quantity: 50, totalCost: 1000, averageCost: 20 });
+  assert.equal(result.allDisposals.length, 0);
+});
+
+test('apportions cost to the cash by market value and reports a part disposal', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    // 50 new shares worth £120 each (£6,000) and £4,000 cash: 40% of the cost goes with the cash
+    reorganisation({ totalAmount: 4000, newSharePrice: 120 }),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.partDisposal, true);
+  assert.equal(disposal.proceeds, 4000);
+  assert.equal(disposal.cost, 400);
+  assert.equal(disposal.gain, 3600);
+  assert.equal(disposal.matchDetails[0].apportionedFraction, 0.4);
+  assert.deepEqual(poolOf(result, 'NEWCO'), { symbol: 'NEWCO', quantity: 50, totalCost: 600, averageCost: 12 });
+  assert.ok(!errorTypes(result).includes('SMALL_CAPITAL_DISTRIBUTION'));
+});
+
+test('keeps the combined cost of the cash and the new shares equal to the old cost', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 300, 10),
+    reorganisation({ ratio: '1:3', totalAmount: 5000, newSharePrice: 100 }),
+  ]);
+  const [action] = result.corporateActions;
+
+  assert.equal(action.cashCost, 1000);
+  assert.equal(action.costCarried, 2000);
+  assert.equal(action.cashCost + action.costCarried, 3000);
+});
+
+test('gives no cost to the cash when the new shares have no market value', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    reorganisation({ totalAmount: 4000 }),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.cost, 0);
+  assert.equal(disposal.matchDetails[0].apportionedFraction, 0);
+  assert.equal(poolOf(result, 'NEWCO').totalCost, 1000);
+  assert.ok(errorTypes(result).includes('MISSING_MARKET_VALUE'));
+});
+
+test('flags small cash that could be deducted from cost under s122(2)', () => {
+  const underLimit = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    reorganisation({ totalAmount: 2500, newSharePrice: 1000 }),
+  ]);
+  // £4,000 is over £3,000 but under 5% of the £104,000 holding
+  const underFraction = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    reorganisation({ totalAmount: 4000, newSharePrice: 2000 }),
+  ]);
+
+  for (const result of [underLimit, underFraction]) {
+    assert.ok(errorTypes(result).includes('SMALL_CAPITAL_DISTRIBUTION'));
+    // Still reported as a part disposal
+    assert.equal(result.allDisposals.length, 1);
+  }
+});
+
+test('ignores a reorganisation with no shares held', () => {
+  const result = calculateCGT([reorganisation({ totalAmount: 4000, newSharePrice: 120 })]);
+
+  assert.equal(result.allDisposals.length, 0);
+  assert.ok(errorTypes(result).includes('INVALID_CORPORATE_ACTION'));
+});
+
+test('keeps the holding when a reorganisation resolves to the same security', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    reorganisation(),
+    row('2024-08-01', 'SELL', 50, 30, { symbol: 'NEWCO' }),
+  ], { securityAliases: { NEWCO: 'OLDCO' } });
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.symbol, 'OLDCO');
+  assert.equal(disposal.cost, 1000);
+  assert.equal(disposal.matchDetails[0].rule, 'SECTION_104');
+  assert.equal(poolOf(result, 'OLDCO'), undefined);
+});
+
+test('keeps holdings moved back and forth between two symbols', () => {
+  const result = calculateCGT([
+    row('2022-01-04', 'BUY', 100, 10),
+    reorganisation({ date: '2023-01-03', ratio: '1:1' }),
+    row('2023-06-01', 'BUY', 20, 15, { symbol: 'NEWCO' }),
+    row('2024-01-02', 'REORGANISATION', 0, 0, { symbol: 'NEWCO', newSymbol: 'OLDCO', ratio: '2:1' }),
+    row('2024-06-03', 'SELL', 120, 12),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  // 120 NEWCO shares costing £1,300 became 240 OLDCO shares
+  assert.equal(disposal.cost, 650);
+  assert.deepEqual(poolOf(result, 'OLDCO'), { symbol: 'OLDCO', quantity: 120, totalCost: 650, averageCost: 5.42 });
+  assert.equal(poolOf(result, 'NEWCO'), undefined);
+});
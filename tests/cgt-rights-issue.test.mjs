@@ -0,0 +1,50 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+const poolOf = (result) => result.section104Pools.find((p) => p.symbol === 'ACME');
+
+test('adds the shares taken up and the amount paid to the pool', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    // 1 for 4 at £6, with £5 of fees
+    row('2024-06-10', 'RIGHTS_ISSUE', 25, 6, { fees: 5 }),
+  ]);
+  const entry = result.section104History.ACME.at(-1);
+
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 125, totalCost: 1155, averageCost: 9.24 });
+  assert.equal(entry.type, 'RIGHTS_ISSUE');
+  assert.equal(entry.quantity, 25);
+  assert.equal(entry.cost, 155);
+  assert.ok(result.acquisitions.some((a) => a.isRightsIssue && a.quantity === 25));
+});
+
+test('treats rights shares as held with the original shares, not as a same-day or B&B acquisition', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-05-01', 'SELL', 20, 12),
+    row('2024-05-10', 'RIGHTS_ISSUE', 20, 6),
+    row('2024-06-10', 'SELL', 10, 12),
+    row('2024-06-10', 'RIGHTS_ISSUE', 10, 6),
+  ]);
+  const rules = result.allDisposals.flatMap((d) => d.matchDetails.map((m) => m.rule));
+
+  assert.deepEqual(rules, ['SECTION_104', 'SECTION_104']);
+  // Rights taken up on the day of a sale join the pool first: 80 shares at £10,
+  // 20 at £6 and 10 at £6 make 110 shares costing £980
+  const [, second] = result.allDisposals;
+  assert.equal(second.cost, 89.09);
+});
+
+test('warns about rights taken up with no holding but still adds them', () => {
+  const result = calculateCGT([row('2024-06-10', 'RIGHTS_ISSUE', 25, 6)]);
+
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 25, totalCost: 150, averageCost: 6 });
+  assert.ok(result.errors.some((e) => e.type === 'RIGHTS_WITHOUT_HOLDING'));
+});
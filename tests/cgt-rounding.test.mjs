@@ -0,0 +1,82 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, symbol, quantity, pricePerUnit) => ({
+  date, type, symbol, quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test',
+});
+
+// A gain and a loss before 30 October 2024, and a gain after it, each in pence
+const transactions = [
+  row('2024-04-10', 'BUY', 'AAA', 10, 10.005),
+  row('2024-06-03', 'SELL', 'AAA', 10, 15.009),
+  row('2024-04-10', 'BUY', 'BBB', 10, 15.009),
+  row('2024-06-04', 'SELL', 'BBB', 10, 10.005),
+  row('2024-04-10', 'BUY', 'CCC', 10, 10.005),
+  row('2024-11-05', 'SELL', 'CCC', 10, 15.009),
+];
+
+const figures = (result) => result.allDisposals.map((d) => [d.symbol, d.proceeds, d.cost, d.gain]);
+
+test('reports exact figures to the penny by default', () => {
+  const result = calculateCGT(transactions);
+
+  assert.equal(result.roundingPolicy, 'exact');
+  assert.deepEqual(figures(result), [
+    ['AAA', 150.09, 100.05, 50.04],
+    ['BBB', 100.05, 150.09, -50.04],
+    ['CCC', 150.09, 100.05, 50.04],
+  ]);
+});
+
+test('rounds proceeds down and costs up, so gains go down and losses up, under the favourable policy', () => {
+  const result = calculateCGT(transactions, { roundingPolicy: 'whole-pound-favourable' });
+  const [year] = result.taxYears;
+
+  assert.deepEqual(figures(result), [
+    ['AAA', 150, 101, 49],
+    ['BBB', 100, 151, -51],
+    ['CCC', 150, 101, 49],
+  ]);
+  assert.deepEqual(
+    [year.totalProceeds, year.totalCost, year.totalGains, year.totalLosses, year.netGain],
+    [400, 353, 98, 51, 47],
+  );
+  assert.equal(year.roundingPolicy, 'whole-pound-favourable');
+});
+
+test('rounds to the nearest pound under the nearest policy', () => {
+  const result = calculateCGT(transactions, { roundingPolicy: 'whole-pound-nearest' });
+  const [year] = result.taxYears;
+
+  assert.deepEqual(figures(result), [
+    ['AAA', 150, 100, 50],
+    ['BBB', 100, 150, -50],
+    ['CCC', 150, 100, 50],
+  ]);
+  assert.deepEqual([year.totalGains, year.totalLosses, year.netGain], [100, 50, 50]);
+});
+
+test('builds the gains either side of the rate change from the rounded disposals', () => {
+  const [year] = calculateCGT(transactions, { roundingPolicy: 'whole-pound-favourable' }).taxYears;
+  const { preOctober, postOctober } = year.rateChange;
+
+  assert.deepEqual([preOctober.gains, preOctober.losses, preOctober.netGain], [49, 51, -2]);
+  assert.deepEqual([postOctober.gains, postOctober.losses, postOctober.netGain], [49, 0, 49]);
+  assert.equal(preOctober.netGain + postOctober.netGain, year.netGain);
+});
+
+test('rounds brought-forward losses up under the favourable policy', () => {
+  const [year] = calculateCGT(transactions, {
+    roundingPolicy: 'whole-pound-favourable', broughtForwardLosses: 100.4,
+  }).taxYears;
+
+  assert.equal(year.lossLedger.broughtForward, 101);
+  assert.equal(year.lossLedger.carriedForward, 101);
+});
+
+test('rejects an unknown rounding policy', () => {
+  assert.throws(() => calculateCGT(transactions, { roundingPolicy: 'whole-pound-down' }), /Unknown rounding policy/);
+});
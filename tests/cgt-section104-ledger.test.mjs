@@ -0,0 +1,89 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+const transactions = [
+  row('2023-01-10', 'BUY', 100, 10),
+  row('2023-06-01', 'SELL', 40, 15),
+  row('2023-09-01', 'SPLIT', 0, 0, { ratio: '2:1' }),
+  row('2024-01-15', 'EXCESS_REPORTABLE_INCOME', 0, 0, { amountPerUnit: 0.5 }),
+  row('2024-05-01', 'BUY', 30, 6),
+  row('2024-06-03', 'SELL', 50, 8),
+];
+
+const yearOf = (result, taxYear) => result.taxYears.find((y) => y.taxYear === taxYear);
+const balance = (quantity, cost, avgCost) => ({ quantity, cost, avgCost });
+
+test('records every pool event with its running quantity, cost and average', () => {
+  const history = calculateCGT(transactions).section104History.ACME;
+
+  assert.deepEqual(history.map((e) => [e.date, e.type, e.quantity, e.cost, e.poolAfter]), [
+    ['2023-01-10', 'ACQUISITION', 100, 1000, balance(100, 1000, 10)],
+    ['2023-06-01', 'DISPOSAL', -40, -400, balance(60, 600, 10)],
+    ['2023-09-01', 'SPLIT', 60, 0, balance(120, 600, 5)],
+    ['2024-01-15', 'EXCESS_REPORTABLE_INCOME', 0, 60, balance(120, 660, 5.5)],
+    ['2024-05-01', 'ACQUISITION', 30, 180, balance(150, 840, 5.6)],
+    ['2024-06-03', 'DISPOSAL', -50, -280, balance(100, 560, 5.6)],
+  ]);
+});
+
+test('starts each ledger entry from the balance the one before it left', () => {
+  const history = calculateCGT(transactions).section104History.ACME;
+
+  assert.deepEqual(history[0].poolBefore, balance(0, 0, 0));
+  for (let i = 1; i < history.length; i++) {
+    assert.deepEqual(history[i].poolBefore, history[i - 1].poolAfter, history[i].type);
+  }
+});
+
+test('reads year-start and year-end holdings from the ledger', () => {
+  const result = calculateCGT(transactions);
+  const holding = (quantity, totalCost, averageCost) => [{ symbol: 'ACME', quantity, totalCost, averageCost }];
+
+  assert.deepEqual(yearOf(result, '2023/24').section104Start, holding(100, 1000, 10));
+  assert.deepEqual(yearOf(result, '2023/24').section104End, holding(120, 660, 5.5));
+  assert.deepEqual(yearOf(result, '2024/25').section104Start, holding(120, 660, 5.5));
+  assert.deepEqual(yearOf(result, '2024/25').section104End, holding(100, 560, 5.6));
+});
+
+test('gives the pool working for each year: opening balance, the year\'s entries and closing balance', () => {
+  const [working] = yearOf(calculateCGT(transactions), '2023/24').section104Working;
+
+  assert.equal(working.symbol, 'ACME');
+  assert.deepEqual(working.opening, balance(100, 1000, 10));
+  assert.deepEqual(working.entries.map((e) => e.type), ['DISPOSAL', 'SPLIT', 'EXCESS_REPORTABLE_INCOME']);
+  assert.deepEqual(working.closing, balance(120, 660, 5.5));
+});
+
+test('leaves shares matched on the same day or within 30 days out of the ledger', () => {
+  const result = calculateCGT([
+    row('2024-01-10', 'BUY', 100, 10),
+    row('2024-05-01', 'SELL', 50, 12),
+    row('2024-05-01', 'BUY', 20, 11),
+    row('2024-05-20', 'BUY', 30, 11.5),
+  ]);
+  const history = result.section104History.ACME;
+
+  assert.deepEqual(history.map((e) => [e.date, e.type, e.quantity]), [
+    ['2024-01-10', 'ACQUISITION', 100],
+  ]);
+  assert.deepEqual(yearOf(result, '2024/25').section104End, [{ symbol: 'ACME', quantity: 100, totalCost: 1000, averageCost: 10 }]);
+});
+
+test('drops a sold-out pool from the year-end holdings, but keeps its working', () => {
+  const result = calculateCGT([
+    row('2023-01-10', 'BUY', 100, 10),
+    row('2024-06-03', 'SELL', 100, 12),
+  ]);
+  const year = yearOf(result, '2024/25');
+
+  assert.equal(year.section104Start.length, 1);
+  assert.deepEqual(year.section104End, []);
+  assert.deepEqual(year.section104Working[0].closing, balance(0, 0, 0));
+});
@@ -0,0 +1,90 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+const poolOf = (result, symbol = 'ACME') => result.section104Pools.find((p) => p.symbol === symbol);
+
+test('rescales the pool on a split and keeps its cost', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-06-03', 'SPLIT', 0, 0, { ratio: '4:1' }),
+  ]);
+
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 400, totalCost: 1000, averageCost: 2.5 });
+  const [split] = result.section104History.ACME.filter((e) => e.type === 'SPLIT');
+  assert.equal(split.ratio, 4);
+  assert.equal(split.quantity, 300);
+  assert.equal(split.cost, 0);
+});
+
+test('rescales the pool on a consolidation, reading a plain number as 1-for-n', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-06-03', 'CONSOLIDATION', 0, 0, { ratio: '10' }),
+  ]);
+
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 10, totalCost: 1000, averageCost: 100 });
+});
+
+test('gives back the shares held after a consolidation and a reversing split', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-03-01', 'CONSOLIDATION', 0, 0, { ratio: '1:3' }),
+    row('2024-06-03', 'SPLIT', 0, 0, { ratio: '3:1' }),
+    row('2024-07-01', 'SELL', 100, 12),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(poolOf(result), undefined);
+  assert.deepEqual(disposal.matchDetails.map((m) => [m.rule, m.quantity, m.cost]), [['SECTION_104', 100, 1000]]);
+});
+
+test('sells from the rescaled pool at the rescaled average cost', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-06-03', 'SPLIT', 0, 0, { ratio: '2 for 1' }),
+    row('2024-07-01', 'SELL', 50, 6),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.cost, 250);
+  assert.equal(disposal.gain, 50);
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 150, totalCost: 750, averageCost: 5 });
+});
+
+test('applies a split between a sale and its re-purchase to the B&B match', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-05-01', 'SELL', 50, 12),
+    row('2024-05-10', 'SPLIT', 0, 0, { ratio: '2:1' }),
+    // 100 post-split shares stand for the 50 shares sold
+    row('2024-05-20', 'BUY', 120, 5.5),
+  ]);
+  const [disposal] = result.allDisposals;
+  const [match] = disposal.matchDetails;
+
+  assert.equal(match.rule, 'BED_AND_BREAKFAST');
+  assert.equal(match.quantity, 50);
+  assert.equal(match.shareRatio, 2);
+  assert.equal(match.cost, 550);
+  assert.equal(disposal.matchDetails.length, 1);
+  // The sale was matched with the re-purchase, so the pool keeps all 100 shares
+  // (200 after the split) and takes the 20 bought shares not matched
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 220, totalCost: 1110, averageCost: 5.05 });
+});
+
+test('ignores a split with no valid ratio and says so', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10),
+    row('2024-06-03', 'SPLIT', 0, 0, { ratio: 'abc' }),
+  ]);
+
+  assert.equal(poolOf(result).quantity, 100);
+  assert.equal(result.errors.filter((e) => e.type === 'INVALID_CORPORATE_ACTION').length, 1);
+});
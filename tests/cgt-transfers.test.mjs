@@ -0,0 +1,66 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, quantity, pricePerUnit, broker) => ({
+  date, type, symbol: 'ACME', quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker,
+});
+
+const poolOf = (result) => result.section104Pools.find((p) => p.symbol === 'ACME');
+
+test('pairs a transfer out with the transfer in at the other broker', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10, 'Schwab'),
+    row('2024-03-01', 'TRANSFER_OUT', 100, 0, 'Schwab'),
+    row('2024-03-05', 'TRANSFER_IN', 100, 0, 'Trading 212'),
+  ]);
+
+  assert.deepEqual(result.transfers, [{
+    symbol: 'ACME', quantity: 100, dateOut: '2024-03-01', dateIn: '2024-03-05', fromBroker: 'Schwab', toBroker: 'Trading 212',
+  }]);
+  assert.equal(result.errors.length, 0);
+});
+
+test('keeps the original cost in the pool across a transfer', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10, 'Schwab'),
+    row('2024-03-01', 'TRANSFER_OUT', 100, 0, 'Schwab'),
+    row('2024-03-05', 'TRANSFER_IN', 100, 0, 'Trading 212'),
+    row('2024-06-03', 'SELL', 40, 15, 'Trading 212'),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(result.allDisposals.length, 1);
+  assert.equal(disposal.cost, 400);
+  assert.equal(disposal.gain, 200);
+  assert.deepEqual(poolOf(result), { symbol: 'ACME', quantity: 60, totalCost: 600, averageCost: 10 });
+  assert.ok(result.section104History.ACME.every((e) => !e.type?.startsWith('TRANSFER')));
+});
+
+test('flags transfers with no partner of the same quantity within 31 days', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10, 'Schwab'),
+    row('2024-03-01', 'TRANSFER_OUT', 100, 0, 'Schwab'),
+    row('2024-03-05', 'TRANSFER_IN', 90, 0, 'Trading 212'),
+    row('2024-06-01', 'TRANSFER_OUT', 10, 0, 'Trading 212'),
+    row('2024-07-03', 'TRANSFER_IN', 10, 0, 'Freetrade'),
+  ]);
+
+  assert.deepEqual(result.transfers, []);
+  assert.equal(result.errors.filter((e) => e.type === 'UNPAIRED_TRANSFER').length, 4);
+  assert.equal(poolOf(result).quantity, 100);
+});
+
+test('pairs each transfer out with the nearest transfer in', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'BUY', 100, 10, 'Schwab'),
+    row('2024-03-01', 'TRANSFER_OUT', 50, 0, 'Schwab'),
+    row('2024-03-20', 'TRANSFER_IN', 50, 0, 'Freetrade'),
+    row('2024-03-03', 'TRANSFER_IN', 50, 0, 'Trading 212'),
+  ]);
+
+  assert.deepEqual(result.transfers.map((t) => [t.dateIn, t.toBroker]), [['2024-03-03', 'Trading 212']]);
+  assert.equal(result.errors.filter((e) => e.type === 'UNPAIRED_TRANSFER').length, 1);
+});
@@ -0,0 +1,66 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, symbol, quantity, pricePerUnit, extra = {}) => ({
+  date, type, symbol, quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'USD', exchangeRate: 1.25, exchangeRateSource: 'api', broker: 'Charles Schwab', ...extra,
+});
+
+const vestsOf = (result) => result.vestIncome.flatMap((income) => income.vests);
+
+test('records the shares sold on the vest day to cover tax', () => {
+  const result = calculateCGT([
+    row('2024-04-15', 'BUY', 'ACME', 60, 100, { vest: { grossQuantity: 100, withheldQuantity: 40 } }),
+    row('2024-04-15', 'SELL', 'ACME', 20, 101),
+  ]);
+  const [vest] = vestsOf(result);
+  const [disposal] = result.allDisposals;
+
+  assert.deepEqual(
+    [vest.sharesVested, vest.sharesWithheld, vest.sharesSoldToCover, vest.netSharesKept, vest.value, vest.fmv],
+    [100, 40, 20, 40, 8000, 100],
+  );
+  assert.deepEqual(vest.sale, { disposalId: disposal.id, quantity: 20, proceeds: 1616, gain: 16 });
+  assert.equal(disposal.matchDetails[0].rule, 'SAME_DAY');
+});
+
+test('finds no sale to cover for a vest with no sale of that symbol on the day', () => {
+  const result = calculateCGT([
+    row('2024-01-10', 'BUY', 'OTHER', 10, 50),
+    row('2024-07-15', 'BUY', 'ACME', 50, 110, { vest: { grossQuantity: 50 } }),
+    row('2024-07-15', 'SELL', 'OTHER', 10, 55),
+    row('2024-07-16', 'SELL', 'ACME', 10, 111),
+  ]);
+  const [vest] = vestsOf(result);
+
+  assert.deepEqual([vest.sharesSoldToCover, vest.netSharesKept], [0, 50]);
+  assert.equal(vest.sale, undefined);
+});
+
+test('counts no more shares sold to cover than the vest deposited', () => {
+  const result = calculateCGT([
+    row('2024-01-10', 'BUY', 'ACME', 100, 90),
+    row('2024-04-15', 'BUY', 'ACME', 60, 100, { vest: { grossQuantity: 100, withheldQuantity: 40 } }),
+    row('2024-04-15', 'SELL', 'ACME', 80, 101),
+  ]);
+  const [vest] = vestsOf(result);
+
+  assert.deepEqual([vest.sharesSoldToCover, vest.netSharesKept], [60, 0]);
+  assert.equal(vest.sale.quantity, 80);
+});
+
+test('matches each vest with the sale on its own day', () => {
+  const result = calculateCGT([
+    row('2024-04-15', 'BUY', 'ACME', 60, 100, { vest: { grossQuantity: 100, withheldQuantity: 40 } }),
+    row('2024-04-15', 'SELL', 'ACME', 20, 101),
+    row('2024-07-15', 'BUY', 'ACME', 30, 110, { vest: { grossQuantity: 50, withheldQuantity: 20 } }),
+    row('2024-07-15', 'SELL', 'ACME', 5, 110),
+  ]);
+
+  assert.deepEqual(vestsOf(result).map((v) => [v.date, v.sharesSoldToCover, v.sale.disposalId]), [
+    ['2024-04-15', 20, result.allDisposals[0].id],
+    ['2024-07-15', 5, result.allDisposals[1].id],
+  ]);
+});
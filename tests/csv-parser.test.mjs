@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { brokerParsers, detectAndParseCSV, parseCSV } from '../src/lib/csv-parser.js';
+
+const csv = (...lines) => lines.join('\n');
+
+// Parse with one broker's parser, as when the broker is chosen on upload
+const parseAs = (parserKey, text) => {
+  const { headers, rows } = parseCSV(text);
+  return brokerParsers[parserKey].parse(rows, headers);
+};
+
+test('reads Hargreaves Lansdown buys and sells of accumulation funds as trades', () => {
+  const { broker, transactions } = detectAndParseCSV(csv(
+    'Trade date,Reference,Buy/Sell,Stock,Sedol,Quantity,Price,Value,Charges,Description',
+    '02/01/2024,B123,Buy,Vanguard LifeStrategy 80% Equity Acc,B4PQW15,100,250.5,250.50,0,Vanguard LifeStrategy 80% Equity Accumulation',
+    '03/06/2024,S456,Sell,Vanguard LifeStrategy 80% Equity Acc,B4PQW15,40,270,108.00,1.50,Vanguard LifeStrategy 80% Equity Accumulation',
+  ));
+
+  assert.equal(broker, 'Hargreaves Lansdown');
+  assert.deepEqual(transactions.map((t) => [t.type, t.quantity, t.symbol]), [
+    ['BUY', 100, 'B4PQW15'],
+    ['SELL', 40, 'B4PQW15'],
+  ]);
+});
+
+test('reads Hargreaves Lansdown accumulation rows as notional distributions', () => {
+  const { transactions } = detectAndParseCSV(csv(
+    'Trade date,Reference,Buy/Sell,Stock,Sedol,Quantity,Price,Value,Charges,Description',
+    '30/06/2024,ACCUMULATION,Income,Vanguard LifeStrategy 80% Equity Acc,B4PQW15,0,0,12.34,0,Income reinvested',
+    '31/12/2024,D789,Accumulation,Vanguard LifeStrategy 80% Equity Acc,B4PQW15,0,0,-15.00,0,Income reinvested',
+    '31/12/2024,D790,Dividend,Vanguard LifeStrategy 80% Equity Acc,B4PQW15,0,0,15.00,0,Accumulation units',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.quantity, t.totalAmount]), [
+    ['NOTIONAL_DISTRIBUTION', 0, 12.34],
+    ['NOTIONAL_DISTRIBUTION', 0, 15],
+  ]);
+});
+
+test('reads Schwab share deposits and security transfers as transfers in', () => {
+  const { transactions } = detectAndParseCSV(csv(
+    'Date,Action,Symbol,Description,Quantity,Price,Fees & Comm,Amount',
+    '03/04/2024,Deposit,ACME,ACME CORP,50,,,',
+    '03/05/2024,Security Transfer,ACME,ACME CORP,-20,,,',
+    '03/06/2024,Wire Funds Deposit,,WIRE IN,,,,"$1,000.00"',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.quantity]), [
+    ['TRANSFER_IN', 50],
+    ['TRANSFER_OUT', 20],
+  ]);
+});
+
+test('reads transfers from a generic type column, but not deposits', () => {
+  const { broker, transactions } = detectAndParseCSV(csv(
+    'Date,Type,Symbol,Quantity,Price',
+    '2024-04-03,Transfer In,ACME,50,0',
+    '2024-04-04,Transfer Out,ACME,20,0',
+    '2024-04-05,Deposit,ACME,10,12',
+  ));
+
+  assert.equal(broker, 'Generic CSV');
+  assert.deepEqual(transactions.map((t) => t.type), ['TRANSFER_IN', 'TRANSFER_OUT', 'BUY']);
+});
+
+test('ignores Trading 212 cash deposits', () => {
+  const { transactions } = detectAndParseCSV(csv(
+    'Action,Time,ISIN,Ticker,Name,No. of shares,Price / share,Currency (Price / share),Exchange rate,Total,Currency (Total)',
+    'Deposit,2024-04-02 10:00:00,,,,,,,,1000,GBP',
+    'Transfer in,2024-04-03 10:00:00,US0000000001,ACME,Acme,50,,USD,,,GBP',
+    'Market buy,2024-04-04 10:00:00,US0000000001,ACME,Acme,10,12,USD,1.25,96,GBP',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.quantity]), [['TRANSFER_IN', 50], ['BUY', 10]]);
+});
+
+test('keeps the rate Freetrade converted foreign-currency orders at', () => {
+  const { broker, transactions } = detectAndParseCSV(csv(
+    'Title,Type,Timestamp,Account Currency,Total Amount,Buy / Sell,Ticker,ISIN,Price per Share,Quantity,FX Rate,FX Fee Amount,Instrument Currency',
+    'Apple,ORDER,2024-03-05T14:30:00.000Z,GBP,1001.50,BUY,AAPL,US0378331005,130.00,10,1.3,1.50,USD',
+    'Vodafone,ORDER,2024-03-06T09:00:00.000Z,GBP,70.00,BUY,VOD,GB00BH4HKS39,0.70,100,,,GBP',
+  ));
+
+  assert.equal(broker, 'Freetrade');
+  assert.deepEqual(transactions.map((t) => [t.currency, t.exchangeRate, t.totalAmount, t.fxCurrency, t.brokerExchangeRate]), [
+    ['GBP', 1, 1000, 'USD', 1.3],
+    ['GBP', 1, 70, undefined, undefined],
+  ]);
+});
+
+test('reads Morgan Stanley ESPP purchases with the price paid and both market values', () => {
+  const transactions = parseAs('morganStanley', csv(
+    'Action,Time,Ticker,Name,No. of shares,Price / share,Total,Purchase Price,Purchase Date FMV,Offering Date FMV,Offering Date',
+    'Purchase,2024-03-29,MSFT,Microsoft,10,,,"$340.00","$420.00","$400.00",2023-10-01',
+    'Release,2024-04-15,MSFT,Microsoft,5,415.50,2077.50,,,,',
+    'Sell,2024-05-01,MSFT,Microsoft,-8,430.00,3440.00,"$340.00","$420.00","$400.00",2023-10-01',
+    'Cash Deposit,2024-05-02,N/A,,0,,,,,,',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.quantity, t.pricePerUnit, t.totalAmount]), [
+    ['BUY', 10, 340, 3400],
+    ['BUY', 5, 415.5, 2077.5],
+    ['SELL', 8, 430, 3440],
+  ]);
+  assert.deepEqual(transactions[0].espp, {
+    purchasePrice: 340, purchaseFmv: 420, offeringFmv: 400, offeringDate: '2023-10-01',
+  });
+  assert.equal(transactions[0].vest, undefined);
+  assert.deepEqual(transactions[1].vest, { grossQuantity: 5, withheldQuantity: 0, fmv: 415.5 });
+  assert.equal(transactions[1].espp, undefined);
+  assert.equal(transactions[2].espp, undefined);
+});
+
+test('reads Morgan Stanley ESPP purchases under the Equity Award column names, without an offering date', () => {
+  const transactions = parseAs('morganStanley', csv(
+    'Action,Time,Ticker,No. of shares,Price / share,PurchasePrice,PurchaseFairMarketValue',
+    'Purchase,2024-03-29,MSFT,10,,340,420',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.pricePerUnit, t.espp]), [
+    ['BUY', 340, { purchasePrice: 340, purchaseFmv: 420, offeringFmv: null, offeringDate: null }],
+  ]);
+});
+
+test('reads Morgan Stanley buys as ordinary purchases when the export has no ESPP columns', () => {
+  const transactions = parseAs('morganStanley', csv(
+    'Action,Time,Ticker,No. of shares,Price / share',
+    'Buy,2024-03-29,MSFT,10,420',
+    'Purchase,2024-03-30,MSFT,10,420',
+  ));
+
+  assert.deepEqual(transactions.map((t) => [t.type, t.pricePerUnit, t.espp]), [['BUY', 420, undefined]]);
+});
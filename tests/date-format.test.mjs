@@ -0,0 +1,59 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalendarDate } from '../src/lib/calendar-date.js';
+import { parseCalendarDate, toISODate, inferDateFormat } from '../src/lib/date-format.js';
+
+const parsed = (value, format) => parseCalendarDate(value, format)?.toString() ?? null;
+
+test('reads ISO dates whatever the format', () => {
+  assert.equal(parsed('2024-04-03', 'month-first'), '2024-04-03');
+  assert.equal(parsed('2024-04-03 16:00:00', 'day-first'), '2024-04-03');
+  assert.equal(parsed('2024-04-06T00:30:00'), '2024-04-06');
+});
+
+test('reads numeric dates day first or month first', () => {
+  assert.equal(parsed('03/04/2024', 'day-first'), '2024-04-03');
+  assert.equal(parsed('03/04/2024', 'month-first'), '2024-03-04');
+  assert.equal(parsed('3-4-2024', 'day-first'), '2024-04-03');
+  assert.equal(parsed('03.04.2024 23:59', 'day-first'), '2024-04-03');
+});
+
+test('takes a part over 12 as the day, whatever the format', () => {
+  assert.equal(parsed('25/12/2024', 'month-first'), '2024-12-25');
+  assert.equal(parsed('12/25/2024', 'day-first'), '2024-12-25');
+});
+
+test('reads dates with a month name', () => {
+  assert.equal(parsed('Apr 6, 2024'), '2024-04-06');
+  assert.equal(parsed('6 April 2024', 'month-first'), '2024-04-06');
+  assert.equal(parsed('03-Apr-2024'), '2024-04-03');
+});
+
+test('reads a Date as its local day', () => {
+  assert.equal(parsed(new Date(2024, 3, 5, 23, 30)), '2024-04-05');
+  assert.equal(parsed(new Date(2024, 3, 6, 0, 30)), '2024-04-06');
+  assert.equal(parsed(new Date(NaN)), null);
+  assert.equal(toISODate(new Date(2024, 3, 6)), '2024-04-06');
+});
+
+test('returns null for missing or impossible dates', () => {
+  assert.equal(parsed('31/02/2024', 'day-first'), null);
+  assert.equal(parsed('2023-02-29'), null);
+  assert.equal(parsed(''), null);
+  assert.equal(parsed(null), null);
+  assert.equal(parsed('not a date'), null);
+});
+
+test('passes CalendarDates through', () => {
+  const date = CalendarDate.from('2024-04-06');
+  assert.equal(parseCalendarDate(date, 'month-first'), date);
+});
+
+test('infers a file\'s format from its unambiguous dates', () => {
+  assert.equal(inferDateFormat(['03/04/2024', '25/04/2024']).format, 'day-first');
+  assert.equal(inferDateFormat(['03/04/2024', '04/25/2024']).format, 'month-first');
+  const fallback = inferDateFormat(['03/04/2024'], { broker: 'Charles Schwab' });
+  assert.equal(fallback.format, 'month-first');
+  assert.equal(fallback.source, 'broker-default');
+});
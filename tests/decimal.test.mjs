@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal } from '../src/lib/decimal.js';
+
+const d = (value) => Decimal.from(value);
+const TINY = '0.000000000000000001'; // One unit in the 18th place
+
+test('parses numeric strings exactly', () => {
+  assert.equal(d('12.345').toString(), '12.345');
+  assert.equal(d('  -0.50 ').toString(), '-0.5');
+  assert.equal(d('+7').toString(), '7');
+  assert.equal(d('.5').toString(), '0.5');
+  assert.equal(d('5.').toString(), '5');
+  assert.equal(d('1e-7').toString(), '0.0000001');
+  assert.equal(d('1.5E+21').toString(), '1500000000000000000000');
+  assert.equal(d('123456789012345678901234.5').toString(), '123456789012345678901234.5');
+});
+
+test('parses numbers from their shortest decimal form', () => {
+  assert.equal(d(0.1).toString(), '0.1');
+  assert.equal(d(0.1).plus(0.2).toString(), '0.3');
+  assert.equal(d(1e-7).toString(), '0.0000001');
+  assert.equal(d(-1234.5678).toString(), '-1234.5678');
+  assert.equal(d(12n).toString(), '12');
+  assert.equal(Decimal.sum(Array(10).fill(0.1)).toString(), '1');
+});
+
+test('reads missing values as zero and rejects anything else that is not a number', () => {
+  for (const value of [null, undefined, '']) {
+    assert.ok(d(value).isZero());
+  }
+  for (const value of ['abc', '1.2.3', '.', '1e', NaN, Infinity, -Infinity]) {
+    assert.throws(() => d(value), RangeError, String(value));
+  }
+});
+
+test('rounds digits past the 18th place half to even when parsing', () => {
+  assert.equal(d('0.0000000000000000015').toString(), '0.000000000000000002');
+  assert.equal(d('0.0000000000000000025').toString(), '0.000000000000000002');
+  assert.equal(d('0.00000000000000000251').toString(), '0.000000000000000003');
+  assert.equal(d('-0.0000000000000000025').toString(), '-0.000000000000000002');
+});
+
+test('prints negatives and small values in full, without exponents', () => {
+  assert.equal(d(TINY).toString(), TINY);
+  assert.equal(d(`-${TINY}`).toString(), `-${TINY}`);
+  assert.equal(d('-0.05').toString(), '-0.05');
+  assert.equal(d('-3').toString(), '-3');
+  assert.equal(d('0.00001').toString(), '0.00001');
+  assert.equal(d('-0').toString(), '0');
+  assert.equal(d(`-${TINY}`).toNumber(), -1e-18);
+});
+
+test('rounds division half to even at the 18th place', () => {
+  assert.equal(d(TINY).div(2).toString(), '0');
+  assert.equal(d('0.000000000000000003').div(2).toString(), '0.000000000000000002');
+  assert.equal(d('0.000000000000000005').div(2).toString(), '0.000000000000000002');
+  assert.equal(d('-0.000000000000000003').div(2).toString(), '-0.000000000000000002');
+  assert.equal(d('-0.000000000000000005').div(-2).toString(), '0.000000000000000002');
+  assert.equal(d(1).div(3).toString(), '0.333333333333333333');
+  assert.equal(d(2).div(3).toString(), '0.666666666666666667');
+  assert.equal(d(-2).div(3).toString(), '-0.666666666666666667');
+  assert.throws(() => d(1).div(0), RangeError);
+});
+
+test('rounds multiplication half to even at the 18th place', () => {
+  assert.equal(d(TINY).times('0.5').toString(), '0');
+  assert.equal(d('0.000000000000000003').times('0.5').toString(), '0.000000000000000002');
+  assert.equal(d('1.1').times('1.1').toString(), '1.21');
+});
+
+test('rounds halves away from zero with half-up, the default', () => {
+  assert.equal(d('2.345').round(2).toString(), '2.35');
+  assert.equal(d('-2.345').round(2, 'half-up').toString(), '-2.35');
+  assert.equal(d('2.3449').round(2, 'half-up').toString(), '2.34');
+  assert.equal(d('2.5').round().toString(), '3');
+  assert.equal(d('-2.5').round().toString(), '-3');
+});
+
+test('rounds halves to the even neighbour with half-even', () => {
+  assert.equal(d('2.345').round(2, 'half-even').toString(), '2.34');
+  assert.equal(d('2.355').round(2, 'half-even').toString(), '2.36');
+  assert.equal(d('-2.345').round(2, 'half-even').toString(), '-2.34');
+  assert.equal(d('2.3451').round(2, 'half-even').toString(), '2.35');
+  assert.equal(d('0.5').round(0, 'half-even').toString(), '0');
+});
+
+test('rounds towards minus infinity with floor', () => {
+  assert.equal(d('2.349').round(2, 'floor').toString(), '2.34');
+  assert.equal(d('-2.341').round(2, 'floor').toString(), '-2.35');
+  assert.equal(d('1999.99').round(0, 'floor').toString(), '1999');
+});
+
+test('rounds towards plus infinity with ceil', () => {
+  assert.equal(d('2.341').round(2, 'ceil').toString(), '2.35');
+  assert.equal(d('-2.349').round(2, 'ceil').toString(), '-2.34');
+  assert.equal(d('-1999.99').round(0, 'ceil').toString(), '-1999');
+});
+
+test('leaves values that need no rounding unchanged, in every mode', () => {
+  for (const mode of ['half-up', 'half-even', 'floor', 'ceil']) {
+    assert.equal(d('-2.34').round(2, mode).toString(), '-2.34', mode);
+  }
+  assert.throws(() => d('2.345').round(2, 'nearest'), RangeError);
+});
+
+test('formats fixed places from the exact value', () => {
+  assert.equal(d('1.005').toFixed(2), '1.01');
+  assert.equal(d(3).toFixed(2), '3.00');
+  assert.equal(d('-0.5').toFixed(0), '-1');
+  assert.equal(d('12.3').toFixed(), '12.30');
+});
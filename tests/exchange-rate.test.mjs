@@ -0,0 +1,215 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyExchangeRates, buildFxReconciliation, clearRateCache, getHmrcMonthlyRate, parseHmrcMonthlyCsv,
+} from '../src/lib/exchange-rate.js';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+// Daily rates as the Frankfurter API returns them: GBP per unit of the currency
+const DAILY_GBP_PER_UNIT = { USD: 0.8, EUR: 0.85, JPY: 0.005 };
+
+// HMRC's monthly file for March 2024, in currency units per GBP
+const HMRC_MARCH_2024 = [
+  'Country/Territories,Currency,Currency Code,Currency Units per £1,Start date,End date',
+  'USA,Dollar,USD,1.2500,01/03/2024,31/03/2024',
+  'Eurozone,"Euro, Cent",EUR,1.1600,01/03/2024,31/03/2024',
+].join('\n');
+
+const respond = (status, body) => ({ ok: status === 200, status, json: async () => body, text: async () => body });
+
+// Serve daily rates from the table above, and record which URLs were asked for
+const stubDailyRates = () => mock.method(globalThis, 'fetch', async (url) => {
+  const currency = new URL(url).searchParams.get('from');
+  return respond(200, { rates: { GBP: DAILY_GBP_PER_UNIT[currency] } });
+});
+
+// Serve HMRC's file for March 2024 only, and daily rates for everything else
+const stubHmrcAndDailyRates = () => mock.method(globalThis, 'fetch', async (url) => {
+  if (url.includes('trade-tariff.service.gov.uk')) {
+    return url.endsWith('monthly_csv_2024-3.csv') ? respond(200, HMRC_MARCH_2024) : respond(404, '');
+  }
+  const currency = new URL(url).searchParams.get('from');
+  return respond(200, { rates: { GBP: DAILY_GBP_PER_UNIT[currency] } });
+});
+
+const row = (date, currency, extra = {}) => ({
+  date, type: 'BUY', symbol: 'ACME', quantity: 10, pricePerUnit: 100, totalAmount: null,
+  fees: 0, currency, exchangeRate: 1, broker: 'Test', ...extra,
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  clearRateCache();
+});
+
+test('converts each supported currency at its own daily rate', async () => {
+  stubDailyRates();
+  const [usd, eur, jpy] = await applyExchangeRates([
+    row('2024-03-05', 'USD'),
+    row('2024-03-05', 'eur'),
+    row('2024-03-05', 'JPY'),
+  ]);
+
+  assert.deepEqual([usd.currency, usd.exchangeRate, usd.exchangeRateSource], ['USD', 1 / 0.8, 'api']);
+  assert.deepEqual([eur.currency, eur.exchangeRate, eur.exchangeRateSource], ['EUR', 1 / 0.85, 'api']);
+  assert.deepEqual([jpy.currency, jpy.exchangeRate, jpy.exchangeRateSource], ['JPY', 1 / 0.005, 'api']);
+});
+
+test('looks up each currency and date once, and a weekend trade at the Friday rate', async () => {
+  const fetch = stubDailyRates();
+  await applyExchangeRates([
+    row('2024-03-09', 'USD'),
+    row('2024-03-09', 'USD'),
+    row('2024-03-08', 'EUR'),
+  ]);
+  const urls = fetch.mock.calls.map((call) => call.arguments[0]).sort();
+
+  assert.deepEqual(urls, [
+    'https://api.frankfurter.app/2024-03-08?from=EUR&to=GBP',
+    'https://api.frankfurter.app/2024-03-08?from=USD&to=GBP',
+  ]);
+});
+
+test('divides pence by 100 without a lookup', async () => {
+  const fetch = stubDailyRates();
+  const [gbx, gbp] = await applyExchangeRates([row('2024-03-05', 'GBX'), row('2024-03-05', 'GBp')]);
+
+  assert.deepEqual([gbx.currency, gbx.exchangeRate, gbx.exchangeRateSource], ['GBX', 100, 'fixed']);
+  assert.deepEqual([gbp.currency, gbp.exchangeRate, gbp.exchangeRateSource], ['GBX', 100, 'fixed']);
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('stops with an error naming rows in a currency it can not convert', async () => {
+  stubDailyRates();
+
+  await assert.rejects(
+    applyExchangeRates([row('2024-03-05', 'ZAR'), row('2024-03-05', 'USD')]),
+    /Unsupported currency ZAR \(e\.g\. ACME on 2024-03-05\)/,
+  );
+});
+
+test('keeps a statement rate for a currency it can not convert', async () => {
+  stubDailyRates();
+  const [zar] = await applyExchangeRates([row('2024-03-05', 'ZAR', { exchangeRate: 23.5 })], { policy: 'broker' });
+
+  assert.deepEqual([zar.exchangeRate, zar.exchangeRateSource], [23.5, 'broker']);
+});
+
+test('falls back to the yearly average for the currency when no daily rate can be fetched', async () => {
+  mock.method(globalThis, 'fetch', async () => respond(503, {}));
+  const [eur] = await applyExchangeRates([row('2023-03-06', 'EUR')]);
+
+  assert.deepEqual([eur.exchangeRate, eur.exchangeRateSource], [1 / 0.87, 'fallback']);
+});
+
+test('reads currency units per pound from an HMRC monthly file', () => {
+  assert.deepEqual(parseHmrcMonthlyCsv(HMRC_MARCH_2024), { USD: 1.25, EUR: 1.16 });
+  assert.deepEqual(parseHmrcMonthlyCsv('Currency,Rate\nDollar,1.25'), {});
+});
+
+test('looks up HMRC monthly rates from HMRC, once per month', async () => {
+  const fetch = stubHmrcAndDailyRates();
+
+  assert.deepEqual(await getHmrcMonthlyRate('2024-03-05', 'USD'), { rate: 1 / 1.25, source: 'hmrc' });
+  assert.deepEqual(await getHmrcMonthlyRate('2024-03-28', 'eur'), { rate: 1 / 1.16, source: 'hmrc' });
+  assert.equal(await getHmrcMonthlyRate('2024-03-28', 'JPY'), null);
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('converts at HMRC monthly rates, and at the daily rate for a month HMRC has no file for', async () => {
+  stubHmrcAndDailyRates();
+  const [march, april] = await applyExchangeRates([
+    row('2024-03-05', 'USD'),
+    row('2024-04-02', 'USD'),
+  ], { policy: 'hmrc-monthly' });
+
+  assert.deepEqual([march.exchangeRate, march.exchangeRateSource], [1.25, 'hmrc']);
+  assert.deepEqual([april.exchangeRate, april.exchangeRateSource], [1 / 0.8, 'api']);
+});
+
+test('uses statement rates only for the brokers chosen', async () => {
+  stubDailyRates();
+  const [t212, ibkr] = await applyExchangeRates([
+    row('2024-03-05', 'USD', { exchangeRate: 1.3, broker: 'Trading 212' }),
+    row('2024-03-05', 'USD', { broker: 'Interactive Brokers' }),
+  ], { policy: 'daily', brokerPolicies: { 'Trading 212': 'broker' } });
+
+  assert.deepEqual([t212.exchangeRate, t212.exchangeRateSource], [1.3, 'broker']);
+  assert.deepEqual([t212.brokerExchangeRate, t212.referenceExchangeRate, t212.referenceExchangeRateSource], [1.3, 1.25, 'api']);
+  assert.deepEqual([ibkr.exchangeRate, ibkr.exchangeRateSource], [1.25, 'api']);
+});
+
+test('converts at the reference rate but keeps the statement rate when a broker is not chosen', async () => {
+  stubDailyRates();
+  const [t212] = await applyExchangeRates([
+    row('2024-03-05', 'USD', { exchangeRate: 1.3, broker: 'Trading 212' }),
+  ], { policy: 'broker', brokerPolicies: { 'Trading 212': 'daily' } });
+
+  assert.deepEqual([t212.exchangeRate, t212.exchangeRateSource, t212.brokerExchangeRate], [1.25, 'api', 1.3]);
+});
+
+test('looks up a reference rate for amounts the broker already converted to GBP', async () => {
+  stubDailyRates();
+  const [freetrade] = await applyExchangeRates([
+    row('2024-03-05', 'GBP', { fxCurrency: 'USD', brokerExchangeRate: 1.3, broker: 'Freetrade' }),
+  ]);
+
+  assert.deepEqual([freetrade.currency, freetrade.exchangeRate], ['GBP', 1]);
+  assert.deepEqual([freetrade.referenceExchangeRate, freetrade.referenceExchangeRateSource], [1.25, 'api']);
+});
+
+test('rejects an unknown basis for a broker', async () => {
+  await assert.rejects(
+    applyExchangeRates([], { brokerPolicies: { 'Trading 212': 'weekly' } }),
+    /Unknown exchange rate basis "weekly"/,
+  );
+});
+
+test('reconciles each statement rate against the reference rate in GBP', () => {
+  const reconciliation = buildFxReconciliation([
+    row('2024-06-03', 'GBP', { totalAmount: 1000, fxCurrency: 'USD', brokerExchangeRate: 1.3, referenceExchangeRate: 1.25, referenceExchangeRateSource: 'api', broker: 'Freetrade' }),
+    row('2024-03-05', 'USD', { totalAmount: 1300, exchangeRate: 1.25, exchangeRateSource: 'api', brokerExchangeRate: 1.3, referenceExchangeRate: 1.25, referenceExchangeRateSource: 'api', broker: 'Trading 212' }),
+    row('2024-03-06', 'USD', { exchangeRate: 1.25, exchangeRateSource: 'api' }),
+  ]);
+
+  assert.deepEqual(reconciliation, [
+    {
+      date: '2024-03-05', symbol: 'ACME', type: 'BUY', broker: 'Trading 212', currency: 'USD', brokerRate: 1.3,
+      referenceRate: 1.25, referenceSource: 'api', differencePercent: 4, gbpDifference: -40, used: 'reference',
+    },
+    {
+      date: '2024-06-03', symbol: 'ACME', type: 'BUY', broker: 'Freetrade', currency: 'USD', brokerRate: 1.3,
+      referenceRate: 1.25, referenceSource: 'api', differencePercent: 4, gbpDifference: -40, used: 'broker',
+    },
+  ]);
+});
+
+test('records the currency pair, rate and source on acquisitions and disposals', () => {
+  const result = calculateCGT([
+    row('2024-01-02', 'USD', { exchangeRate: 1.25, exchangeRateSource: 'api' }),
+    row('2024-06-03', 'USD', { type: 'SELL', pricePerUnit: 150, exchangeRate: 1.2, exchangeRateSource: 'api' }),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.deepEqual(result.acquisitions[0].fx, { pair: 'GBP/USD', rate: 1.25, source: 'api' });
+  assert.deepEqual(disposal.fx, { pair: 'GBP/USD', rate: 1.2, source: 'api' });
+  assert.equal(disposal.proceeds, 1250);
+  assert.equal(disposal.cost, 800);
+  assert.equal(result.errors.length, 0);
+});
+
+test('records the exchange rate bases in the report', () => {
+  const result = calculateCGT([row('2024-01-02', 'GBP')], {
+    fxPolicy: 'hmrc-monthly', fxBrokerPolicies: { 'Trading 212': 'broker' },
+  });
+
+  assert.equal(result.fxPolicy, 'hmrc-monthly');
+  assert.deepEqual(result.fxBrokerPolicies, { 'Trading 212': 'broker' });
+});
+
+test('warns about foreign-currency rows that reach the engine with no rate', () => {
+  const result = calculateCGT([row('2024-01-02', 'USD')]);
+
+  assert.deepEqual(result.errors.map((e) => e.type), ['MISSING_EXCHANGE_RATE']);
+});
@@ -0,0 +1,96 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { clearPriceCache, fetchDemergerPrices, fetchHistoricalPricesForTransactions } from '../src/lib/historical-price.js';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+// Serve a day's quote per ticker as Yahoo Finance's chart API does; tickers not listed have no data
+const stubQuotes = (quotes) => mock.method(globalThis, 'fetch', async (url) => {
+  const ticker = decodeURIComponent(new URL(url).pathname.split('/').pop());
+  const quote = quotes[ticker];
+  const result = quote && [{ indicators: { quote: [{ open: [quote.open], high: [quote.high], low: [quote.low], close: [quote.close] }] } }];
+  return { ok: true, status: 200, json: async () => ({ chart: { result } }) };
+});
+
+const vestRow = (fmv) => ({
+  date: '2024-04-15', type: 'BUY', symbol: 'ACME', quantity: 10, pricePerUnit: fmv, totalAmount: null,
+  fees: 0, currency: 'USD', exchangeRate: 1.25, exchangeRateSource: 'api', broker: 'Charles Schwab',
+  vest: { grossQuantity: 10, withheldQuantity: 0, fmv },
+});
+
+const demerger = (extra) => ({
+  date: '2022-07-18', type: 'DEMERGER', symbol: 'GSK', newSymbol: 'HLN', ratio: '1:1', quantity: 0, broker: 'Test', ...extra,
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  clearPriceCache();
+});
+
+test('values a vest with the chosen method and records it', async () => {
+  stubQuotes({ ACME: { open: 98, high: 104, low: 96, close: 102 } });
+  const [vest] = await fetchHistoricalPricesForTransactions([vestRow(100)], { vestValuation: { method: 'close' } });
+
+  assert.deepEqual([vest.pricePerUnit, vest.priceSource], [102, 'yahoo_finance_close']);
+  assert.deepEqual([vest.vest.valuationMethod, vest.vest.requestedMethod], ['close', 'close']);
+  assert.deepEqual(vest.vest.valuations, { fmv: 100, close: 102, open: 98, average: 100 });
+});
+
+test('records the method a vest fell back to when the chosen one has no price', async () => {
+  stubQuotes({ ACME: { open: null, high: null, low: null, close: 102 } });
+  const [vest] = await fetchHistoricalPricesForTransactions([vestRow(100)], { vestValuation: { method: 'open' } });
+
+  assert.deepEqual([vest.pricePerUnit, vest.priceSource], [100, 'csv']);
+  assert.deepEqual([vest.vest.valuationMethod, vest.vest.requestedMethod], ['fmv', 'open']);
+});
+
+test('reports the method used and the one chosen for a vest that fell back', async () => {
+  stubQuotes({});
+  const transactions = await fetchHistoricalPricesForTransactions([vestRow(100)], { vestValuation: { method: 'close' } });
+  const result = calculateCGT([
+    ...transactions,
+    { ...vestRow(100), type: 'SELL', date: '2024-06-03', vest: undefined, quantity: 10, pricePerUnit: 110 },
+  ]);
+  const [vest] = result.vestIncome[0].vests;
+
+  assert.deepEqual([vest.valuationMethod, vest.requestedMethod], ['fmv', 'close']);
+  assert.deepEqual(result.taxYears[0].vests, [vest]);
+});
+
+test('leaves the chosen method out of the report when it was used', () => {
+  const result = calculateCGT([{ ...vestRow(100), vest: { grossQuantity: 10, valuationMethod: 'fmv', requestedMethod: 'fmv' } }]);
+  const [vest] = result.vestIncome[0].vests;
+
+  assert.equal(vest.valuationMethod, 'fmv');
+  assert.equal('requestedMethod' in vest, false);
+});
+
+test('records for each demerger price whether it was entered or looked up', async () => {
+  stubQuotes({ HLN: { close: 3.3 } });
+  const [entered, missing] = await fetchDemergerPrices([
+    demerger({ parentSharePrice: '13.70' }),
+    demerger({ symbol: 'ABC', newSymbol: 'XYZ' }),
+  ]);
+
+  assert.deepEqual(
+    [entered.parentSharePrice, entered.parentPriceSource, entered.newSharePrice, entered.newPriceSource],
+    [13.7, 'manual', 3.3, 'yahoo_finance_historical'],
+  );
+  assert.deepEqual(
+    [missing.parentSharePrice, missing.parentPriceSource, missing.newSharePrice, missing.newPriceSource],
+    [0, 'missing', 0, 'missing'],
+  );
+  assert.equal('priceSource' in entered, false);
+});
+
+test('carries each demerger price source into the corporate actions', () => {
+  const result = calculateCGT([
+    { date: '2022-01-10', type: 'BUY', symbol: 'GSK', quantity: 100, pricePerUnit: 16, totalAmount: null, fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test' },
+    demerger({
+      parentSharePrice: 13.7, newSharePrice: 3.3, parentPriceSource: 'manual', newPriceSource: 'yahoo_finance_historical',
+    }),
+  ]);
+  const [action] = result.corporateActions;
+
+  assert.deepEqual([action.parentPriceSource, action.newPriceSource], ['manual', 'yahoo_finance_historical']);
+});
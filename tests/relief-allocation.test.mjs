@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateReliefs, allocateReliefsProportionally } from '../src/lib/relief-allocation.js';
+
+// 2024/25: gains before 30 October 2024 at 10%/20%, from 30 October at 18%/24%
+const buckets = (pre, post) => [
+  { key: 'pre', gain: pre, basicRate: 0.10, higherRate: 0.20 },
+  { key: 'post', gain: post, basicRate: 0.18, higherRate: 0.24 },
+];
+
+// [lossesSet, exemptionSet, atBasicRate, atHigherRate, tax] per bucket
+const setOffs = (allocation) => allocation.buckets.map((b) => [b.lossesSet, b.exemptionSet, b.atBasicRate, b.atHigherRate, b.tax]);
+
+test('sets the exemption against post-30-October gains for a basic rate taxpayer', () => {
+  for (const basicRateBand of [undefined, Infinity]) {
+    const allocation = allocateReliefs(buckets(10000, 10000), { annualExemption: 3000, basicRateBand });
+
+    // 10,000 at 10% and 7,000 at 18%
+    assert.deepEqual(setOffs(allocation), [[0, 0, 10000, 0, 1000], [0, 3000, 7000, 0, 1260]]);
+    assert.equal(allocation.tax, 2260);
+    assert.equal(allocation.exemptionUsed, 3000);
+  }
+});
+
+test('sets the exemption against post-30-October gains for a higher rate taxpayer', () => {
+  const allocation = allocateReliefs(buckets(10000, 10000), { annualExemption: 3000, basicRateBand: 0 });
+
+  // 10,000 at 20% and 7,000 at 24%
+  assert.deepEqual(setOffs(allocation), [[0, 0, 0, 10000, 2000], [0, 3000, 0, 7000, 1680]]);
+  assert.equal(allocation.tax, 3680);
+});
+
+test('splits losses, the exemption and the basic rate band for the lowest tax', () => {
+  const options = { losses: 4000, annualExemption: 3000, basicRateBand: 10000 };
+  const allocation = allocateReliefs(buckets(10000, 10000), options);
+
+  // All 7,000 of relief goes after 30 October, whose remaining 3,000 is cheaper
+  // at 24% than displacing pre-October gains from the band (20% - 10%)
+  assert.deepEqual(setOffs(allocation), [[0, 0, 10000, 0, 1000], [4000, 3000, 0, 3000, 720]]);
+  assert.equal(allocation.tax, 1720);
+  assert.equal(allocation.lossesUsed, 4000);
+});
+
+test('reports the saving against a proportional split', () => {
+  const options = { losses: 4000, annualExemption: 3000, basicRateBand: 10000 };
+  const allocation = allocateReliefs(buckets(10000, 10000), options);
+  const proportional = allocateReliefsProportionally(buckets(10000, 10000), options);
+
+  // 3,500 of relief each (shown as losses first, highest rate first), then the
+  // band in order: 6,500 at 10%, 3,500 at 18%, 3,000 at 24%
+  assert.deepEqual(setOffs(proportional), [[500, 3000, 6500, 0, 650], [3500, 0, 3500, 3000, 1350]]);
+  assert.equal(proportional.tax, 2000);
+  assert.equal(allocation.proportionalTax, 2000);
+  assert.equal(allocation.savings, 280);
+
+  assert.equal(allocateReliefs(buckets(10000, 10000), { annualExemption: 3000 }).savings, 120);
+  assert.equal(allocateReliefs(buckets(10000, 10000), { annualExemption: 3000, basicRateBand: 0 }).savings, 60);
+});
+
+test('treats a net loss in one period as a loss of the year', () => {
+  const allocation = allocateReliefs(buckets(-2000, 10000), { annualExemption: 3000, basicRateBand: 0 });
+
+  assert.equal(allocation.lossesUsed, 2000);
+  assert.deepEqual(setOffs(allocation), [[0, 0, 0, 0, 0], [2000, 3000, 0, 5000, 1200]]);
+  assert.equal(allocation.savings, 0);
+});
+
+test('uses brought-forward losses only down to the exemption', () => {
+  const allocation = allocateReliefs(buckets(2000, 3000), { annualExemption: 3000, broughtForwardLosses: 5000, basicRateBand: 0 });
+
+  assert.equal(allocation.broughtForwardUsed, 2000);
+  assert.equal(allocation.exemptionUsed, 3000);
+  assert.equal(allocation.taxableGain, 0);
+  assert.equal(allocation.tax, 0);
+});
+
+test('never costs more than the proportional split', () => {
+  for (const [pre, post] of [[500, 20000], [20000, 500], [3000, 3000], [12345.67, 8910.11]]) {
+    for (const basicRateBand of [0, 2500, 15000, Infinity]) {
+      for (const losses of [0, 1500]) {
+        const options = { losses, annualExemption: 3000, basicRateBand };
+        const allocation = allocateReliefs(buckets(pre, post), options);
+        const proportional = allocateReliefsProportionally(buckets(pre, post), options);
+
+        assert.ok(allocation.tax <= proportional.tax + 0.01, `${pre}/${post} band ${basicRateBand} losses ${losses}`);
+        assert.equal(allocation.savings, Math.round((proportional.tax - allocation.tax) * 100) / 100);
+      }
+    }
+  }
+});
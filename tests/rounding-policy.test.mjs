@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundMoney, roundReported, validateRoundingPolicy } from '../src/lib/rounding-policy.js';
+
+test('rounds to the penny under the exact policy', () => {
+  assert.equal(roundReported(100.045, 'exact', 'proceeds').toString(), '100.05');
+  assert.equal(roundReported('100.044', 'exact', 'cost').toString(), '100.04');
+  assert.equal(roundMoney(-50.045, 'exact', 'gain'), -50.05);
+  assert.equal(roundMoney(100.045), 100.05);
+});
+
+test('rounds each kind of figure in the taxpayer\'s favour under the favourable policy', () => {
+  assert.equal(roundMoney(150.99, 'whole-pound-favourable', 'proceeds'), 150);
+  assert.equal(roundMoney(100.01, 'whole-pound-favourable', 'cost'), 101);
+  assert.equal(roundMoney(49.99, 'whole-pound-favourable', 'gain'), 49);
+  assert.equal(roundMoney(-50.01, 'whole-pound-favourable', 'gain'), -51);
+  assert.equal(roundMoney(50.01, 'whole-pound-favourable', 'loss'), 51);
+  assert.equal(roundMoney(100, 'whole-pound-favourable', 'cost'), 100);
+});
+
+test('rounds to the nearest pound, halves away from zero, under the nearest policy', () => {
+  for (const kind of ['proceeds', 'cost', 'gain', 'loss']) {
+    assert.equal(roundMoney(150.5, 'whole-pound-nearest', kind), 151, kind);
+    assert.equal(roundMoney(150.49, 'whole-pound-nearest', kind), 150, kind);
+  }
+  assert.equal(roundMoney(-50.5, 'whole-pound-nearest', 'gain'), -51);
+});
+
+test('rejects an unknown policy', () => {
+  assert.equal(validateRoundingPolicy('whole-pound-nearest'), 'whole-pound-nearest');
+  assert.throws(() => validateRoundingPolicy('whole-pound-down'), /Unknown rounding policy "whole-pound-down"/);
+});
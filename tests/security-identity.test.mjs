@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSecurityResolver, classifyIdentifier } from '../src/lib/security-identity.js';
+
+test('classifies ISINs, SEDOLs, CUSIPs and tickers', () => {
+  assert.equal(classifyIdentifier('US0378331005'), 'isin');
+  assert.equal(classifyIdentifier('0798059'), 'sedol');
+  assert.equal(classifyIdentifier('037833100'), 'cusip');
+  assert.equal(classifyIdentifier('aapl'), 'ticker');
+  assert.equal(classifyIdentifier('BRK.B'), 'ticker');
+});
+
+test('resolves every identifier in the security master to its ticker', () => {
+  const resolver = createSecurityResolver();
+
+  for (const id of ['AAPL', 'US0378331005', '037833100', '2046251', 'aapl ']) {
+    assert.equal(resolver.resolve(id), 'AAPL');
+  }
+  assert.equal(resolver.resolve('VOD.L'), 'VOD');
+  assert.equal(resolver.resolve('GB00BH4HKS39'), 'VOD');
+});
+
+test('merges a ticker and ISIN reported together on one row', () => {
+  const transactions = [
+    { symbol: 'ACME', isin: 'US1234567890' },
+    { symbol: 'US1234567890' },
+  ];
+  const resolver = createSecurityResolver({ transactions });
+
+  assert.equal(resolver.resolve({ symbol: 'US1234567890' }), 'ACME');
+  assert.equal(resolver.resolve({ symbol: 'ACME' }), 'ACME');
+  // The CUSIP inside a US ISIN is the same security
+  assert.equal(resolver.resolve('123456789'), 'ACME');
+  assert.deepEqual(resolver.getSecurities(), [{ symbol: 'ACME', name: undefined, isin: 'US1234567890', reportedAs: ['123456789', 'US1234567890'] }]);
+});
+
+test('merges a SEDOL with the GB ISIN that contains it', () => {
+  const transactions = [{ symbol: 'TSCO', isin: 'GB00BLGZ9862' }];
+  const resolver = createSecurityResolver({ transactions });
+
+  assert.equal(resolver.resolve({ symbol: 'BLGZ986' }), 'TSCO');
+});
+
+test('follows chains of identifiers across rows and aliases', () => {
+  const transactions = [
+    // Ticker and ISIN at one broker, ISIN and SEDOL at another, SEDOL alone at a third
+    { symbol: 'ACME', isin: 'IE00B0000001' },
+    { symbol: 'IE00B0000001', sedol: 'B123456' },
+    { symbol: 'B123456' },
+  ];
+  const resolver = createSecurityResolver({
+    transactions,
+    // ACME.L is ACME, and ACMEF is ACME.L
+    aliases: { 'ACME.L': 'ACME', ACMEF: 'ACME.L' },
+  });
+
+  for (const id of ['ACME', 'IE00B0000001', 'B123456', 'ACME.L', 'ACMEF']) {
+    assert.equal(resolver.resolve({ symbol: id }), 'ACME', id);
+  }
+});
+
+test('prefers the alias target, then a reported ticker, as the canonical symbol', () => {
+  const resolver = createSecurityResolver({
+    transactions: [{ symbol: 'BRK-B', isin: 'US0846707026' }],
+    aliases: { 'BRK-B': 'BRK.B' },
+  });
+
+  assert.equal(resolver.resolve({ symbol: 'US0846707026' }), 'BRK.B');
+  assert.equal(resolver.resolve({ symbol: 'BRK-B' }), 'BRK.B');
+});
+
+test('leaves unrelated symbols alone', () => {
+  const resolver = createSecurityResolver({ transactions: [{ symbol: 'ACME' }, { symbol: 'OTHER' }] });
+
+  assert.equal(resolver.resolve('ACME'), 'ACME');
+  assert.equal(resolver.resolve('OTHER'), 'OTHER');
+  assert.equal(resolver.resolve('unknown'), 'UNKNOWN');
+});
@@ -0,0 +1,80 @@
+// Run under more than one timezone by `npm test`: nothing here should depend on TZ
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySymbolChanges, getSymbolChangeTable, summariseSymbolChanges } from '../src/lib/symbol-changes.js';
+import { calculateCGT } from '../src/lib/cgt-engine.js';
+
+const row = (date, type, symbol, quantity, pricePerUnit) => ({
+  date, type, symbol, quantity, pricePerUnit, totalAmount: null,
+  fees: 0, currency: 'GBP', exchangeRate: 1, broker: 'Test',
+});
+
+test('renames only trades dated before the change', () => {
+  const renamed = applySymbolChanges([
+    { symbol: 'FB', date: '2022-06-08' },
+    { symbol: 'FB', date: '2022-06-09' },
+    { symbol: 'fb', date: '08/06/2022' },
+  ]);
+
+  assert.deepEqual(renamed.map((t) => [t.symbol, t.formerSymbol]), [
+    ['META', 'FB'],
+    ['FB', undefined],
+    ['META', 'fb'],
+  ]);
+});
+
+test('follows chained changes through to the latest ticker', () => {
+  const userChanges = [
+    { from: 'BBB', to: 'CCC', date: '2023-03-01' },
+    { from: 'AAA', to: 'BBB', date: '2021-03-01' },
+  ];
+  const renamed = applySymbolChanges([
+    { symbol: 'AAA', date: '2020-01-02' },
+    { symbol: 'BBB', date: '2022-01-04' },
+    { symbol: 'CCC', date: '2024-01-02' },
+    // AAA was reused by another company after the change
+    { symbol: 'AAA', date: '2022-01-04' },
+  ], userChanges);
+
+  assert.deepEqual(renamed.map((t) => t.symbol), ['CCC', 'CCC', 'CCC', 'AAA']);
+  assert.deepEqual(summariseSymbolChanges(renamed, userChanges).map((c) => [c.from, c.to, c.transactionCount]), [
+    ['AAA', 'BBB', 1],
+    ['BBB', 'CCC', 1],
+  ]);
+});
+
+test('renames the target of a reorganisation dated before the change', () => {
+  const [reorg] = applySymbolChanges([{ symbol: 'OLDCO', newSymbol: 'FB', date: '2020-01-02', type: 'REORGANISATION' }]);
+
+  assert.equal(reorg.symbol, 'OLDCO');
+  assert.equal(reorg.newSymbol, 'META');
+});
+
+test('ignores incomplete user changes and sorts the table by date', () => {
+  const table = getSymbolChangeTable([
+    { from: 'X', to: 'X', date: '2020-01-01' },
+    { from: 'Y', to: '', date: '2020-01-01' },
+    { from: 'z', to: 'zz', date: '01/02/2010' },
+  ]);
+
+  assert.deepEqual(table[0], { from: 'Z', to: 'ZZ', date: '2010-02-01', note: 'Added by user', userDefined: true });
+  assert.ok(table.every((c, i) => i === 0 || table[i - 1].date <= c.date));
+  assert.ok(!table.some((c) => c.from === 'X' || c.from === 'Y'));
+});
+
+test('pools trades before and after a ticker change together', () => {
+  const result = calculateCGT([
+    row('2021-01-04', 'BUY', 'FB', 10, 200),
+    row('2023-01-03', 'BUY', 'META', 10, 100),
+    row('2024-06-03', 'SELL', 'META', 10, 400),
+  ]);
+  const [disposal] = result.allDisposals;
+
+  assert.equal(disposal.symbol, 'META');
+  assert.equal(disposal.cost, 1500);
+  assert.deepEqual(result.formerSymbols, { META: ['FB'] });
+  assert.deepEqual(result.section104Pools, [
+    { symbol: 'META', quantity: 10, totalCost: 1500, averageCost: 150, formerSymbols: ['FB'] },
+  ]);
+  assert.deepEqual(result.symbolChanges.map((c) => [c.from, c.to, c.transactionCount]), [['FB', 'META', 1]]);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFullTax, UK_TAX_CONFIG } from '../src/lib/tax-engine.js';
+
+test('taxes gains above the exemption at the basic rate within the unused band', () => {
+  const { summary } = calculateFullTax({ taxYear: '2025/26', grossPay: 30000, capitalGains: 13000 });
+
+  assert.equal(summary.cgtTaxableGain, 10000);
+  assert.equal(summary.cgtDue, 1800);
+});
+
+test('uses brought-forward losses only down to the exemption, and reports them', () => {
+  const { summary } = calculateFullTax({
+    taxYear: '2024/25', grossPay: 50000, capitalGains: 5000, capitalLossesBroughtForward: 5000,
+  });
+
+  assert.equal(summary.cgtLossesBroughtForwardUsed, 2000);
+  assert.equal(summary.cgtTaxableGain, 0);
+  assert.equal(summary.cgtDue, 0);
+});
+
+test('keeps a configured CGT rate of 0 rather than the default', () => {
+  const config = structuredClone(UK_TAX_CONFIG['2024/25']);
+  config.cgtRates.basicRatePost = 0;
+  UK_TAX_CONFIG.test = config;
+  try {
+    const { summary } = calculateFullTax({ taxYear: 'test', grossPay: 30000, capitalGains: 13000 });
+
+    assert.equal(summary.cgtTaxableGain, 10000);
+    assert.equal(summary.cgtDue, 0);
+  } finally {
+    delete UK_TAX_CONFIG.test;
+  }
+});
+
+test('rounds the gains before and after 30 October and the losses separately', () => {
+  const tax = (roundingPolicy) => calculateFullTax({
+    taxYear: '2024/25',
+    grossPay: 100000,
+    capitalGains: 15001.7,
+    capitalGainsSplit: { pre: 5000.9, post: 10000.9, losses: 0.1 },
+    roundingPolicy,
+  });
+
+  const exact = tax('exact');
+  assert.deepEqual(exact.capitalGainsTax.breakdown.map((b) => b.gain), [5000.9, 7000.8]);
+  assert.equal(exact.summary.cgtDue, 2680.37);
+
+  // 5000 and 10000 in gains less a loss of 1, with the exemption and loss set against the 24% gains
+  const favourable = tax('whole-pound-favourable');
+  assert.deepEqual(favourable.capitalGainsTax.breakdown.map((b) => b.gain), [5000, 6999]);
+  assert.equal(favourable.summary.capitalGains, 15001);
+  assert.equal(favourable.summary.cgtTaxableGain, 11999);
+  assert.equal(favourable.summary.cgtDue, 2679.76);
+
+  const nearest = tax('whole-pound-nearest');
+  assert.deepEqual(nearest.capitalGainsTax.breakdown.map((b) => b.gain), [5001, 7001]);
+  assert.equal(nearest.summary.cgtDue, 2680.44);
+});
+
+test('rounds brought-forward losses under the rounding policy', () => {
+  const { summary } = calculateFullTax({
+    taxYear: '2025/26', grossPay: 30000, capitalGains: 13000.5, capitalLossesBroughtForward: 1000.2,
+    roundingPolicy: 'whole-pound-favourable',
+  });
+
+  assert.equal(summary.cgtLossesBroughtForwardUsed, 1001);
+  assert.equal(summary.cgtTaxableGain, 8999);
+});